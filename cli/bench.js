@@ -0,0 +1,205 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import path from 'path';
+import { COMMANDS_SCHEMA, loadCommandSchema, toCamelCase } from './codegen.js';
+import { delay } from './dev-server.js';
+import { compileTypeScript, DEFAULT_SERVICE_URL, importServiceModule } from './local-service.js';
+import { commandArgs } from './test-runner.js';
+export const DEFAULT_BENCH_PLAYERS = 10;
+export const DEFAULT_BENCH_RATE = 10;
+export const DEFAULT_BENCH_DURATION = 30;
+export const DEFAULT_BENCH_COMMAND = 'inc_counter';
+const DEFAULT_DRAIN_TIMEOUT = 30;
+// Below this share of the target rate the service is reported as falling behind
+const BEHIND_THRESHOLD = 0.9;
+export async function runBench(options = {}) {
+    const cwd = path.resolve(options.cwd || '.');
+    const url = (options.url || DEFAULT_SERVICE_URL).replace(/\/+$/, '');
+    const playerCount = positiveNumber(options.players ?? DEFAULT_BENCH_PLAYERS, 'players', true);
+    const rate = positiveNumber(options.rate ?? DEFAULT_BENCH_RATE, 'rate');
+    const duration = parseDuration(options.duration ?? DEFAULT_BENCH_DURATION);
+    const drainTimeout = parseDuration(options.drainTimeout ?? DEFAULT_DRAIN_TIMEOUT);
+    const commandName = options.command || DEFAULT_BENCH_COMMAND;
+    const schema = await loadCommandSchema(path.join(cwd, COMMANDS_SCHEMA));
+    const command = schema.commands.find(c => c.name === commandName);
+    if (!command) {
+        throw new Error(`Unknown command "${commandName}", expected one of: ${schema.commands.map(c => c.name).join(', ')}`);
+    }
+    // Command line values are strings, booleans are written as true or false
+    const args = commandArgs(command, (options.args ?? []).map(arg => (arg === 'true' || arg === 'false' ? arg === 'true' : arg)));
+    const method = toCamelCase(command.name);
+    if (options.compile !== false) {
+        await compileTypeScript(cwd);
+    }
+    const { Player } = await importServiceModule(cwd, 'ts/src/api.js');
+    if (typeof Player !== 'function') {
+        throw new Error('ts/src/api.js does not export a Player class');
+    }
+    console.log(chalk.blue(`👥 Registering ${playerCount} player(s) at ${url}...`));
+    const players = Array.from({ length: playerCount }, () => new Player(crypto.randomBytes(16).toString('hex'), url));
+    const registered = await Promise.allSettled(players.map(player => player.register()));
+    const rejected = registered.find((r) => r.status === 'rejected');
+    if (rejected) {
+        throw new Error(`Registering players failed: ${describeError(rejected.reason)}`);
+    }
+    if (typeof players[0][method] !== 'function') {
+        throw new Error(`Player has no ${method}() method, run zkwasm-dapp codegen`);
+    }
+    console.log(chalk.blue(`🚀 Sending ${command.name} at ${rate} tx/s for ${duration}s\n`));
+    const latencies = [];
+    const errors = {};
+    const timeline = [];
+    const pending = new Set();
+    let sent = 0;
+    let succeeded = 0;
+    let failed = 0;
+    let maxInFlight = 0;
+    let lastResult = 0;
+    const start = performance.now();
+    const secondAt = (time) => {
+        const second = Math.floor((time - start) / 1000);
+        while (timeline.length <= second) {
+            timeline.push({ second: timeline.length, sent: 0, succeeded: 0, failed: 0 });
+        }
+        return timeline[second];
+    };
+    const progress = setInterval(() => {
+        const elapsed = Math.round((performance.now() - start) / 1000);
+        console.log(chalk.gray(`[${elapsed}s] sent ${sent}, ok ${succeeded}, errors ${failed}, in flight ${pending.size}`));
+    }, 1000);
+    const interval = 1000 / rate;
+    const end = start + duration * 1000;
+    try {
+        for (let i = 0;; i++) {
+            const due = start + i * interval;
+            if (due >= end) {
+                break;
+            }
+            const wait = due - performance.now();
+            if (wait > 0) {
+                await delay(wait);
+            }
+            const player = players[i % players.length];
+            sent++;
+            secondAt(due).sent++;
+            const request = player[method](...args).then(() => {
+                succeeded++;
+                secondAt(performance.now()).succeeded++;
+            }, (error) => {
+                failed++;
+                secondAt(performance.now()).failed++;
+                const key = errorKey(error);
+                errors[key] = (errors[key] ?? 0) + 1;
+            }).finally(() => {
+                lastResult = performance.now();
+                latencies.push(lastResult - due);
+                pending.delete(request);
+            });
+            pending.add(request);
+            maxInFlight = Math.max(maxInFlight, pending.size);
+        }
+        if (pending.size > 0) {
+            console.log(chalk.gray(`Waiting up to ${drainTimeout}s for ${pending.size} pending transaction(s)...`));
+            await Promise.race([Promise.all(pending), delay(drainTimeout * 1000)]);
+        }
+    }
+    finally {
+        clearInterval(progress);
+    }
+    const elapsedSeconds = (Math.max(lastResult, end) - start) / 1000;
+    return {
+        command: command.name,
+        url,
+        players: playerCount,
+        targetRate: rate,
+        durationSeconds: duration,
+        sent,
+        succeeded,
+        failed,
+        unfinished: pending.size,
+        elapsedSeconds: round(elapsedSeconds),
+        throughput: round(succeeded / elapsedSeconds),
+        latencyMs: summarizeLatencies(latencies),
+        maxInFlight,
+        errors,
+        timeline
+    };
+}
+export function printBenchResult(result) {
+    console.log(chalk.blue(`\n📊 ${result.command}: ${result.players} player(s), ${result.targetRate} tx/s for ${result.durationSeconds}s against ${result.url}\n`));
+    const rows = [
+        ['Sent', String(result.sent)],
+        ['Succeeded', String(result.succeeded)],
+        ['Failed', String(result.failed)],
+        ['Unfinished', String(result.unfinished)],
+        ['Throughput', `${result.throughput} tx/s (target ${result.targetRate} tx/s)`],
+        ['Max in flight', String(result.maxInFlight)]
+    ];
+    rows.forEach(([label, value]) => console.log(`   ${label.padEnd(14)} ${value}`));
+    if (result.latencyMs) {
+        const latency = Object.entries(result.latencyMs).map(([name, value]) => `${name} ${value}`).join('  ');
+        console.log(`   ${'Latency (ms)'.padEnd(14)} ${latency}`);
+    }
+    const errors = Object.entries(result.errors).sort((a, b) => b[1] - a[1]);
+    if (errors.length > 0) {
+        console.log('\n   Errors');
+        const width = Math.max(...errors.map(([name]) => name.length));
+        errors.forEach(([name, count]) => console.log(chalk.yellow(`     ${name.padEnd(width)}  ${count}`)));
+    }
+    // Rejected transactions were still processed, only a backlog means the service fell behind
+    const completedRate = (result.succeeded + result.failed) / result.elapsedSeconds;
+    if (completedRate < result.targetRate * BEHIND_THRESHOLD || result.unfinished > 0) {
+        console.log(chalk.yellow(`\n⚠️  The service did not keep up with ${result.targetRate} tx/s, see the latency and in-flight numbers`));
+    }
+    else {
+        console.log(chalk.green(`\n✅ The service kept up with ${result.targetRate} tx/s`));
+    }
+}
+function summarizeLatencies(latencies) {
+    if (latencies.length === 0) {
+        return null;
+    }
+    const sorted = [...latencies].sort((a, b) => a - b);
+    // Nearest-rank percentile
+    const percentile = (p) => round(sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]);
+    return {
+        min: round(sorted[0]),
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p50: percentile(50),
+        p90: percentile(90),
+        p95: percentile(95),
+        p99: percentile(99),
+        max: round(sorted[sorted.length - 1])
+    };
+}
+// TransactionError from the template client carries the code and name from zkwasm.commands.json
+function errorKey(error) {
+    if (error?.errorName && error.code !== undefined) {
+        return `${error.errorName} (${error.code})`;
+    }
+    if (error?.name && error.name !== 'Error' && error.name !== 'ClientError') {
+        return error.name;
+    }
+    return describeError(error).slice(0, 60);
+}
+function describeError(error) {
+    return error?.message ? String(error.message) : String(error);
+}
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)(s|m)?$/.exec(String(value).trim());
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid duration "${value}", use seconds such as 30, 30s or 2m`);
+    }
+    return Number(match[1]) * (match[2] === 'm' ? 60 : 1);
+}
+function positiveNumber(value, name, integer = false) {
+    const number = Number(value);
+    if (!(number > 0) || (integer && !Number.isInteger(number))) {
+        throw new Error(`--${name} must be a positive ${integer ? 'integer' : 'number'}, got ${value}`);
+    }
+    return number;
+}
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+//# sourceMappingURL=bench.js.map
\ No newline at end of file
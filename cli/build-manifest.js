@@ -0,0 +1,154 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { getToolVersion } from './init-config.js';
+export const MANIFEST_FILE = 'manifest.json';
+// Read by the CI workflow to report the image MD5
+export const MD5_FILE = 'wasm.md5';
+export const WASM_ARTIFACT = path.join('application', 'application_bg.wasm');
+// Last build with a different image, kept out of the committed artifacts for `zkwasm-dapp diff`
+export const PREVIOUS_BUILD_DIR = path.join('target', 'zkwasm-previous');
+// Inputs of wasm-pack besides src/
+export const SOURCE_FILES = ['Cargo.toml', 'Cargo.lock', 'rust-toolchain', 'rust-toolchain.toml'];
+export async function writeBuildManifest(outputDir, profile, cwd = '.') {
+    const image = await fs.readFile(path.join(outputDir, WASM_ARTIFACT));
+    const md5 = hashBuffer('md5', image).toUpperCase();
+    const manifest = {
+        version: 1,
+        profile,
+        builtAt: new Date().toISOString(),
+        wasm: {
+            path: WASM_ARTIFACT.split(path.sep).join('/'),
+            md5,
+            sha256: hashBuffer('sha256', image),
+            size: image.length
+        },
+        toolchain: {
+            rustc: await optionalVersion('rustc', ['--version'], cwd),
+            wasmPack: await optionalVersion('wasm-pack', ['--version'], cwd),
+            wasmOpt: await optionalVersion('wasm-opt', ['--version'], cwd)
+        },
+        git: await getGitState(cwd, outputDir),
+        sourceHash: await hashSources(cwd)
+    };
+    await fs.writeJson(path.join(outputDir, MANIFEST_FILE), manifest, { spaces: 2 });
+    await fs.writeFile(path.join(outputDir, MD5_FILE), `${md5}\n`);
+    return manifest;
+}
+export async function readBuildManifest(outputDir) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    if (!await fs.pathExists(manifestPath)) {
+        return null;
+    }
+    try {
+        return await fs.readJson(manifestPath);
+    }
+    catch (error) {
+        throw new Error(`Failed to read ${manifestPath}: ${error.message}`);
+    }
+}
+// Moves the current artifacts aside when the new image differs from them
+export async function savePreviousBuild(outputDir, newWasmPath, cwd = '.') {
+    const currentPath = path.join(outputDir, WASM_ARTIFACT);
+    if (!await fs.pathExists(currentPath)) {
+        return false;
+    }
+    const current = await fs.readFile(currentPath);
+    if (current.equals(await fs.readFile(newWasmPath))) {
+        return false;
+    }
+    const previousDir = path.join(cwd, PREVIOUS_BUILD_DIR);
+    await fs.emptyDir(previousDir);
+    await fs.writeFile(path.join(previousDir, path.basename(WASM_ARTIFACT)), current);
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    if (await fs.pathExists(manifestPath)) {
+        await fs.copy(manifestPath, path.join(previousDir, MANIFEST_FILE));
+    }
+    return true;
+}
+// Compares the artifacts and the source tree against the manifest of the last build
+export async function getArtifactStatus(outputDir, cwd = '.') {
+    const manifest = await readBuildManifest(outputDir);
+    const wasmPath = path.join(outputDir, WASM_ARTIFACT);
+    const md5 = await fs.pathExists(wasmPath)
+        ? hashBuffer('md5', await fs.readFile(wasmPath)).toUpperCase()
+        : undefined;
+    if (!manifest) {
+        return { manifest, md5, modified: false, stale: false, commitChanged: false };
+    }
+    const git = await getGitState(cwd, outputDir);
+    return {
+        manifest,
+        md5,
+        modified: md5 !== manifest.wasm.md5,
+        stale: await hashSources(cwd) !== manifest.sourceHash,
+        commitChanged: Boolean(git.commit && manifest.git.commit && git.commit !== manifest.git.commit)
+    };
+}
+export async function hashSources(cwd = '.') {
+    const files = [...await listFiles(path.join(cwd, 'src'))];
+    for (const file of SOURCE_FILES) {
+        if (await fs.pathExists(path.join(cwd, file))) {
+            files.push(path.join(cwd, file));
+        }
+    }
+    const hash = crypto.createHash('sha256');
+    for (const file of files.map(f => path.relative(cwd, f).split(path.sep).join('/')).sort()) {
+        hash.update(file);
+        hash.update('\0');
+        hash.update(await fs.readFile(path.join(cwd, file)));
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+function hashBuffer(algorithm, data) {
+    return crypto.createHash(algorithm).update(data).digest('hex');
+}
+async function listFiles(dir) {
+    if (!await fs.pathExists(dir)) {
+        return [];
+    }
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(entryPath));
+        }
+        else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+async function optionalVersion(cmd, args, cwd) {
+    try {
+        // Run in the project so rust-toolchain overrides apply
+        return await getToolVersion(cmd, args, cwd);
+    }
+    catch {
+        return undefined;
+    }
+}
+async function getGitState(cwd, outputDir) {
+    const commit = await capture('git', ['rev-parse', 'HEAD'], cwd);
+    if (commit === null) {
+        return {};
+    }
+    // The artifacts are committed, so changes to them do not make the tree dirty
+    const exclude = `:(exclude)${path.relative(path.resolve(cwd), path.resolve(outputDir)) || '.'}`;
+    const status = await capture('git', ['status', '--porcelain', '--', '.', exclude], cwd);
+    return { commit: commit.trim(), dirty: status !== null && status.trim().length > 0 };
+}
+function capture(cmd, args, cwd) {
+    return new Promise((resolve) => {
+        const child = spawn(cmd, args, { cwd, stdio: ['ignore', 'pipe', 'ignore'] });
+        let output = '';
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        child.on('close', (code) => resolve(code === 0 ? output : null));
+        child.on('error', () => resolve(null));
+    });
+}
+//# sourceMappingURL=build-manifest.js.map
\ No newline at end of file
@@ -0,0 +1,234 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { savePreviousBuild, writeBuildManifest } from './build-manifest.js';
+import { COMMANDS_SCHEMA, runCodegen } from './codegen.js';
+import { runTypesCodegen, TS_TYPES_FILE } from './rust-types.js';
+import { getOutputDir, loadConfig } from './config.js';
+
+export type BuildProfile = 'development' | 'testing' | 'production';
+
+export interface BuildOptions {
+  release?: boolean;
+  profile?: string;
+  outputDir?: string;
+  // Skip copying into zkwasm-ts-server, used for builds outside the project tree
+  skipInstall?: boolean;
+  // Leave the output directory and manifest untouched, used by `dev`
+  skipArtifacts?: boolean;
+  cwd?: string;
+  // Used by `dev` to prefix the build output, console.log and inherited stdio by default
+  log?: (message: string) => void;
+  run?: (cmd: string, args: string[], cwd: string) => Promise<void>;
+}
+
+export interface BuildStep {
+  name: string;
+  durationMs: number;
+}
+
+export interface BuildResult {
+  profile: BuildProfile;
+  outputDir: string;
+  wasmPath: string;
+  md5: string;
+  steps: BuildStep[];
+  // Generated sources written by this build, relative to cwd
+  generated: string[];
+}
+
+interface ProfileSettings {
+  wasmPackArgs: string[];
+  wasmOptArgs: string[] | null;
+}
+
+export const BUILD_PROFILES: Record<BuildProfile, ProfileSettings> = {
+  development: {
+    wasmPackArgs: ['--dev'],
+    wasmOptArgs: null
+  },
+  testing: {
+    wasmPackArgs: ['--dev', '--', '--features', 'test'],
+    wasmOptArgs: null
+  },
+  production: {
+    wasmPackArgs: ['--release'],
+    wasmOptArgs: ['-Oz']
+  }
+};
+
+// Same locations as the Makefile
+const PKG_DIR = 'pkg';
+export const INSTALL_DIR = 'ts/node_modules/zkwasm-ts-server/src/application';
+const RUNNING_DIR = 'ts/node_modules/zkwasm-ts-server';
+const WASM_FILES = ['application_bg.wasm', 'application_bg.wasm.d.ts'];
+
+export async function buildProject(options: BuildOptions = {}): Promise<BuildResult> {
+  const cwd = path.resolve(options.cwd || '.');
+  const config = await loadConfig(path.join(cwd, 'zkwasm.config.json'));
+  const profile = resolveProfile(options.release ? 'production' : options.profile || config.environment || config.deployment?.environment);
+  const settings = BUILD_PROFILES[profile];
+  const outputDir = path.resolve(cwd, options.outputDir || getOutputDir(config));
+  const steps: BuildStep[] = [];
+  const generated: string[] = [];
+  const started = Date.now();
+  const log = options.log ?? ((message: string) => console.log(message));
+  const run = options.run ?? runCommand;
+
+  log(chalk.blue(`🔨 Building zkWasm application (${profile} profile)...`));
+  if (!options.skipArtifacts) {
+    log(chalk.gray(`   Output directory: ${path.relative(process.cwd(), outputDir) || '.'}`));
+  }
+  log('');
+
+  const step = async (name: string, fn: () => Promise<void>): Promise<void> => {
+    const stepStarted = Date.now();
+    log(chalk.blue(`▶ ${name}`));
+    await fn();
+    const durationMs = Date.now() - stepStarted;
+    steps.push({ name, durationMs });
+    log(chalk.green(`✔ ${name} ${chalk.gray(`(${formatDuration(durationMs)})`)}`));
+  };
+
+  const adminKey = path.join(cwd, 'src/admin.pubkey');
+  const initAdmin = path.join(cwd, 'ts/node_modules/zkwasm-ts-server/src/init_admin.js');
+  if (!await fs.pathExists(adminKey) && await fs.pathExists(initAdmin)) {
+    await step('Generate admin key', () => run('node', [initAdmin, adminKey], cwd));
+  }
+
+  // Keeps src/commands.rs and ts/src/commands.ts in sync with the command schema
+  if (await fs.pathExists(path.join(cwd, COMMANDS_SCHEMA))) {
+    await step('Generate command bindings', async () => {
+      const written = (await runCodegen({ cwd })).filter(file => file.status === 'written');
+      written.forEach(file => log(chalk.gray(`   Updated ${file.path}`)));
+      generated.push(...written.map(file => file.path));
+    });
+  }
+
+  // Projects that generated ts/src/types.ts keep it in sync with the Rust state structs
+  if (await fs.pathExists(path.join(cwd, TS_TYPES_FILE))) {
+    await step('Generate state types', async () => {
+      const result = await runTypesCodegen({ cwd });
+      result.warnings.forEach(warning => log(chalk.yellow(`   ⚠️  ${warning}`)));
+      const written = result.files.filter(file => file.status === 'written');
+      written.forEach(file => log(chalk.gray(`   Updated ${file.path}`)));
+      generated.push(...written.map(file => file.path));
+    });
+  }
+
+  if (!options.skipInstall && !await fs.pathExists(path.join(cwd, 'ts/src/service.js'))) {
+    await step('Compile TypeScript service', () => run('npx', ['tsc'], path.join(cwd, 'ts')));
+  }
+
+  await step(`wasm-pack build (${profile})`, () => run(
+    'wasm-pack',
+    ['build', ...withOutputArgs(settings.wasmPackArgs)],
+    cwd
+  ));
+
+  const pkgWasm = path.join(cwd, PKG_DIR, 'application_bg.wasm');
+  if (settings.wasmOptArgs) {
+    await step(`wasm-opt ${settings.wasmOptArgs.join(' ')}`, () => run(
+      'wasm-opt',
+      [...settings.wasmOptArgs as string[], '-o', pkgWasm, pkgWasm],
+      cwd
+    ));
+  }
+
+  if (!options.skipInstall) {
+    const installDir = path.join(cwd, INSTALL_DIR);
+    if (await fs.pathExists(path.join(cwd, RUNNING_DIR))) {
+      await step('Install into zkwasm-ts-server', async () => {
+        await copyWasmFiles(path.join(cwd, PKG_DIR), installDir);
+        await run('npx', ['tsc'], path.join(cwd, RUNNING_DIR));
+      });
+    } else {
+      log(chalk.yellow('⚠️  zkwasm-ts-server not installed, skipping service install (run: cd ts && npm install)'));
+    }
+  }
+
+  if (options.skipArtifacts) {
+    const md5 = crypto.createHash('md5').update(await fs.readFile(pkgWasm)).digest('hex').toUpperCase();
+    log(chalk.green(`✅ Build completed in ${formatDuration(Date.now() - started)} ${chalk.gray(`(MD5 ${md5})`)}`));
+    return { profile, outputDir, wasmPath: pkgWasm, md5, steps, generated };
+  }
+
+  await step('Copy build artifacts', async () => {
+    if (await savePreviousBuild(outputDir, pkgWasm, cwd)) {
+      log(chalk.gray('   Previous build kept for: zkwasm-dapp diff'));
+    }
+    await copyWasmFiles(path.join(cwd, PKG_DIR), path.join(outputDir, 'application'));
+  });
+
+  let md5 = '';
+  await step('Write build manifest', async () => {
+    md5 = (await writeBuildManifest(outputDir, profile, cwd)).wasm.md5;
+  });
+
+  log(chalk.green(`\n✅ Build completed in ${formatDuration(Date.now() - started)}`));
+  log(chalk.gray(`   WASM MD5: ${md5}`));
+
+  const wasmPath = path.join(outputDir, 'application', 'application_bg.wasm');
+  return { profile, outputDir, wasmPath, md5, steps, generated };
+}
+
+export function resolveProfile(value?: string): BuildProfile {
+  const aliases: Record<string, BuildProfile> = {
+    dev: 'development',
+    development: 'development',
+    test: 'testing',
+    testing: 'testing',
+    prod: 'production',
+    production: 'production',
+    release: 'production'
+  };
+
+  if (!value) {
+    return 'production';
+  }
+
+  const profile = aliases[value.toLowerCase()];
+  if (!profile) {
+    throw new Error(`Unknown build profile "${value}". Use development, testing or production`);
+  }
+  return profile;
+}
+
+function withOutputArgs(profileArgs: string[]): string[] {
+  // Cargo arguments after "--" must stay last
+  const separator = profileArgs.indexOf('--');
+  const own = separator === -1 ? profileArgs : profileArgs.slice(0, separator);
+  const cargo = separator === -1 ? [] : profileArgs.slice(separator);
+  return [...own, '--out-name', 'application', '--out-dir', PKG_DIR, ...cargo];
+}
+
+async function copyWasmFiles(fromDir: string, toDir: string): Promise<void> {
+  await fs.ensureDir(toDir);
+  for (const file of WASM_FILES) {
+    await fs.copy(path.join(fromDir, file), path.join(toDir, file));
+  }
+}
+
+function formatDuration(ms: number): string {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+export async function runCommand(cmd: string, args: string[], cwd: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { cwd, stdio: 'inherit' });
+
+    child.on('close', (code: number | null) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${cmd} ${args.join(' ')} failed with code ${code}`));
+      }
+    });
+
+    child.on('error', (error: Error) => {
+      reject(new Error(`Failed to run ${cmd}: ${error.message}`));
+    });
+  });
+}
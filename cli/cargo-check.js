@@ -0,0 +1,291 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { getTomlValue, isTable, parseToml, TomlError } from './toml.js';
+export const WASM_TARGET = 'wasm32-unknown-unknown';
+export const REQUIRED_DEPENDENCIES = [
+    { name: 'zkwasm-rest-abi', git: 'https://github.com/DelphinusLab/zkwasm-mini-rollup' },
+    { name: 'zkwasm-rust-sdk', git: 'https://github.com/DelphinusLab/zkWasm-rust' },
+    { name: 'wasm-bindgen', series: '0.2' },
+    { name: 'serde', series: '1', features: ['derive'] },
+    { name: 'lazy_static', series: '1' }
+];
+// Nightly builds are made from the previous day's commits
+const NIGHTLY_COMMIT_LAG_DAYS = 2;
+const RUSTC_TIMEOUT_MS = 30000;
+export async function checkCargoManifest(dir = '.') {
+    const checks = [];
+    const check = (id, status, message) => checks.push({ id, status, message });
+    let manifest;
+    try {
+        manifest = parseToml(await fs.readFile(path.join(dir, 'Cargo.toml'), 'utf8'));
+    }
+    catch (error) {
+        const message = error instanceof TomlError
+            ? `Cargo.toml is not valid TOML: ${error.message}`
+            : `Failed to read Cargo.toml: ${error.message}`;
+        check('cargo-toml', 'fail', message);
+        return checks;
+    }
+    const name = getTomlValue(manifest, 'package.name');
+    if (typeof name !== 'string') {
+        check('cargo-toml', 'fail', 'Cargo.toml missing [package] name');
+    }
+    else {
+        check('cargo-toml', 'pass', `Cargo.toml parsed, package ${name}`);
+    }
+    const crateType = getTomlValue(manifest, 'lib.crate-type');
+    if (Array.isArray(crateType) && crateType.includes('cdylib')) {
+        check('cargo-crate-type', 'pass', 'Cargo.toml crate-type includes "cdylib"');
+    }
+    else {
+        check('cargo-crate-type', 'fail', 'Cargo.toml [lib] crate-type must include "cdylib" to build a WASM module');
+    }
+    const dependencies = getTomlValue(manifest, 'dependencies');
+    const locked = await readLockedSources(dir);
+    for (const rule of REQUIRED_DEPENDENCIES) {
+        const spec = isTable(dependencies) ? dependencies[rule.name] : undefined;
+        const [status, message] = checkDependency(rule, spec, locked);
+        check(`cargo-dependency:${rule.name}`, status, message);
+    }
+    checkReleaseProfile(getTomlValue(manifest, 'profile.release'), check);
+    return checks;
+}
+function checkDependency(rule, spec, locked) {
+    const { name } = rule;
+    if (spec === undefined) {
+        return ['fail', `Cargo.toml is missing the ${name} dependency`];
+    }
+    const table = typeof spec === 'string' ? { version: spec } : isTable(spec) ? spec : {};
+    if (typeof table.path === 'string') {
+        return ['pass', `${name} uses the local path ${table.path}`];
+    }
+    if (rule.git) {
+        if (typeof table.git !== 'string') {
+            return ['fail', `${name} must be a git dependency on ${rule.git}`];
+        }
+        if (normalizeGitUrl(table.git) !== normalizeGitUrl(rule.git)) {
+            return ['warn', `${name} comes from ${table.git} instead of ${rule.git}`];
+        }
+        for (const key of ['rev', 'tag']) {
+            if (typeof table[key] === 'string') {
+                return ['pass', `${name} is pinned to ${key} ${table[key]}`];
+            }
+        }
+        const commit = locked?.get(name)?.match(/#([0-9a-f]+)$/)?.[1];
+        if (commit) {
+            return ['pass', `${name} is locked to commit ${commit.slice(0, 12)} in Cargo.lock`];
+        }
+        const follows = typeof table.branch === 'string' ? `branch ${table.branch}` : 'the default branch';
+        return ['warn', `${name} follows ${follows} without a Cargo.lock entry; commit Cargo.lock or set rev for reproducible builds`];
+    }
+    if (typeof table.git === 'string') {
+        return ['warn', `${name} comes from ${table.git}, expected a ${rule.series}.x release from crates.io`];
+    }
+    if (typeof table.version !== 'string') {
+        return ['fail', `${name} has no version requirement, expected ${rule.series}.x`];
+    }
+    const series = requirementSeries(table.version);
+    if (series === null) {
+        return ['warn', `${name} = "${table.version}" is not bounded to a release series, expected ${rule.series}.x`];
+    }
+    if (series !== rule.series) {
+        return ['fail', `${name} = "${table.version}" is not compatible with ${rule.series}.x`];
+    }
+    const features = Array.isArray(table.features) ? table.features : [];
+    const missing = (rule.features ?? []).filter(feature => !features.includes(feature));
+    if (missing.length > 0) {
+        return ['fail', `${name} needs features = [${missing.map(feature => `"${feature}"`).join(', ')}]`];
+    }
+    return ['pass', `${name} = "${table.version}"`];
+}
+// Cargo treats "1.4.0" as ^1.4.0, compatible releases share the major version, or the minor version below 1.0
+function requirementSeries(requirement) {
+    const first = requirement.split(',')[0].trim();
+    const match = /^(\^|~|=)?\s*(\d+)(?:\.(\d+))?/.exec(first);
+    if (!match) {
+        return null;
+    }
+    const [, , major, minor] = match;
+    if (major !== '0') {
+        return major;
+    }
+    return minor === undefined ? null : `0.${minor}`;
+}
+function normalizeGitUrl(url) {
+    return url.trim().toLowerCase().replace(/\/+$/, '').replace(/\.git$/, '');
+}
+// Sources of the git packages in Cargo.lock, e.g. "git+https://...?branch=release-v1#<commit>"
+async function readLockedSources(dir) {
+    const lockFile = path.join(dir, 'Cargo.lock');
+    if (!await fs.pathExists(lockFile)) {
+        return null;
+    }
+    try {
+        const packages = parseToml(await fs.readFile(lockFile, 'utf8')).package;
+        const sources = new Map();
+        for (const entry of Array.isArray(packages) ? packages : []) {
+            if (isTable(entry) && typeof entry.name === 'string' && typeof entry.source === 'string' && entry.source.startsWith('git+')) {
+                sources.set(entry.name, entry.source);
+            }
+        }
+        return sources;
+    }
+    catch {
+        return null;
+    }
+}
+// Production builds run wasm-opt as well, but it cannot undo per-crate codegen or inlining for speed
+function checkReleaseProfile(profile, check) {
+    const release = isTable(profile) ? profile : {};
+    const setting = (key, fallback) => release[key] === undefined
+        ? `${key} is not set (Cargo uses ${fallback})`
+        : `${key} = ${JSON.stringify(release[key])}`;
+    const optLevel = release['opt-level'];
+    if (optLevel === 's' || optLevel === 'z') {
+        check('cargo-profile-release:opt-level', 'pass', `[profile.release] ${setting('opt-level', '3')}`);
+    }
+    else {
+        check('cargo-profile-release:opt-level', 'warn', `[profile.release] ${setting('opt-level', '3')}; "z" or "s" gives a smaller WASM`);
+    }
+    const lto = release.lto;
+    if (lto === true || lto === 'fat') {
+        check('cargo-profile-release:lto', 'pass', `[profile.release] ${setting('lto', 'false')}`);
+    }
+    else {
+        check('cargo-profile-release:lto', 'warn', `[profile.release] ${setting('lto', 'false')}; lto = true removes unused code across crates`);
+    }
+    if (release['codegen-units'] === 1) {
+        check('cargo-profile-release:codegen-units', 'pass', `[profile.release] ${setting('codegen-units', '16')}`);
+    }
+    else {
+        check('cargo-profile-release:codegen-units', 'warn', `[profile.release] ${setting('codegen-units', '16')}; codegen-units = 1 optimizes the crate as a whole`);
+    }
+    const debug = release.debug;
+    if (debug === undefined || debug === false || debug === 0 || debug === 'none') {
+        check('cargo-profile-release:debug', 'pass', '[profile.release] builds without debug info');
+    }
+    else {
+        check('cargo-profile-release:debug', 'warn', `[profile.release] ${setting('debug', 'false')}; debug info makes the WASM larger`);
+    }
+}
+export async function checkRustToolchain(dir = '.') {
+    const checks = [];
+    const check = (id, status, message) => checks.push({ id, status, message });
+    let pinned;
+    try {
+        pinned = await readPinnedToolchain(dir);
+    }
+    catch (error) {
+        check('rust-toolchain', 'fail', error.message);
+    }
+    if (!pinned && checks.length === 0) {
+        check('rust-toolchain', 'warn', 'No rust-toolchain file, builds use the default toolchain and may not be reproducible');
+    }
+    const version = await runRustc(['-vV'], dir);
+    if (version === null) {
+        check('rustc', 'warn', 'rustc not found, skipped the toolchain checks. Install Rust from https://rustup.rs');
+        return checks;
+    }
+    if (version.code !== 0) {
+        const message = pinned && /is not installed/.test(version.stderr)
+            ? `Toolchain ${pinned} from rust-toolchain is not installed. Run: rustup toolchain install ${pinned} --target ${WASM_TARGET}`
+            : `rustc failed: ${version.stderr.trim().split('\n')[0] || `exit code ${version.code}`}`;
+        check('rustc', 'fail', message);
+        return checks;
+    }
+    const info = Object.fromEntries(version.stdout.split('\n')
+        .map(line => line.match(/^([\w-]+):\s*(.*)$/))
+        .filter((match) => match !== null)
+        .map(match => [match[1], match[2].trim()]));
+    const release = info.release ?? 'unknown';
+    const reported = info['commit-date'] ? `${release} (${info['commit-date']})` : release;
+    if (!pinned) {
+        check('rustc', 'pass', `rustc ${reported}`);
+    }
+    else if (toolchainMatches(pinned, release, info['commit-date'])) {
+        check('rustc', 'pass', `rustc ${reported} matches rust-toolchain (${pinned})`);
+    }
+    else {
+        check('rustc', 'fail', `rust-toolchain pins ${pinned}, but rustc reports ${reported}. Check RUSTUP_TOOLCHAIN and rustup override list`);
+    }
+    const sysroot = await runRustc(['--print', 'sysroot'], dir);
+    const toolchain = pinned ?? release;
+    if (sysroot?.code === 0 && await fs.pathExists(path.join(sysroot.stdout.trim(), 'lib', 'rustlib', WASM_TARGET))) {
+        check('rust-wasm-target', 'pass', `${WASM_TARGET} target installed for ${toolchain}`);
+    }
+    else {
+        const hint = pinned ? `rustup target add ${WASM_TARGET} --toolchain ${pinned}` : `rustup target add ${WASM_TARGET}`;
+        check('rust-wasm-target', 'fail', `${WASM_TARGET} target is not installed for ${toolchain}. Run: ${hint}`);
+    }
+    return checks;
+}
+export async function readPinnedToolchain(dir) {
+    for (const file of ['rust-toolchain', 'rust-toolchain.toml']) {
+        const target = path.join(dir, file);
+        if (!await fs.pathExists(target)) {
+            continue;
+        }
+        const content = (await fs.readFile(target, 'utf8')).trim();
+        // rust-toolchain may hold just the channel name
+        if (file === 'rust-toolchain' && !content.includes('=')) {
+            return content.split(/\r?\n/)[0] || undefined;
+        }
+        try {
+            const channel = getTomlValue(parseToml(content), 'toolchain.channel');
+            return typeof channel === 'string' ? channel : undefined;
+        }
+        catch (error) {
+            throw new Error(`${file} is not valid TOML: ${error.message}`);
+        }
+    }
+    return undefined;
+}
+// Channels such as nightly-2023-06-01, stable or 1.72.0, optionally followed by a host triple
+function toolchainMatches(pinned, release, commitDate) {
+    const match = /^(stable|beta|nightly|\d+\.\d+(?:\.\d+)?)(?:-(\d{4}-\d{2}-\d{2}))?/.exec(pinned);
+    if (!match) {
+        // Custom toolchain names can not be compared with the version
+        return true;
+    }
+    const [, channel, date] = match;
+    const [version, suffix] = release.split('-');
+    // e.g. 1.73.0-beta.2
+    const prerelease = suffix?.split('.')[0];
+    if (/^\d/.test(channel)) {
+        return !prerelease && (version === channel || version.startsWith(`${channel}.`));
+    }
+    if (channel === 'stable') {
+        return !prerelease;
+    }
+    if (prerelease !== channel) {
+        return false;
+    }
+    if (channel !== 'nightly' || !date || !commitDate) {
+        return true;
+    }
+    const lag = (Date.parse(date) - Date.parse(commitDate)) / 86400000;
+    return lag >= 0 && lag <= NIGHTLY_COMMIT_LAG_DAYS;
+}
+// rustup would otherwise download a missing pinned toolchain in the middle of validate
+function runRustc(args, cwd) {
+    return new Promise((resolve) => {
+        const child = spawn('rustc', args, {
+            cwd,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            env: { ...process.env, RUSTUP_AUTO_INSTALL: '0' },
+            timeout: RUSTC_TIMEOUT_MS
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        child.on('close', (code) => resolve({ code, stdout, stderr }));
+        child.on('error', () => resolve(null));
+    });
+}
+//# sourceMappingURL=cargo-check.js.map
\ No newline at end of file
@@ -2,27 +2,43 @@ import chalk from 'chalk';
 import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
-const endpoint = "https://rpc.zkwasmhub.com:8090";
+import { getArtifactStatus } from './build-manifest.js';
+import { getOutputDir, loadConfig, resolveNetwork } from './config.js';
+import { recordCheck, summarize } from './report.js';
+import { analyzeWasm } from './wasm-analysis.js';
+import { parseWasm } from './wasm-parser.js';
+import { analyzeSize, budgetStatus, checkSizeBudget } from './wasm-size.js';
 export async function checkDeployment(options = {}) {
     const verbose = options.verbose || false;
     const results = {
         success: true,
+        checks: [],
         warnings: [],
         errors: [],
         info: {}
     };
+    const config = await loadConfig();
+    const network = await resolveNetwork(options.network, config);
+    const artifactsDir = getOutputDir(config);
+    results.info.network = network.name;
+    results.info.hubUrl = network.hubUrl;
     console.log(chalk.blue('🔍 Starting deployment readiness check...\n'));
+    console.log(chalk.gray(`Network: ${network.name} (${network.hubUrl})\n`));
     // 1. Check if build artifacts exist
-    await checkBuildArtifacts(results, verbose);
+    await checkBuildArtifacts(results, artifactsDir, verbose);
     // 2. Check WASM file integrity and MD5 tracking
-    await checkWasmIntegrity(results, verbose);
-    // 3. Check zkWasm hub image availability
-    await checkZkWasmImage(results, verbose);
-    // 4. Check CI/CD configuration files
+    await checkWasmIntegrity(results, artifactsDir, verbose);
+    // 3. Check imports, exports, instructions and memory of the WASM module
+    await checkWasmModule(results, artifactsDir, config, verbose);
+    // 4. Check artifacts against the build manifest and current sources
+    await checkBuildManifest(results, artifactsDir, verbose);
+    // 5. Check zkWasm hub image availability
+    await checkZkWasmImage(results, network.hubUrl, verbose);
+    // 6. Check CI/CD configuration files
     await checkCiFiles(results, verbose);
     // Summary
     console.log('\n' + chalk.blue('📋 Deployment Check Summary:'));
-    const totalPassed = 4 - results.errors.length; // Now 4 main checks
+    const totalPassed = summarize(results.checks).passed;
     console.log(`${chalk.green('✅ Checks passed:')} ${totalPassed}`);
     if (results.warnings.length > 0) {
         console.log(`${chalk.yellow('⚠️  Warnings:')} ${results.warnings.length}`);
@@ -33,7 +49,6 @@ export async function checkDeployment(options = {}) {
     if (results.errors.length > 0) {
         console.log(`${chalk.red('❌ Errors:')} ${results.errors.length}`);
         results.errors.forEach(e => console.log(chalk.red(`   - ${e}`)));
-        results.success = false;
     }
     if (results.success) {
         console.log(chalk.green('\n✅ All deployment checks passed!'));
@@ -52,40 +67,43 @@ export async function checkDeployment(options = {}) {
     }
     return results;
 }
-async function checkBuildArtifacts(results, verbose) {
-    const artifactsDir = './build-artifacts';
+async function checkBuildArtifacts(results, artifactsDir, verbose) {
     const applicationDir = path.join(artifactsDir, 'application');
     if (verbose)
         console.log(chalk.blue('Checking build artifacts...'));
     if (!await fs.pathExists(artifactsDir)) {
-        results.errors.push('build-artifacts directory not found');
+        recordCheck(results, 'build-artifacts', 'fail', `${artifactsDir} directory not found (run: zkwasm-dapp build)`);
         return;
     }
     if (!await fs.pathExists(applicationDir)) {
-        results.errors.push('build-artifacts/application directory not found');
+        recordCheck(results, 'build-artifacts', 'fail', `${applicationDir} directory not found`);
         return;
     }
+    recordCheck(results, 'build-artifacts', 'pass', `Build artifacts found in ${applicationDir}`);
     const requiredFiles = [
-        'application_bg.wasm',
-        'application_bg.wasm.d.ts'
+        { file: 'application_bg.wasm', id: 'artifact-wasm' },
+        { file: 'application_bg.wasm.d.ts', id: 'artifact-wasm-dts' }
     ];
-    for (const file of requiredFiles) {
+    for (const { file, id } of requiredFiles) {
         const filePath = path.join(applicationDir, file);
         if (!await fs.pathExists(filePath)) {
-            results.errors.push(`Required file missing: ${filePath}`);
+            recordCheck(results, id, 'fail', `Required file missing: ${filePath}`);
         }
-        else if (verbose) {
+        else {
             const stats = await fs.stat(filePath);
-            console.log(chalk.green(`  ✅ ${file} (${(stats.size / 1024).toFixed(2)} KB)`));
+            recordCheck(results, id, 'pass', `${file} (${(stats.size / 1024).toFixed(2)} KB)`);
+            if (verbose) {
+                console.log(chalk.green(`  ✅ ${file} (${(stats.size / 1024).toFixed(2)} KB)`));
+            }
         }
     }
 }
-async function checkWasmIntegrity(results, verbose) {
-    const wasmPath = './build-artifacts/application/application_bg.wasm';
+async function checkWasmIntegrity(results, artifactsDir, verbose) {
+    const wasmPath = path.join(artifactsDir, 'application', 'application_bg.wasm');
     if (verbose)
         console.log(chalk.blue('Checking WASM file integrity...'));
     if (!await fs.pathExists(wasmPath)) {
-        results.errors.push('WASM file not found for integrity check');
+        recordCheck(results, 'wasm-integrity', 'fail', 'WASM file not found for integrity check');
         return;
     }
     try {
@@ -93,16 +111,92 @@ async function checkWasmIntegrity(results, verbose) {
         const md5Hash = crypto.createHash('md5').update(wasmBuffer).digest('hex').toUpperCase();
         results.info.md5Hash = md5Hash;
         results.info.wasmSize = wasmBuffer.length;
+        recordCheck(results, 'wasm-integrity', 'pass', `WASM MD5: ${md5Hash} (${(wasmBuffer.length / 1024).toFixed(2)} KB)`);
         if (verbose) {
             console.log(chalk.green(`  ✅ WASM MD5: ${md5Hash}`));
             console.log(chalk.green(`  ✅ WASM Size: ${(wasmBuffer.length / 1024).toFixed(2)} KB`));
         }
     }
     catch (error) {
-        results.errors.push(`Failed to calculate WASM hash: ${error.message}`);
+        recordCheck(results, 'wasm-integrity', 'fail', `Failed to calculate WASM hash: ${error.message}`);
     }
 }
-async function queryZkWasmImage(md5) {
+async function checkWasmModule(results, artifactsDir, config, verbose) {
+    const wasmPath = path.join(artifactsDir, 'application', 'application_bg.wasm');
+    if (verbose)
+        console.log(chalk.blue('Analyzing WASM module...'));
+    if (!await fs.pathExists(wasmPath)) {
+        return;
+    }
+    try {
+        const module = parseWasm(await fs.readFile(wasmPath));
+        recordCheck(results, 'wasm-parse', 'pass', `${module.functions.length} functions, ${module.imports.length} imports, ${module.exports.length} exports`);
+        const findings = analyzeWasm(module, {
+            allowedImports: config.build?.allowedImports,
+            maxMemoryPages: config.build?.maxMemoryPages
+        });
+        for (const finding of findings) {
+            recordCheck(results, finding.id, finding.status, finding.message);
+        }
+        const budget = config.build?.sizeBudget;
+        if (budget) {
+            try {
+                const { status, message } = budgetStatus(checkSizeBudget(analyzeSize(module), budget));
+                recordCheck(results, 'size-budget', status, message);
+            }
+            catch (error) {
+                recordCheck(results, 'size-budget', 'fail', `Invalid build.sizeBudget: ${error.message}`);
+            }
+        }
+        if (verbose) {
+            console.log(chalk.gray(`  Imports: ${module.imports.map(entry => `${entry.module}.${entry.name}`).join(', ') || 'none'}`));
+            console.log(chalk.gray(`  Exports: ${module.exports.map(entry => entry.name).join(', ') || 'none'}`));
+            for (const finding of findings) {
+                const icon = finding.status === 'pass' ? chalk.green('  ✅') : chalk.red('  ❌');
+                console.log(`${icon} ${finding.message}`);
+            }
+        }
+    }
+    catch (error) {
+        recordCheck(results, 'wasm-parse', 'fail', `Failed to parse WASM: ${error.message}`);
+    }
+}
+async function checkBuildManifest(results, artifactsDir, verbose) {
+    if (verbose)
+        console.log(chalk.blue('Checking build manifest...'));
+    try {
+        const status = await getArtifactStatus(artifactsDir);
+        const { manifest } = status;
+        if (!manifest) {
+            recordCheck(results, 'build-manifest', 'warn', `No ${path.join(artifactsDir, 'manifest.json')} found, rebuild with: zkwasm-dapp build`);
+            return;
+        }
+        if (status.modified) {
+            recordCheck(results, 'build-manifest', 'warn', `WASM MD5 ${status.md5 ?? 'missing'} does not match the build manifest (${manifest.wasm.md5})`);
+        }
+        else if (status.stale) {
+            recordCheck(results, 'build-manifest', 'warn', `Sources changed since the last build (${manifest.builtAt}), rebuild with: zkwasm-dapp build`);
+        }
+        else {
+            const commit = manifest.git.commit ? ` from ${manifest.git.commit.slice(0, 8)}${manifest.git.dirty ? ' (dirty)' : ''}` : '';
+            recordCheck(results, 'build-manifest', 'pass', `Artifacts match sources (${manifest.profile} build${commit})`);
+        }
+        if (verbose) {
+            console.log(chalk.gray(`  Built at: ${manifest.builtAt}`));
+            console.log(chalk.gray(`  Profile: ${manifest.profile}`));
+            console.log(chalk.gray(`  rustc: ${manifest.toolchain.rustc ?? 'unknown'}`));
+            console.log(chalk.gray(`  wasm-pack: ${manifest.toolchain.wasmPack ?? 'unknown'}`));
+            console.log(chalk.gray(`  wasm-opt: ${manifest.toolchain.wasmOpt ?? 'unknown'}`));
+            if (status.commitChanged && !status.stale) {
+                console.log(chalk.gray(`  Built from commit ${manifest.git.commit}, sources unchanged since`));
+            }
+        }
+    }
+    catch (error) {
+        recordCheck(results, 'build-manifest', 'warn', `Failed to read build manifest: ${error.message}`);
+    }
+}
+export async function queryZkWasmImage(endpoint, md5) {
     try {
         const url = `${endpoint}/image`;
         const params = new URLSearchParams({ md5 });
@@ -128,20 +222,20 @@ async function queryZkWasmImage(md5) {
         throw new Error(`Failed to query zkWasm hub: ${error.message}`);
     }
 }
-async function checkZkWasmImage(results, verbose) {
+async function checkZkWasmImage(results, endpoint, verbose) {
     if (verbose)
         console.log(chalk.blue('Checking zkWasm hub image availability...'));
     // Use the MD5 from WASM integrity check as imageHash
     const imageHash = results.info.md5Hash;
     if (!imageHash) {
-        results.errors.push('No WASM MD5 hash available for image check');
+        recordCheck(results, 'hub-image', 'fail', 'No WASM MD5 hash available for image check');
         return;
     }
     try {
         // Query zkWasm hub directly
-        const imageInfo = await queryZkWasmImage(imageHash);
+        const imageInfo = await queryZkWasmImage(endpoint, imageHash);
         if (!imageInfo || !imageInfo.checksum) {
-            results.errors.push(`Image not found: ${imageHash}. Please publish the image first using the publish.sh script in your local environment or use zkwasm-dapp publish command.`);
+            recordCheck(results, 'hub-image', 'fail', `Image not found: ${imageHash}. Please publish the image first using the zkwasm-dapp publish command.`);
             if (verbose) {
                 console.log(chalk.red(`  ❌ Image ${imageHash} not found on zkWasm hub`));
             }
@@ -149,6 +243,7 @@ async function checkZkWasmImage(results, verbose) {
         else {
             results.info.imageHash = imageHash;
             results.info.imageChecksum = String(imageInfo.checksum);
+            recordCheck(results, 'hub-image', 'pass', `Image found on zkWasm hub: ${imageHash}`);
             if (verbose) {
                 console.log(chalk.green(`  ✅ Image found on zkWasm hub: ${imageHash}`));
                 if (imageInfo.checksum) {
@@ -164,7 +259,7 @@ async function checkZkWasmImage(results, verbose) {
         }
     }
     catch (error) {
-        results.errors.push(`Failed to check zkWasm hub: ${error.message}`);
+        recordCheck(results, 'hub-image', 'fail', `Failed to check zkWasm hub: ${error.message}`);
         if (verbose) {
             console.log(chalk.red(`  ❌ Error querying zkWasm hub: ${error.message}`));
         }
@@ -174,16 +269,19 @@ async function checkCiFiles(results, verbose) {
     if (verbose)
         console.log(chalk.blue('Checking CI/CD configuration files...'));
     const ciFiles = [
-        { file: 'Dockerfile.ci', description: 'CI/CD Docker configuration' },
-        { file: 'Makefile', description: 'Build automation configuration' }
+        { file: 'Dockerfile.ci', id: 'ci-dockerfile', description: 'CI/CD Docker configuration' },
+        { file: 'Makefile', id: 'ci-makefile', description: 'Build automation configuration' }
     ];
-    for (const { file, description } of ciFiles) {
+    for (const { file, id, description } of ciFiles) {
         if (!await fs.pathExists(file)) {
-            results.errors.push(`Required CI/CD file missing: ${file} (${description})`);
+            recordCheck(results, id, 'fail', `Required CI/CD file missing: ${file} (${description})`);
         }
-        else if (verbose) {
+        else {
             const stats = await fs.stat(file);
-            console.log(chalk.green(`  ✅ ${file} (${description}, ${(stats.size / 1024).toFixed(2)} KB)`));
+            recordCheck(results, id, 'pass', `${file} (${description})`);
+            if (verbose) {
+                console.log(chalk.green(`  ✅ ${file} (${description}, ${(stats.size / 1024).toFixed(2)} KB)`));
+            }
         }
     }
 }
@@ -0,0 +1,420 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+export interface CodegenOptions {
+  // Report outdated files instead of writing them
+  check?: boolean;
+  schema?: string;
+  cwd?: string;
+}
+
+export type ParamType = 'u8' | 'u16' | 'u32' | 'u64' | 'bool';
+
+export interface CommandParam {
+  name: string;
+  type: ParamType;
+}
+
+export interface CommandDefinition {
+  name: string;
+  id: number;
+  description?: string;
+  params?: CommandParam[];
+}
+
+export interface ErrorDefinition {
+  name: string;
+  code: number;
+}
+
+export interface CommandSchema {
+  commands: CommandDefinition[];
+  errors?: ErrorDefinition[];
+}
+
+export interface GeneratedFile {
+  path: string;
+  content: string;
+  status: 'written' | 'unchanged' | 'outdated';
+}
+
+export const COMMANDS_SCHEMA = 'zkwasm.commands.json';
+export const RUST_COMMANDS_FILE = 'src/commands.rs';
+export const TS_COMMANDS_FILE = 'ts/src/commands.ts';
+
+// Word 0 of a transaction: command id in bits 0-7, feature in bits 8-15, nonce from bit 16
+export const NONCE_SHIFT = 16;
+
+// Command id 0 is the autotick issued by the sequencer, it is not part of the schema
+const AUTOTICK_ID = 0;
+const MAX_COMMAND_ID = 0xff;
+
+// The hand-written clients always sent four words, shorter commands are padded with zeros
+const MIN_TX_WORDS = 4;
+
+const PARAM_TYPES: Record<ParamType, { rust: string; ts: string; bits: number }> = {
+  u8: { rust: 'u8', ts: 'number', bits: 8 },
+  u16: { rust: 'u16', ts: 'number', bits: 16 },
+  u32: { rust: 'u32', ts: 'number', bits: 32 },
+  u64: { rust: 'u64', ts: 'bigint', bits: 64 },
+  bool: { rust: 'bool', ts: 'boolean', bits: 1 }
+};
+
+const GENERATED_NOTICE = `@generated by \`zkwasm-dapp codegen\` from ${COMMANDS_SCHEMA}, do not edit by hand.`;
+
+export async function runCodegen(options: CodegenOptions = {}): Promise<GeneratedFile[]> {
+  const cwd = path.resolve(options.cwd || '.');
+  const schemaPath = path.resolve(cwd, options.schema || COMMANDS_SCHEMA);
+
+  if (!await fs.pathExists(schemaPath)) {
+    throw new Error(`${path.relative(process.cwd(), schemaPath)} not found. Describe your commands there first.`);
+  }
+
+  const schema = await loadCommandSchema(schemaPath);
+  const files = [
+    { path: RUST_COMMANDS_FILE, content: generateRust(schema) },
+    { path: TS_COMMANDS_FILE, content: generateTypeScript(schema) }
+  ];
+
+  return writeGeneratedFiles(files, cwd, options.check);
+}
+
+// Writes generated files that changed; with check set, only reports them as outdated
+export async function writeGeneratedFiles(
+  files: { path: string; content: string }[],
+  cwd: string,
+  check = false
+): Promise<GeneratedFile[]> {
+  const results: GeneratedFile[] = [];
+  for (const file of files) {
+    const target = path.join(cwd, file.path);
+    const current = await fs.pathExists(target) ? await fs.readFile(target, 'utf8') : null;
+
+    if (current === file.content) {
+      results.push({ ...file, status: 'unchanged' });
+    } else if (check) {
+      results.push({ ...file, status: 'outdated' });
+    } else {
+      await fs.outputFile(target, file.content);
+      results.push({ ...file, status: 'written' });
+    }
+  }
+
+  return results;
+}
+
+export function printCodegenResults(results: GeneratedFile[]): void {
+  for (const file of results) {
+    if (file.status === 'written') {
+      console.log(chalk.green(`  ✓ Generated ${file.path}`));
+    } else if (file.status === 'unchanged') {
+      console.log(chalk.gray(`  ✓ ${file.path} is up to date`));
+    } else {
+      console.log(chalk.red(`  ✗ ${file.path} is out of date`));
+    }
+  }
+}
+
+export async function loadCommandSchema(schemaPath: string): Promise<CommandSchema> {
+  let schema: CommandSchema;
+  try {
+    schema = await fs.readJson(schemaPath);
+  } catch (error) {
+    throw new Error(`Failed to read ${path.basename(schemaPath)}: ${(error as Error).message}`);
+  }
+
+  const problems = validateCommandSchema(schema);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(schemaPath)}:\n  - ${problems.join('\n  - ')}`);
+  }
+  return schema;
+}
+
+export function validateCommandSchema(schema: CommandSchema): string[] {
+  const problems: string[] = [];
+
+  if (!Array.isArray(schema?.commands)) {
+    return ['"commands" must be an array'];
+  }
+
+  const names = new Set<string>();
+  const ids = new Map<number, string>();
+
+  for (const command of schema.commands) {
+    const label = `command "${command.name}"`;
+
+    if (!isSnakeCase(command.name)) {
+      problems.push(`${label}: name must be snake_case, e.g. "inc_counter"`);
+    } else if (command.name === 'autotick') {
+      problems.push(`${label}: autotick is reserved for command id ${AUTOTICK_ID}`);
+    } else if (names.has(command.name)) {
+      problems.push(`${label}: defined twice`);
+    }
+    names.add(command.name);
+
+    if (!Number.isInteger(command.id) || command.id <= AUTOTICK_ID || command.id > MAX_COMMAND_ID) {
+      problems.push(`${label}: id must be an integer from 1 to ${MAX_COMMAND_ID}`);
+    } else if (ids.has(command.id)) {
+      problems.push(`${label}: id ${command.id} is already used by "${ids.get(command.id)}"`);
+    } else {
+      ids.set(command.id, command.name);
+    }
+
+    const paramNames = new Set<string>();
+    for (const param of command.params ?? []) {
+      if (!isSnakeCase(param.name)) {
+        problems.push(`${label}: parameter name "${param.name}" must be snake_case`);
+      } else if (paramNames.has(param.name)) {
+        problems.push(`${label}: parameter "${param.name}" defined twice`);
+      }
+      paramNames.add(param.name);
+
+      if (!(param.type in PARAM_TYPES)) {
+        problems.push(`${label}: parameter "${param.name}" has unsupported type "${param.type}" (use ${Object.keys(PARAM_TYPES).join(', ')})`);
+      }
+    }
+  }
+
+  const errorNames = new Set<string>();
+  const errorCodes = new Map<number, string>();
+  for (const error of schema.errors ?? []) {
+    const label = `error "${error.name}"`;
+
+    if (!/^[A-Z][A-Za-z0-9]*$/.test(error.name ?? '')) {
+      problems.push(`${label}: name must be PascalCase, e.g. "PlayerNotExist"`);
+    } else if (errorNames.has(error.name)) {
+      problems.push(`${label}: defined twice`);
+    }
+    errorNames.add(error.name);
+
+    // 0 is the success result of a transaction
+    if (!Number.isInteger(error.code) || error.code <= 0 || error.code > 0xffffffff) {
+      problems.push(`${label}: code must be a positive 32-bit integer`);
+    } else if (errorCodes.has(error.code)) {
+      problems.push(`${label}: code ${error.code} is already used by "${errorCodes.get(error.code)}"`);
+    } else {
+      errorCodes.set(error.code, error.name);
+    }
+  }
+
+  return problems;
+}
+
+export function generateRust(schema: CommandSchema): string {
+  const commands = schema.commands;
+  const errors = schema.errors ?? [];
+  const hasParams = commands.some(command => (command.params ?? []).length > 0);
+  const lines: string[] = [
+    `// ${GENERATED_NOTICE}`,
+    '',
+    '/// The first transaction word holds the command id in bits 0-7 and the nonce from this bit on',
+    `pub const NONCE_SHIFT: u64 = ${NONCE_SHIFT};`,
+    '',
+    `pub const AUTOTICK: u64 = ${AUTOTICK_ID};`,
+    ...commands.map(command => `pub const ${toConstantName(command.name)}: u64 = ${command.id};`),
+    ''
+  ];
+
+  if (errors.length > 0) {
+    lines.push(...errors.map(error => `pub const ERROR_${toConstantName(error.name)}: u32 = ${error.code};`), '');
+  }
+
+  lines.push(
+    '#[derive(Debug, Clone, PartialEq)]',
+    'pub enum Command {',
+    '    Autotick,'
+  );
+  for (const command of commands) {
+    if (command.description) {
+      lines.push(`    /// ${command.description}`);
+    }
+    const params = command.params ?? [];
+    lines.push(params.length > 0
+      ? `    ${toPascalCase(command.name)} { ${params.map(p => `${p.name}: ${PARAM_TYPES[p.type].rust}`).join(', ')} },`
+      : `    ${toPascalCase(command.name)},`);
+  }
+  lines.push(
+    '    Unknown(u64),',
+    '}',
+    '',
+    'impl Command {',
+    '    /// Decodes the command and its parameters, returns the command and the nonce',
+    '    pub fn decode(params: &[u64]) -> (Self, u64) {',
+    '        let word = params.first().copied().unwrap_or(0);'
+  );
+  if (hasParams) {
+    lines.push('        let arg = |index: usize| params.get(index + 1).copied().unwrap_or(0);');
+  }
+  lines.push(
+    '        let command = match word & 0xff {',
+    '            AUTOTICK => Command::Autotick,'
+  );
+  for (const command of commands) {
+    const params = command.params ?? [];
+    const fields = params.map((p, index) => `${p.name}: ${decodeRustParam(p, index)}`);
+    lines.push(fields.length > 0
+      ? `            ${toConstantName(command.name)} => Command::${toPascalCase(command.name)} { ${fields.join(', ')} },`
+      : `            ${toConstantName(command.name)} => Command::${toPascalCase(command.name)},`);
+  }
+  lines.push(
+    '            id => Command::Unknown(id),',
+    '        };',
+    '        (command, word >> NONCE_SHIFT)',
+    '    }',
+    '}',
+    '',
+    'pub fn decode_error(e: u32) -> &\'static str {',
+    '    match e {',
+    ...errors.map(error => `        ERROR_${toConstantName(error.name)} => "${error.name}",`),
+    '        _ => "Unknown",',
+    '    }',
+    '}',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+export function generateTypeScript(schema: CommandSchema): string {
+  const commands = schema.commands;
+  const errors = schema.errors ?? [];
+  const lines: string[] = [
+    `// ${GENERATED_NOTICE}`,
+    '',
+    `export const NONCE_SHIFT = ${NONCE_SHIFT}n;`,
+    '',
+    ...commands.map(command => `export const CMD_${toConstantName(command.name)} = ${command.id}n;`),
+    ''
+  ];
+
+  if (errors.length > 0) {
+    lines.push(...errors.map(error => `export const ERROR_${toConstantName(error.name)} = ${error.code};`), '');
+  }
+
+  lines.push(
+    `export type ErrorName = ${errors.length > 0 ? errors.map(error => `"${error.name}"`).join(' | ') : 'never'};`,
+    '',
+    'export const ERROR_NAMES: Record<number, ErrorName> = {',
+    ...errors.map((error, index) => `  ${error.code}: "${error.name}"${index < errors.length - 1 ? ',' : ''}`),
+    '};',
+    '',
+    'export const ERROR_CODES: Record<ErrorName, number> = {',
+    ...errors.map((error, index) => `  ${error.name}: ${error.code}${index < errors.length - 1 ? ',' : ''}`),
+    '};',
+    '',
+    'export function decodeError(code: number): ErrorName | "Unknown" {',
+    '  return ERROR_NAMES[code] ?? "Unknown";',
+    '}',
+    '',
+    'export function createCommand(nonce: bigint, command: bigint, feature: bigint = 0n): bigint {',
+    '  return (nonce << NONCE_SHIFT) + (feature << 8n) + command;',
+    '}',
+    '',
+    `// Transactions are padded to at least ${MIN_TX_WORDS} words`,
+    'function encode(nonce: bigint, command: bigint, params: bigint[]): BigUint64Array {',
+    `  const words = [createCommand(nonce, command), ...params];`,
+    `  while (words.length < ${MIN_TX_WORDS}) {`,
+    '    words.push(0n);',
+    '  }',
+    '  return new BigUint64Array(words);',
+    '}',
+    ''
+  );
+
+  if (commands.some(command => (command.params ?? []).length > 0)) {
+    lines.push(
+      'function toWord(name: string, value: bigint | number | boolean, bits: number): bigint {',
+      '  const word = typeof value === "boolean" ? (value ? 1n : 0n) : BigInt(value);',
+      '  if (word < 0n || word >= (1n << BigInt(bits))) {',
+      '    throw new RangeError(`${name} does not fit in ${bits} bits: ${value}`);',
+      '  }',
+      '  return word;',
+      '}',
+      ''
+    );
+  }
+
+  for (const command of commands) {
+    const params = command.params ?? [];
+    const args = ['nonce: bigint', ...params.map(p => `${toCamelCase(p.name)}: ${PARAM_TYPES[p.type].ts}`)];
+    const words = params.map(p => `toWord("${p.name}", ${toCamelCase(p.name)}, ${PARAM_TYPES[p.type].bits})`);
+    lines.push(
+      `export function encode${toPascalCase(command.name)}(${args.join(', ')}): BigUint64Array {`,
+      `  return encode(nonce, CMD_${toConstantName(command.name)}, [${words.join(', ')}]);`,
+      '}',
+      ''
+    );
+  }
+
+  lines.push(
+    '// Extend this class and provide the nonce and the transport to get one method per command',
+    'export abstract class CommandClient<R = any> {',
+    '  abstract getNonce(): Promise<bigint>;',
+    '  abstract sendCommand(command: BigUint64Array): Promise<R>;'
+  );
+  for (const command of commands) {
+    const params = command.params ?? [];
+    const args = params.map(p => `${toCamelCase(p.name)}: ${PARAM_TYPES[p.type].ts}`);
+    const callArgs = ['await this.getNonce()', ...params.map(p => toCamelCase(p.name))];
+    lines.push('');
+    if (command.description) {
+      lines.push(`  /** ${command.description} */`);
+    }
+    lines.push(
+      `  async ${toCamelCase(command.name)}(${args.join(', ')}): Promise<R> {`,
+      `    return this.sendCommand(encode${toPascalCase(command.name)}(${callArgs.join(', ')}));`,
+      '  }'
+    );
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+// Same words as the generated encode* functions, for tools that only have the schema
+export function encodeCommand(command: CommandDefinition, nonce: bigint, args: (bigint | number | boolean)[] = []): BigUint64Array {
+  const params = command.params ?? [];
+  if (args.length !== params.length) {
+    throw new Error(`${command.name} takes ${params.length} parameters (${params.map(p => p.name).join(', ') || 'none'}), got ${args.length}`);
+  }
+
+  const words = [(nonce << BigInt(NONCE_SHIFT)) + BigInt(command.id)];
+  params.forEach((param, index) => {
+    const value = args[index];
+    const word = typeof value === 'boolean' ? (value ? 1n : 0n) : BigInt(value);
+    if (word < 0n || word >= (1n << BigInt(PARAM_TYPES[param.type].bits))) {
+      throw new RangeError(`${param.name} does not fit in ${PARAM_TYPES[param.type].bits} bits: ${value}`);
+    }
+    words.push(word);
+  });
+  while (words.length < MIN_TX_WORDS) {
+    words.push(0n);
+  }
+  return new BigUint64Array(words);
+}
+
+function decodeRustParam(param: CommandParam, index: number): string {
+  if (param.type === 'bool') {
+    return `arg(${index}) != 0`;
+  }
+  return param.type === 'u64' ? `arg(${index})` : `arg(${index}) as ${PARAM_TYPES[param.type].rust}`;
+}
+
+function isSnakeCase(name: unknown): boolean {
+  return typeof name === 'string' && /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/.test(name);
+}
+
+// inc_counter -> INC_COUNTER, PlayerNotExist -> PLAYER_NOT_EXIST
+export function toConstantName(name: string): string {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+export function toPascalCase(name: string): string {
+  return name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+export function toCamelCase(name: string): string {
+  const pascal = toPascalCase(name);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
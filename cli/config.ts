@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+
+export const CONFIG_FILE = './zkwasm.config.json';
+
+export interface NetworkProfile {
+  hubUrl: string;
+  circuitSize?: number;
+  autoSubmitNetworkIds?: string[];
+}
+
+export interface ResolvedNetwork extends NetworkProfile {
+  name: string;
+  circuitSize: number;
+  autoSubmitNetworkIds: string[];
+}
+
+// Sizes are byte counts or strings such as "512KB"
+export interface SizeBudget {
+  total?: number | string;
+  // Keyed by section name as shown by `zkwasm-dapp size`, e.g. "code" or "data"
+  sections?: Record<string, number | string>;
+  // Limit for any single function body
+  function?: number | string;
+}
+
+export interface ZkWasmConfig {
+  project?: {
+    name?: string;
+    template?: string;
+    version?: string;
+    author?: string;
+    description?: string;
+  };
+  environment?: string;
+  build?: {
+    target?: string;
+    optimize?: boolean;
+    outputDir?: string;
+    // Limits and extra host imports for the WASM checks of `check`
+    maxMemoryPages?: number;
+    allowedImports?: string[];
+    sizeBudget?: SizeBudget;
+  };
+  deployment?: {
+    autoCheck?: boolean;
+    environment?: string;
+  };
+  defaultNetwork?: string;
+  networks?: Record<string, NetworkProfile>;
+  updatedAt?: string;
+}
+
+export const DEFAULT_NETWORK = 'production';
+
+// Profiles available even when zkwasm.config.json defines none
+export const DEFAULT_NETWORKS: Record<string, NetworkProfile> = {
+  production: {
+    hubUrl: 'https://rpc.zkwasmhub.com:8090',
+    circuitSize: 22,
+    autoSubmitNetworkIds: []
+  },
+  // Served by `zkwasm-dapp hub mock`
+  local: {
+    hubUrl: 'http://127.0.0.1:8090',
+    circuitSize: 22,
+    autoSubmitNetworkIds: []
+  }
+};
+
+export const DEFAULT_OUTPUT_DIR = './build-artifacts';
+
+const DEFAULT_CIRCUIT_SIZE = 22;
+
+export async function loadConfig(configFile: string = CONFIG_FILE): Promise<ZkWasmConfig> {
+  if (!await fs.pathExists(configFile)) {
+    return {};
+  }
+
+  try {
+    return await fs.readJson(configFile);
+  } catch (error) {
+    throw new Error(`Failed to read ${configFile}: ${(error as Error).message}`);
+  }
+}
+
+// build.outputDir is the single source of truth for where build artifacts live
+export function getOutputDir(config: ZkWasmConfig): string {
+  return config.build?.outputDir || DEFAULT_OUTPUT_DIR;
+}
+
+// Reads KEY=VALUE pairs from a .env file; variables already set in the environment win
+export async function loadDotEnv(envFile = '.env'): Promise<Record<string, string>> {
+  const values: Record<string, string> = {};
+
+  if (!await fs.pathExists(envFile)) {
+    return values;
+  }
+
+  const content = await fs.readFile(envFile, 'utf8');
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      continue;
+    }
+    let value = match[2];
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith('\'') && value.endsWith('\''))) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+
+  return values;
+}
+
+export async function getEnv(name: string): Promise<string | undefined> {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  const dotEnv = await loadDotEnv();
+  return dotEnv[name] || undefined;
+}
+
+// Picks the network profile from --network, then defaultNetwork, then "production".
+// ZKWASM_HUB_URL (environment or .env) overrides the hub URL of the selected profile.
+export async function resolveNetwork(name?: string, config?: ZkWasmConfig): Promise<ResolvedNetwork> {
+  const zkwasmConfig = config ?? await loadConfig();
+  const networks = { ...DEFAULT_NETWORKS, ...zkwasmConfig.networks };
+  const networkName = name || zkwasmConfig.defaultNetwork || DEFAULT_NETWORK;
+  const profile = networks[networkName];
+
+  if (!profile) {
+    throw new Error(`Unknown network "${networkName}". Available networks: ${Object.keys(networks).join(', ')}`);
+  }
+
+  if (!profile.hubUrl) {
+    throw new Error(`Network "${networkName}" in ${CONFIG_FILE} has no hubUrl`);
+  }
+
+  const hubUrlOverride = await getEnv('ZKWASM_HUB_URL');
+
+  return {
+    name: networkName,
+    hubUrl: (hubUrlOverride || profile.hubUrl).replace(/\/+$/, ''),
+    circuitSize: profile.circuitSize ?? DEFAULT_CIRCUIT_SIZE,
+    autoSubmitNetworkIds: profile.autoSubmitNetworkIds ?? []
+  };
+}
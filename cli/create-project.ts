@@ -1,23 +1,24 @@
 import chalk from 'chalk';
 import { spawn } from 'child_process';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
 import Mustache from 'mustache';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { DEFAULT_NETWORK, DEFAULT_NETWORKS } from './config.js';
+import { ask, PromptOptions, Question } from './prompts.js';
+import {
+  getPackageDir,
+  getTemplateFiles,
+  resolveTemplate,
+  ResolvedTemplate
+} from './template-registry.js';
 
-interface Template {
-  name: string;
-  description: string;
-  features: string[];
-}
-
-interface CreateOptions {
+interface CreateOptions extends PromptOptions {
   directory: string;
   skipInstall: boolean;
+  template?: string;
 }
 
-interface ProjectConfig {
+export interface ProjectConfig {
   projectName: string;
   template: string;
   author: string;
@@ -26,23 +27,24 @@ interface ProjectConfig {
   useGithubActions: boolean;
   rustCrateName: string;
   wasmModuleName: string;
+  // Answers to template-specific prompts
+  [key: string]: unknown;
 }
 
-// Template system - currently only basic template is available
-// To add new templates:
-// 1. Add template definition to TEMPLATES object
-// 2. Create template-specific files in templates/ directory
-// 3. Add template-specific logic in generateTemplatedFiles()
-const TEMPLATES: Record<string, Template> = {
-  basic: {
-    name: 'Basic zkWasm Hello World',
-    description: 'A simple zkWasm application with basic state management and settlement logic',
-    features: ['Rust zkWasm module', 'TypeScript service', 'Basic state management', 'Settlement logic']
-  }
-  // Future templates can be added here:
-  // advanced: { ... },
-  // defi: { ... }
-};
+// Templates are resolved through cli/template-registry.ts:
+// - built-in templates live in templates/<name>/ with a template.json manifest
+// - extra template directories can be listed in ZKWASM_TEMPLATE_PATH
+// - --template also accepts a local directory or a tarball containing a template.json
+export const DEFAULT_TEMPLATE = 'basic';
+
+// Copied from common/ into every project, whatever the template
+export const COMMON_FILES = [
+  '.gitignore',
+  '.env.example',
+  'rust-toolchain',
+  'Makefile',
+  'Dockerfile.ci'
+];
 
 export async function createProject(projectName: string, options: CreateOptions): Promise<void> {
   const targetDir = path.resolve(options.directory, projectName);
@@ -52,34 +54,39 @@ export async function createProject(projectName: string, options: CreateOptions)
     throw new Error(`Directory ${projectName} already exists`);
   }
   
-  // Currently only basic template is supported
-  const template = 'basic';
-  
-  console.log(chalk.blue(`🚀 Creating zkWasm project: ${projectName}`));
-  console.log(chalk.gray(`Template: ${TEMPLATES[template].name}`));
-  console.log(chalk.gray(`Description: ${TEMPLATES[template].description}`));
-  console.log(chalk.yellow('\n💡 This is a Hello World template with basic zkWasm functionality'));
+  const template = await resolveTemplate(options.template || DEFAULT_TEMPLATE);
   
-  // Collect project configuration
-  const config = await collectProjectConfig(projectName, template);
-  
-  // Create project directory
-  await fs.ensureDir(targetDir);
-  
-  // Copy template files
-  await copyTemplateFiles(template, targetDir, config);
-  
-  // Generate configuration files
-  await generateConfigFiles(targetDir, config);
-  
-  // Install dependencies if not skipped
-  if (!options.skipInstall) {
-    await installDependencies(targetDir);
+  try {
+    console.log(chalk.blue(`🚀 Creating zkWasm project: ${projectName}`));
+    console.log(chalk.gray(`Template: ${template.manifest.name} (${template.id})`));
+    console.log(chalk.gray(`Description: ${template.manifest.description}`));
+    if (template.source !== 'builtin') {
+      console.log(chalk.yellow(`\n💡 Using external ${template.source} template from ${template.dir}`));
+    }
+    
+    // Collect project configuration
+    const config = await collectProjectConfig(projectName, template, options);
+    
+    // Create project directory
+    await fs.ensureDir(targetDir);
+    
+    // Copy template files
+    await copyTemplateFiles(template, targetDir, config);
+    
+    // Generate configuration files
+    await generateConfigFiles(targetDir, config);
+    
+    // Install dependencies if not skipped
+    if (!options.skipInstall) {
+      await installDependencies(targetDir);
+    }
+    
+    // Initialize git repository
+    await initializeGit(targetDir);
+  } finally {
+    await template.cleanup();
   }
   
-  // Initialize git repository
-  await initializeGit(targetDir);
-  
   console.log(chalk.green(`\n✅ Project ${projectName} created successfully!`));
   console.log(chalk.blue('\n📖 Next steps:'));
   console.log(`   cd ${projectName}`);
@@ -88,57 +95,67 @@ export async function createProject(projectName: string, options: CreateOptions)
   console.log('   zkwasm-dapp check    # Check deployment readiness');
   
   console.log(chalk.yellow('\n🔧 Template System:'));
-  console.log('   • Currently using: Basic Hello World template');
-  console.log('   • To add more templates: See cli/create-project.ts');
-  console.log('   • Template files: Use current src/ as reference');
+  console.log(`   • Currently using: ${template.manifest.name}`);
+  console.log('   • List templates: zkwasm-dapp templates list');
+  console.log('   • Custom templates: See templates/TEMPLATE_GUIDE.md');
 }
 
-async function collectProjectConfig(projectName: string, template: string): Promise<ProjectConfig> {
-  const questions = [
+async function collectProjectConfig(projectName: string, template: ResolvedTemplate, options: PromptOptions): Promise<ProjectConfig> {
+  const questions: Question[] = [
     {
       type: 'input',
       name: 'author',
       message: 'Author name:',
-      default: 'zkWasm Developer'
+      default: 'zkWasm Developer',
+      flag: '--author'
     },
     {
       type: 'input',
       name: 'description',
       message: 'Project description:',
-      default: `A zkWasm Hello World application`
+      default: `A zkWasm Hello World application`,
+      flag: '--description'
     },
     {
       type: 'input',
       name: 'version',
       message: 'Initial version:',
-      default: '0.1.0'
+      default: '0.1.0',
+      env: 'ZKWASM_PROJECT_VERSION',
+      flag: '--project-version'
     },
     {
       type: 'confirm',
       name: 'useGithubActions',
       message: 'Setup GitHub Actions CI/CD for deployment?',
-      default: true
+      default: true,
+      flag: '--github-actions / --no-github-actions'
     }
   ];
   
-  const answers = await inquirer.prompt(questions);
+  // Template prompts can be answered with --set name=value
+  const templateQuestions: Question[] = (template.manifest.prompts || []).map(prompt => ({
+    ...prompt,
+    flag: `--set ${prompt.name}=<value>`
+  }));
+  
+  const answers = await ask([...questions, ...templateQuestions], options, 'create');
   
   return {
     projectName,
-    template,
+    template: template.id,
     ...answers,
-    rustCrateName: projectName.toLowerCase().replace(/[^a-z0-9]/g, '_'),
-    wasmModuleName: `${projectName.toLowerCase().replace(/[^a-z0-9]/g, '_')}_bg`
+    ...crateNames(projectName)
   };
 }
 
-async function copyTemplateFiles(template: string, targetDir: string, config: ProjectConfig): Promise<void> {
-  // Get the directory where this script is located
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-  
-  // Template directory is relative to the CLI package installation
-  const templateDir = path.resolve(__dirname, '..', 'templates', template);
+export function crateNames(projectName: string): Pick<ProjectConfig, 'rustCrateName' | 'wasmModuleName'> {
+  const rustCrateName = projectName.toLowerCase().replace(/[^a-z0-9]/g, '_');
+  return { rustCrateName, wasmModuleName: `${rustCrateName}_bg` };
+}
+
+async function copyTemplateFiles(template: ResolvedTemplate, targetDir: string, config: ProjectConfig): Promise<void> {
+  const templateDir = template.dir;
   
   console.log(chalk.blue('📁 Copying template files...'));
   
@@ -147,11 +164,8 @@ async function copyTemplateFiles(template: string, targetDir: string, config: Pr
     throw new Error(`Template directory not found: ${templateDir}`);
   }
   
-  // Copy template-specific files from template directory
-  const templateFiles = [
-    'src/',
-    'ts/'
-  ];
+  // Copy template-specific files listed in the template manifest
+  const templateFiles = getTemplateFiles(template.manifest).copy;
   
   for (const file of templateFiles) {
     const sourcePath = path.join(templateDir, file);
@@ -163,33 +177,11 @@ async function copyTemplateFiles(template: string, targetDir: string, config: Pr
     }
   }
   
-  // Copy template-specific optional files
-  const templateOptionalFiles = [
-    'Cargo.lock'
-  ];
-  
-  for (const file of templateOptionalFiles) {
-    const sourcePath = path.join(templateDir, file);
-    const targetPath = path.join(targetDir, file);
-    
-    if (await fs.pathExists(sourcePath)) {
-      await fs.copy(sourcePath, targetPath);
-      console.log(chalk.gray(`  ✓ Copied ${file} from template`));
-    }
-  }
-  
   // Copy common files from package directory (one level up from cli/)
-  const packageDir = path.resolve(__dirname, '..');
+  const packageDir = getPackageDir();
   const commonDir = path.join(packageDir, 'common');
-  const commonFiles = [
-    '.gitignore',
-    '.env.example',
-    'rust-toolchain',
-    'Makefile',
-    'Dockerfile.ci'
-  ];
   
-  for (const file of commonFiles) {
+  for (const file of COMMON_FILES) {
     const sourcePath = path.join(commonDir, file);
     const targetPath = path.join(targetDir, file);
     
@@ -206,45 +198,53 @@ async function copyTemplateFiles(template: string, targetDir: string, config: Pr
     
     if (await fs.pathExists(githubSourcePath)) {
       await fs.copy(githubSourcePath, githubTargetPath);
+      // CI runs the CLI version that created the project, not the latest release on npm
+      const workflow = path.join(githubTargetPath, 'workflows', 'ci-cd.yml');
+      if (await fs.pathExists(workflow)) {
+        const { version } = await fs.readJson(path.join(packageDir, 'package.json'));
+        const content = await fs.readFile(workflow, 'utf8');
+        await fs.writeFile(workflow, content.replaceAll('{{cliVersion}}', version));
+      }
       console.log(chalk.gray(`  ✓ Copied .github/ from common directory`));
     }
   }
   
   // Generate templated files
-  await generateTemplatedFiles(targetDir, config, template, templateDir);
+  await generateTemplatedFiles(targetDir, config, template);
 }
 
-async function generateTemplatedFiles(targetDir: string, config: ProjectConfig, template: string, templateDir: string): Promise<void> {
+async function generateTemplatedFiles(targetDir: string, config: ProjectConfig, template: ResolvedTemplate): Promise<void> {
   console.log(chalk.blue('🔧 Generating configuration files...'));
   
-  // Generate Cargo.toml from template
-  const cargoTemplatePath = path.join(templateDir, 'Cargo.toml.template');
-  if (await fs.pathExists(cargoTemplatePath)) {
-    const cargoTemplate = await fs.readFile(cargoTemplatePath, 'utf8');
-    const cargoContent = Mustache.render(cargoTemplate, config);
-    await fs.writeFile(path.join(targetDir, 'Cargo.toml'), cargoContent);
-    console.log(chalk.gray('  ✓ Generated Cargo.toml'));
-  }
+  const renderFiles = getTemplateFiles(template.manifest).render;
   
-  // Generate README from template
-  const readmeTemplatePath = path.join(templateDir, 'README.md.template');
-  if (await fs.pathExists(readmeTemplatePath)) {
-    const readmeTemplate = await fs.readFile(readmeTemplatePath, 'utf8');
-    const templateFeatures = TEMPLATES[template].features || [];
-    const readmeContent = Mustache.render(readmeTemplate, {
-      ...config,
-      templateFeatures
-    });
-    await fs.writeFile(path.join(targetDir, 'README.md'), readmeContent);
-    console.log(chalk.gray('  ✓ Generated README.md'));
+  // Render Mustache templates (Cargo.toml, README.md, ...) listed in the manifest
+  for (const [source, target] of Object.entries(renderFiles)) {
+    const sourcePath = path.join(template.dir, source);
+    if (await fs.pathExists(sourcePath)) {
+      const content = await renderTemplateFile(template, source, config);
+      const targetPath = path.join(targetDir, target);
+      await fs.ensureDir(path.dirname(targetPath));
+      await fs.writeFile(targetPath, content);
+      console.log(chalk.gray(`  ✓ Generated ${target}`));
+    }
   }
 }
 
+export async function renderTemplateFile(template: ResolvedTemplate, source: string, config: ProjectConfig): Promise<string> {
+  const view = {
+    ...config,
+    templateFeatures: template.manifest.features
+  };
+  return Mustache.render(await fs.readFile(path.join(template.dir, source), 'utf8'), view);
+}
+
 async function generateConfigFiles(targetDir: string, config: ProjectConfig): Promise<void> {
   // Generate zkwasm config file
   const zkwasmConfig = {
     project: {
       name: config.projectName,
+      template: config.template,
       version: config.version,
       author: config.author,
       description: config.description
@@ -256,13 +256,15 @@ async function generateConfigFiles(targetDir: string, config: ProjectConfig): Pr
     deployment: {
       environment: "development",
       auto_check: true
-    }
+    },
+    defaultNetwork: DEFAULT_NETWORK,
+    networks: DEFAULT_NETWORKS
   };
   
   await fs.writeJson(path.join(targetDir, 'zkwasm.config.json'), zkwasmConfig, { spaces: 2 });
 }
 
-async function installDependencies(targetDir: string): Promise<void> {
+export async function installDependencies(targetDir: string): Promise<void> {
   console.log(chalk.blue('📦 Installing dependencies...'));
   
   const tsDir = path.join(targetDir, 'ts');
@@ -0,0 +1,284 @@
+import chalk, { ChalkInstance } from 'chalk';
+import { ChildProcess, spawn } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildProject } from './build.js';
+
+export interface DevOptions {
+  // Script run with node after each service restart; true uses ts/src/test.js
+  smoke?: string | boolean;
+  smokeDelay?: string | number;
+  service?: boolean;
+}
+
+type ChangeKind = 'rust' | 'ts';
+
+export const SERVICE_SCRIPT = 'ts/src/service.js';
+const DEFAULT_SMOKE_SCRIPT = 'ts/src/test.js';
+const DEFAULT_SMOKE_DELAY = 2000;
+const DEBOUNCE_MS = 300;
+
+const WATCHED: { dir: string; kind: ChangeKind; matches: (file: string) => boolean }[] = [
+  { dir: 'src', kind: 'rust', matches: file => file.endsWith('.rs') },
+  // tsc writes .js next to the sources, so only .ts edits count
+  { dir: 'ts/src', kind: 'ts', matches: file => file.endsWith('.ts') && !file.endsWith('.d.ts') }
+];
+
+export async function startDevServer(options: DevOptions = {}): Promise<void> {
+  const smokeScript = options.smoke === true ? DEFAULT_SMOKE_SCRIPT : options.smoke || undefined;
+  const smokeDelay = Number(options.smokeDelay ?? DEFAULT_SMOKE_DELAY);
+  const runService = options.service !== false;
+
+  let service: ChildProcess | null = null;
+  let running = false;
+  let timer: NodeJS.Timeout | null = null;
+  const pending = new Set<ChangeKind>();
+  const pendingTs = new Set<string>();
+
+  const log = (message: string) => console.log(`${chalk.magenta('[dev]')} ${message}`);
+
+  const stopService = async (): Promise<void> => {
+    const child = service;
+    service = null;
+    await stopProcess(child);
+  };
+
+  const startService = (): void => {
+    log(chalk.blue(`Starting ${SERVICE_SCRIPT}`));
+    const child = spawnPrefixed('node', [SERVICE_SCRIPT], 'service', chalk.cyan);
+    child.on('exit', (code, signal) => {
+      if (service === child) {
+        log(chalk.yellow(`Service exited (${signal ?? `code ${code}`}), waiting for changes`));
+        service = null;
+      }
+    });
+    service = child;
+  };
+
+  const runSmoke = async (): Promise<void> => {
+    if (!smokeScript) {
+      return;
+    }
+    await delay(smokeDelay);
+    log(chalk.blue(`Running smoke script ${smokeScript}`));
+    const code = await waitForExit(spawnPrefixed('node', [smokeScript], 'smoke', chalk.yellow));
+    log(code === 0 ? chalk.green('Smoke script passed') : chalk.red(`Smoke script failed with code ${code}`));
+  };
+
+  const rebuild = async (kinds: Set<ChangeKind>): Promise<void> => {
+    const started = Date.now();
+    try {
+      let compileTs = kinds.has('ts');
+      if (kinds.has('rust')) {
+        log(chalk.blue('Rust sources changed, rebuilding WASM (development profile)'));
+        const result = await buildProject({
+          profile: 'development',
+          skipArtifacts: true,
+          log: message => message.split('\n').forEach(line => console.log(`${chalk.blue('[build]')} ${line}`)),
+          run: runPrefixed
+        });
+        // Regenerated commands.ts or types.ts are compiled in this pass, not by a second rebuild
+        const generated = result.generated.filter(file => file.endsWith('.ts')).map(file => path.normalize(file));
+        compileTs ||= generated.length > 0;
+        generated.forEach(file => pendingTs.delete(file));
+        if (pendingTs.size === 0) {
+          pending.delete('ts');
+        }
+      }
+      if (compileTs || !await fs.pathExists(SERVICE_SCRIPT)) {
+        log(chalk.blue('Compiling TypeScript'));
+        const code = await waitForExit(spawnPrefixed('npx', ['tsc'], 'tsc', chalk.gray, 'ts'));
+        if (code !== 0) {
+          throw new Error(`tsc failed with code ${code}`);
+        }
+      }
+      log(chalk.green(`Rebuilt in ${((Date.now() - started) / 1000).toFixed(1)}s`));
+    } catch (error) {
+      log(chalk.red(`❌ ${(error as Error).message}, keeping the running service`));
+      return;
+    }
+
+    if (runService) {
+      await stopService();
+      startService();
+      await runSmoke();
+    }
+  };
+
+  // Changes during a rebuild are collected and handled by one follow-up rebuild
+  const flush = async (): Promise<void> => {
+    if (running || pending.size === 0) {
+      return;
+    }
+    running = true;
+    const kinds = new Set(pending);
+    pending.clear();
+    pendingTs.clear();
+    await rebuild(kinds);
+    running = false;
+    await flush();
+  };
+
+  const schedule = (kind: ChangeKind, file: string): void => {
+    log(chalk.gray(`Changed: ${file}`));
+    pending.add(kind);
+    if (kind === 'ts') {
+      pendingTs.add(path.normalize(file));
+    }
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      void flush();
+    }, DEBOUNCE_MS);
+  };
+
+  const watchers: fs.FSWatcher[] = [];
+  for (const { dir, kind, matches } of WATCHED) {
+    if (!await fs.pathExists(dir)) {
+      log(chalk.yellow(`⚠️  ${dir} not found, not watching it`));
+      continue;
+    }
+    watchTree(dir, watchers, (file) => {
+      if (matches(file)) {
+        schedule(kind, file);
+      }
+    });
+  }
+
+  const shutdown = async (): Promise<void> => {
+    log('Stopping...');
+    watchers.forEach(watcher => watcher.close());
+    if (timer) {
+      clearTimeout(timer);
+    }
+    await stopService();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => void shutdown());
+  process.on('SIGTERM', () => void shutdown());
+
+  log(chalk.blue(`Watching ${WATCHED.map(w => w.dir).join(' and ')} (Ctrl+C to stop)`));
+  pending.add('rust');
+  pending.add('ts');
+  await flush();
+}
+
+// Recursive fs.watch needs Node 20 on Linux; before that every directory gets its own watcher and
+// directories created later are picked up from their parent's events
+function watchTree(root: string, watchers: fs.FSWatcher[], onChange: (file: string) => void): void {
+  try {
+    watchers.push(fs.watch(root, { recursive: true }, (_event, filename) => {
+      onChange(filename ? path.join(root, filename.toString()) : root);
+    }));
+    return;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+
+  const byDir = new Map<string, fs.FSWatcher>();
+  const unwatch = (dir: string): void => {
+    for (const [watched, watcher] of byDir) {
+      if (watched === dir || watched.startsWith(`${dir}${path.sep}`)) {
+        watcher.close();
+        byDir.delete(watched);
+      }
+    }
+  };
+  const watchDir = (dir: string): void => {
+    if (byDir.has(dir)) {
+      return;
+    }
+    let watcher: fs.FSWatcher;
+    try {
+      watcher = fs.watch(dir, (_event, filename) => {
+        const file = filename ? path.join(dir, filename.toString()) : dir;
+        if (isDirectory(file)) {
+          watchDir(file);
+        } else if (byDir.has(file)) {
+          unwatch(file);
+        }
+        onChange(file);
+      });
+    } catch {
+      // Removed between listing and watching
+      return;
+    }
+    watcher.on('error', () => unwatch(dir));
+    byDir.set(dir, watcher);
+    watchers.push(watcher);
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        watchDir(path.join(dir, entry.name));
+      }
+    }
+  };
+  watchDir(root);
+}
+
+function isDirectory(file: string): boolean {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// SIGTERM first, SIGKILL if the process is still running after 5 seconds
+export async function stopProcess(child: ChildProcess | null): Promise<void> {
+  if (!child || child.exitCode !== null || child.signalCode !== null) {
+    return;
+  }
+  await new Promise<void>((resolve) => {
+    const forceKill = setTimeout(() => child.kill('SIGKILL'), 5000);
+    child.once('exit', () => {
+      clearTimeout(forceKill);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+export function spawnPrefixed(cmd: string, args: string[], name: string, color: ChalkInstance, cwd?: string, env?: NodeJS.ProcessEnv): ChildProcess {
+  const child = spawn(cmd, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  const prefix = color(`[${name}]`);
+
+  for (const stream of [child.stdout, child.stderr]) {
+    let buffered = '';
+    stream?.on('data', (data) => {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop() ?? '';
+      lines.forEach(line => console.log(`${prefix} ${line}`));
+    });
+    stream?.on('end', () => {
+      if (buffered) {
+        console.log(`${prefix} ${buffered}`);
+      }
+    });
+  }
+
+  child.on('error', (error) => console.log(`${prefix} ${chalk.red(`Failed to run ${cmd}: ${error.message}`)}`));
+  return child;
+}
+
+async function runPrefixed(cmd: string, args: string[], cwd: string): Promise<void> {
+  const code = await waitForExit(spawnPrefixed(cmd, args, 'build', chalk.blue, cwd));
+  if (code !== 0) {
+    throw new Error(`${cmd} ${args.join(' ')} failed with code ${code}`);
+  }
+}
+
+export function waitForExit(child: ChildProcess): Promise<number | null> {
+  return new Promise((resolve) => {
+    child.on('close', (code) => resolve(code));
+    child.on('error', () => resolve(null));
+  });
+}
+
+export function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,10 +1,17 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
-export async function generatePublishScript() {
+import { getEnv, resolveNetwork } from './config.js';
+import { getKeyAddress } from './keystore.js';
+import { ask, confirm } from './prompts.js';
+// Public credentials shared by all users for testing, never written to generated files
+export const SHARED_CREDENTIALS = {
+    address: '0xd8f157Cc95Bc40B4F0B58eb48046FebedbF26Bde',
+    privateKey: '2763537251e2f27dc6a30179e7bf1747239180f45b92db059456b7da8194995a'
+};
+export async function generatePublishScript(options = {}) {
     console.log(chalk.blue('📄 Generating publish script for zkWasm hub...\n'));
     // Collect configuration
-    const config = await collectPublishConfig();
+    const config = await collectPublishConfig(options);
     // Generate script
     const script = generateScript(config);
     // Write script to file
@@ -12,18 +19,15 @@ export async function generatePublishScript() {
     await fs.writeFile(scriptPath, script);
     await fs.chmod(scriptPath, '755');
     console.log(chalk.green('\n✅ Publish script generated successfully!'));
+    if (!config.useOwnCredentials) {
+        console.log(chalk.yellow('⚠️  publish.sh never contains private keys, so it cannot use the shared credentials.'));
+        console.log(chalk.yellow('   Use zkwasm-dapp publish instead, or set ZKWASM_PRIVATE_KEY before running the script.'));
+    }
     console.log(chalk.blue('\n📖 Usage:'));
     console.log('   ./ts/publish.sh     # Run the script directly');
-    console.log('   zkwasm-dapp publish');
+    console.log('   zkwasm-dapp publish --script');
     // Ask if user wants to run the script now
-    const { runNow } = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'runNow',
-            message: 'Would you like to run the publish script now?',
-            default: false
-        }
-    ]);
+    const runNow = await confirm('runNow', 'Would you like to run the publish script now?', false, options, 'publish');
     if (runNow) {
         console.log(chalk.blue('\n🚀 Running publish script...'));
         const { spawn } = await import('child_process');
@@ -44,43 +48,41 @@ export async function generatePublishScript() {
         });
     }
 }
-async function collectPublishConfig() {
+export async function collectPublishConfig(options) {
     console.log(chalk.blue('⚙️  Configure publish parameters:\n'));
+    // Network profile provides the defaults for endpoint, circuit size and auto-submit networks
+    const network = await resolveNetwork(options.network);
+    console.log(chalk.gray(`Network: ${network.name} (${network.hubUrl})\n`));
     // First ask if user wants to use their own credentials
-    const { useOwnCredentials } = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'useOwnCredentials',
-            message: 'Use your own wallet credentials? (No = use shared public credentials)',
-            default: true
-        }
-    ]);
-    // Set default credentials based on user choice
+    const useOwnCredentials = await confirm('useOwnCredentials', 'Use your own wallet credentials? (No = use shared public credentials)', true, options, 'publish');
+    // Set default address based on user choice (.env or keystore for own credentials)
     const defaultAddress = useOwnCredentials
-        ? (process.env.ZKWASM_ADDRESS || '')
-        : '0xd8f157Cc95Bc40B4F0B58eb48046FebedbF26Bde';
-    const defaultPrivateKey = useOwnCredentials
-        ? (process.env.ZKWASM_PRIVATE_KEY || '')
-        : '2763537251e2f27dc6a30179e7bf1747239180f45b92db059456b7da8194995a';
+        ? ((await getEnv('ZKWASM_ADDRESS')) || (await getKeyAddress(options.key)) || '')
+        : SHARED_CREDENTIALS.address;
     // Base questions that are always asked
     const baseQuestions = [
         {
             type: 'input',
             name: 'resturl',
             message: 'zkWasm hub API endpoint:',
-            default: 'https://rpc.zkwasmhub.com:8090'
+            default: network.hubUrl,
+            env: 'ZKWASM_HUB_URL',
+            flag: '--hub-url'
         },
         {
             type: 'input',
             name: 'path',
             message: 'WASM file path:',
-            default: 'node_modules/zkwasm-ts-server/src/application/application_bg.wasm'
+            default: 'node_modules/zkwasm-ts-server/src/application/application_bg.wasm',
+            env: 'ZKWASM_WASM_PATH',
+            flag: '--wasm-path'
         },
         {
             type: 'input',
             name: 'circuit_size',
             message: 'Circuit size:',
-            default: '22'
+            default: String(network.circuitSize),
+            flag: '--circuit-size'
         }
     ];
     // Credential questions (only ask if using own credentials)
@@ -89,14 +91,8 @@ async function collectPublishConfig() {
             type: 'input',
             name: 'address',
             message: 'Wallet address (or set ZKWASM_ADDRESS env var):',
-            default: defaultAddress
-        },
-        {
-            type: 'password',
-            name: 'priv',
-            message: 'Private key (or set ZKWASM_PRIVATE_KEY env var):',
-            default: defaultPrivateKey,
-            mask: '*'
+            default: defaultAddress || undefined,
+            flag: '--address'
         }
     ] : [];
     // Configuration questions
@@ -105,52 +101,59 @@ async function collectPublishConfig() {
             type: 'input',
             name: 'name',
             message: 'Application name:',
-            default: 'zkwasm-app'
+            default: 'zkwasm-app',
+            env: 'ZKWASM_IMAGE_NAME',
+            flag: '--name'
         },
         {
             type: 'input',
             name: 'description',
             message: 'Image description:',
-            default: 'zkWasm application'
+            default: 'zkWasm application',
+            env: 'ZKWASM_IMAGE_DESCRIPTION',
+            flag: '--description'
         },
         {
             type: 'confirm',
             name: 'creator_paid_proof',
             message: 'Creator pays for proofs?',
-            default: false
+            default: false,
+            flag: '--creator-paid-proof'
         },
         {
             type: 'confirm',
             name: 'creator_only_add_prove_task',
             message: 'Only creator can add prove tasks?',
-            default: false
+            default: false,
+            flag: '--creator-only-add-prove-task'
         },
         {
             type: 'input',
             name: 'auto_submit_network_ids',
             message: 'Auto-submit network IDs (comma-separated, optional):',
-            default: ''
+            default: network.autoSubmitNetworkIds.join(','),
+            flag: '--auto-submit-network-ids'
         },
         {
             type: 'input',
             name: 'import_data_image',
             message: 'Import data from existing image (optional):',
-            default: ''
+            default: '',
+            flag: '--import-data-image'
         }
     ];
     // Combine all questions
     const allQuestions = [...baseQuestions, ...credentialQuestions, ...configQuestions];
-    const answers = await inquirer.prompt(allQuestions);
+    const answers = await ask(allQuestions, options, 'publish');
     // If using shared credentials, add them to the answers
     if (!useOwnCredentials) {
         answers.address = defaultAddress;
-        answers.priv = defaultPrivateKey;
         console.log(chalk.gray(`\n📝 Using shared public credentials:`));
         console.log(chalk.gray(`   Address: ${defaultAddress}`));
-        console.log(chalk.gray(`   Private key: ${defaultPrivateKey.substring(0, 10)}...`));
     }
     return {
         ...answers,
+        useOwnCredentials,
         auto_submit_network_ids: answers.auto_submit_network_ids || undefined,
         import_data_image: answers.import_data_image || undefined
     };
@@ -164,6 +167,13 @@ set -e
 
 echo "🚀 Publishing to zkWasm hub..."
 
+# Load ZKWASM_* variables from the project .env file, if present
+if [ -f ../.env ]; then
+    set -a
+    . ../.env
+    set +a
+fi
+
 # Configuration
 NAME="${config.name}"
 RESTURL="${config.resturl}"
@@ -174,8 +184,9 @@ CREATOR_PAID_PROOF="${config.creator_paid_proof}"
 CREATOR_ONLY_ADD_PROVE_TASK="${config.creator_only_add_prove_task}"
 
 # Environment variables (can be overridden)
+# The private key is never stored in this script, it is read from the environment or .env
 ADDRESS=\${ZKWASM_ADDRESS:-"${config.address}"}
-PRIV=\${ZKWASM_PRIVATE_KEY:-"${config.priv}"}
+PRIV=\${ZKWASM_PRIVATE_KEY:-}
 
 # Validate required parameters
 if [ -z "$ADDRESS" ]; then
@@ -186,7 +197,8 @@ fi
 
 if [ -z "$PRIV" ]; then
     echo "❌ Error: Private key not provided"
-    echo "   Set ZKWASM_PRIVATE_KEY environment variable or edit this script"
+    echo "   Set ZKWASM_PRIVATE_KEY environment variable or add it to .env"
+    echo "   (zkwasm-dapp publish can also use keys stored with: zkwasm-dapp keys add)"
     exit 1
 fi
 
@@ -206,7 +218,7 @@ CMD="node node_modules/zkwasm-service-cli/dist/index.js addimage \\
     -p \\"$WASM_PATH\\" \\
     -c \\"$CIRCUIT_SIZE\\" \\
     -u \\"$ADDRESS\\" \\
-    -x \\"$PRIV\\" \\
+    -x \\"\\$PRIV\\" \\
     -d \\"$DESCRIPTION\\" \\
     -n \\"$NAME\\" \\
     --creator_paid_proof \\"$CREATOR_PAID_PROOF\\" \\
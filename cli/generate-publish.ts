@@ -1,13 +1,16 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
+import { getEnv, resolveNetwork } from './config.js';
+import { getKeyAddress } from './keystore.js';
+import { ask, confirm, PromptOptions, Question } from './prompts.js';
 
-interface PublishConfig {
+export interface PublishConfig {
   resturl: string;
   path: string;
   circuit_size: string;
   address: string;
-  priv: string;
+  // The private key is never part of the config, it is resolved when publishing
+  useOwnCredentials: boolean;
   description: string;
   creator_paid_proof: boolean;
   creator_only_add_prove_task: boolean;
@@ -16,11 +19,23 @@ interface PublishConfig {
   name: string;
 }
 
-export async function generatePublishScript(): Promise<void> {
+export interface PublishScriptOptions extends PromptOptions {
+  network?: string;
+  // Keystore entry used for the default address
+  key?: string;
+}
+
+// Public credentials shared by all users for testing, never written to generated files
+export const SHARED_CREDENTIALS = {
+  address: '0xd8f157Cc95Bc40B4F0B58eb48046FebedbF26Bde',
+  privateKey: '2763537251e2f27dc6a30179e7bf1747239180f45b92db059456b7da8194995a'
+};
+
+export async function generatePublishScript(options: PublishScriptOptions = {}): Promise<void> {
   console.log(chalk.blue('📄 Generating publish script for zkWasm hub...\n'));
   
   // Collect configuration
-  const config = await collectPublishConfig();
+  const config = await collectPublishConfig(options);
   
   // Generate script
   const script = generateScript(config);
@@ -31,19 +46,16 @@ export async function generatePublishScript(): Promise<void> {
   await fs.chmod(scriptPath, '755');
   
   console.log(chalk.green('\n✅ Publish script generated successfully!'));
+  if (!config.useOwnCredentials) {
+    console.log(chalk.yellow('⚠️  publish.sh never contains private keys, so it cannot use the shared credentials.'));
+    console.log(chalk.yellow('   Use zkwasm-dapp publish instead, or set ZKWASM_PRIVATE_KEY before running the script.'));
+  }
   console.log(chalk.blue('\n📖 Usage:'));
   console.log('   ./ts/publish.sh     # Run the script directly');
-  console.log('   zkwasm-dapp publish');
+  console.log('   zkwasm-dapp publish --script');
   
   // Ask if user wants to run the script now
-  const { runNow } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'runNow',
-      message: 'Would you like to run the publish script now?',
-      default: false
-    }
-  ]);
+  const runNow = await confirm('runNow', 'Would you like to run the publish script now?', false, options, 'publish');
   
   if (runNow) {
     console.log(chalk.blue('\n🚀 Running publish script...'));
@@ -68,123 +80,128 @@ export async function generatePublishScript(): Promise<void> {
   }
 }
 
-async function collectPublishConfig(): Promise<PublishConfig> {
+export async function collectPublishConfig(options: PublishScriptOptions): Promise<PublishConfig> {
   console.log(chalk.blue('⚙️  Configure publish parameters:\n'));
   
+  // Network profile provides the defaults for endpoint, circuit size and auto-submit networks
+  const network = await resolveNetwork(options.network);
+  console.log(chalk.gray(`Network: ${network.name} (${network.hubUrl})\n`));
+  
   // First ask if user wants to use their own credentials
-  const { useOwnCredentials } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'useOwnCredentials',
-      message: 'Use your own wallet credentials? (No = use shared public credentials)',
-      default: true
-    }
-  ]);
+  const useOwnCredentials = await confirm(
+    'useOwnCredentials',
+    'Use your own wallet credentials? (No = use shared public credentials)',
+    true,
+    options,
+    'publish'
+  );
   
-  // Set default credentials based on user choice
+  // Set default address based on user choice (.env or keystore for own credentials)
   const defaultAddress = useOwnCredentials 
-    ? (process.env.ZKWASM_ADDRESS || '') 
-    : '0xd8f157Cc95Bc40B4F0B58eb48046FebedbF26Bde';
-  
-  const defaultPrivateKey = useOwnCredentials 
-    ? (process.env.ZKWASM_PRIVATE_KEY || '') 
-    : '2763537251e2f27dc6a30179e7bf1747239180f45b92db059456b7da8194995a';
+    ? ((await getEnv('ZKWASM_ADDRESS')) || (await getKeyAddress(options.key)) || '') 
+    : SHARED_CREDENTIALS.address;
   
   // Base questions that are always asked
-  const baseQuestions = [
+  const baseQuestions: Question[] = [
     {
       type: 'input',
       name: 'resturl',
       message: 'zkWasm hub API endpoint:',
-      default: 'https://rpc.zkwasmhub.com:8090'
+      default: network.hubUrl,
+      env: 'ZKWASM_HUB_URL',
+      flag: '--hub-url'
     },
     {
       type: 'input',
       name: 'path',
       message: 'WASM file path:',
-      default: 'node_modules/zkwasm-ts-server/src/application/application_bg.wasm'
+      default: 'node_modules/zkwasm-ts-server/src/application/application_bg.wasm',
+      env: 'ZKWASM_WASM_PATH',
+      flag: '--wasm-path'
     },
     {
       type: 'input',
       name: 'circuit_size',
       message: 'Circuit size:',
-      default: '22'
+      default: String(network.circuitSize),
+      flag: '--circuit-size'
     }
   ];
   
   // Credential questions (only ask if using own credentials)
-  const credentialQuestions = useOwnCredentials ? [
+  const credentialQuestions: Question[] = useOwnCredentials ? [
     {
       type: 'input',
       name: 'address',
       message: 'Wallet address (or set ZKWASM_ADDRESS env var):',
-      default: defaultAddress
-    },
-    {
-      type: 'password',
-      name: 'priv',
-      message: 'Private key (or set ZKWASM_PRIVATE_KEY env var):',
-      default: defaultPrivateKey,
-      mask: '*'
+      default: defaultAddress || undefined,
+      flag: '--address'
     }
   ] : [];
   
   // Configuration questions
-  const configQuestions = [
+  const configQuestions: Question[] = [
     {
       type: 'input',
       name: 'name',
       message: 'Application name:',
-      default: 'zkwasm-app'
+      default: 'zkwasm-app',
+      env: 'ZKWASM_IMAGE_NAME',
+      flag: '--name'
     },
     {
       type: 'input',
       name: 'description',
       message: 'Image description:',
-      default: 'zkWasm application'
+      default: 'zkWasm application',
+      env: 'ZKWASM_IMAGE_DESCRIPTION',
+      flag: '--description'
     },
     {
       type: 'confirm',
       name: 'creator_paid_proof',
       message: 'Creator pays for proofs?',
-      default: false
+      default: false,
+      flag: '--creator-paid-proof'
     },
     {
       type: 'confirm',
       name: 'creator_only_add_prove_task',
       message: 'Only creator can add prove tasks?',
-      default: false
+      default: false,
+      flag: '--creator-only-add-prove-task'
     },
     {
       type: 'input',
       name: 'auto_submit_network_ids',
       message: 'Auto-submit network IDs (comma-separated, optional):',
-      default: ''
+      default: network.autoSubmitNetworkIds.join(','),
+      flag: '--auto-submit-network-ids'
     },
     {
       type: 'input',
       name: 'import_data_image',
       message: 'Import data from existing image (optional):',
-      default: ''
+      default: '',
+      flag: '--import-data-image'
     }
   ];
   
   // Combine all questions
   const allQuestions = [...baseQuestions, ...credentialQuestions, ...configQuestions];
   
-  const answers = await inquirer.prompt(allQuestions);
+  const answers = await ask(allQuestions, options, 'publish');
   
   // If using shared credentials, add them to the answers
   if (!useOwnCredentials) {
     answers.address = defaultAddress;
-    answers.priv = defaultPrivateKey;
     console.log(chalk.gray(`\n📝 Using shared public credentials:`));
     console.log(chalk.gray(`   Address: ${defaultAddress}`));
-    console.log(chalk.gray(`   Private key: ${defaultPrivateKey.substring(0, 10)}...`));
   }
   
   return {
     ...answers,
+    useOwnCredentials,
     auto_submit_network_ids: answers.auto_submit_network_ids || undefined,
     import_data_image: answers.import_data_image || undefined
   };
@@ -199,6 +216,13 @@ set -e
 
 echo "🚀 Publishing to zkWasm hub..."
 
+# Load ZKWASM_* variables from the project .env file, if present
+if [ -f ../.env ]; then
+    set -a
+    . ../.env
+    set +a
+fi
+
 # Configuration
 NAME="${config.name}"
 RESTURL="${config.resturl}"
@@ -209,8 +233,9 @@ CREATOR_PAID_PROOF="${config.creator_paid_proof}"
 CREATOR_ONLY_ADD_PROVE_TASK="${config.creator_only_add_prove_task}"
 
 # Environment variables (can be overridden)
+# The private key is never stored in this script, it is read from the environment or .env
 ADDRESS=\${ZKWASM_ADDRESS:-"${config.address}"}
-PRIV=\${ZKWASM_PRIVATE_KEY:-"${config.priv}"}
+PRIV=\${ZKWASM_PRIVATE_KEY:-}
 
 # Validate required parameters
 if [ -z "$ADDRESS" ]; then
@@ -221,7 +246,8 @@ fi
 
 if [ -z "$PRIV" ]; then
     echo "❌ Error: Private key not provided"
-    echo "   Set ZKWASM_PRIVATE_KEY environment variable or edit this script"
+    echo "   Set ZKWASM_PRIVATE_KEY environment variable or add it to .env"
+    echo "   (zkwasm-dapp publish can also use keys stored with: zkwasm-dapp keys add)"
     exit 1
 fi
 
@@ -241,7 +267,7 @@ CMD="node node_modules/zkwasm-service-cli/dist/index.js addimage \\
     -p \\"$WASM_PATH\\" \\
     -c \\"$CIRCUIT_SIZE\\" \\
     -u \\"$ADDRESS\\" \\
-    -x \\"$PRIV\\" \\
+    -x \\"\\$PRIV\\" \\
     -d \\"$DESCRIPTION\\" \\
     -n \\"$NAME\\" \\
     --creator_paid_proof \\"$CREATOR_PAID_PROOF\\" \\
@@ -0,0 +1,364 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  COMMANDS_SCHEMA,
+  CommandDefinition,
+  CommandParam,
+  CommandSchema,
+  ParamType,
+  loadCommandSchema,
+  printCodegenResults,
+  runCodegen,
+  toCamelCase,
+  toPascalCase,
+  validateCommandSchema
+} from './codegen.js';
+
+export interface GenerateCommandOptions {
+  // Comma separated name:type pairs, e.g. "amount:u64,to:u32"
+  params?: string;
+  id?: string | number;
+  description?: string;
+  cwd?: string;
+}
+
+export type ScaffoldStatus = 'added' | 'unchanged' | 'skipped';
+
+export interface ScaffoldResult {
+  file: string;
+  status: ScaffoldStatus;
+  detail: string;
+}
+
+export const STATE_FILE = 'src/state.rs';
+export const TEST_FILE = 'ts/src/test.ts';
+
+// Members of ZkWasmClient and Player in the template, a command method must not shadow them
+const RESERVED_METHODS = [
+  'getNonce', 'resyncNonce', 'sendCommand', 'sendBatch', 'queryState', 'queryConfig', 'getState', 'getConfig', 'register'
+];
+
+const SAMPLE_ARGS: Record<ParamType, string> = {
+  u8: '0',
+  u16: '0',
+  u32: '0',
+  u64: '0n',
+  bool: 'false'
+};
+
+// Adds a command to zkwasm.commands.json, regenerates the bindings and scaffolds the Rust handler
+// and a sample call. Every step is skipped when already done, and nothing is written unless all
+// files could be parsed.
+export async function generateCommand(rawName: string, options: GenerateCommandOptions = {}): Promise<ScaffoldResult[]> {
+  const cwd = path.resolve(options.cwd || '.');
+  const schemaPath = path.join(cwd, COMMANDS_SCHEMA);
+  const statePath = path.join(cwd, STATE_FILE);
+  const testPath = path.join(cwd, TEST_FILE);
+
+  if (!await fs.pathExists(schemaPath)) {
+    throw new Error(`${COMMANDS_SCHEMA} not found, run this in a project created by zkwasm-dapp`);
+  }
+  if (!await fs.pathExists(statePath)) {
+    throw new Error(`${STATE_FILE} not found`);
+  }
+
+  const name = rawName.trim().replace(/-/g, '_');
+  const schema = await loadCommandSchema(schemaPath);
+  const { command, schemaChanged } = addCommandToSchema(schema, name, options);
+
+  const state = await fs.readFile(statePath, 'utf8');
+  const newState = withLineEndings(state, source => insertRustHandler(source, command));
+  const test = await fs.pathExists(testPath) ? await fs.readFile(testPath, 'utf8') : null;
+  const newTest = test === null ? null : withLineEndings(test, source => insertTestCall(source, command));
+
+  const results: ScaffoldResult[] = [];
+  const record = (file: string, changed: boolean, added: string, existing: string) => {
+    results.push(changed ? { file, status: 'added', detail: added } : { file, status: 'unchanged', detail: existing });
+  };
+
+  if (schemaChanged) {
+    await fs.writeFile(schemaPath, formatSchema(schema));
+  }
+  record(COMMANDS_SCHEMA, schemaChanged, `Added ${name} with id ${command.id}`, `${name} is already defined`);
+
+  console.log(chalk.blue('🔧 Generating command bindings...'));
+  printCodegenResults(await runCodegen({ cwd }));
+
+  if (newState !== state) {
+    await fs.writeFile(statePath, newState);
+  }
+  record(STATE_FILE, newState !== state, `Added handler ${name} and its dispatch arm`, `Handler ${name} is already wired`);
+
+  if (test === null) {
+    results.push({ file: TEST_FILE, status: 'skipped', detail: 'File not found, no sample call added' });
+  } else {
+    if (newTest !== test) {
+      await fs.writeFile(testPath, newTest!);
+    }
+    record(TEST_FILE, newTest !== test, `Added a sample call to player.${toCamelCase(name)}()`, 'Sample call already present');
+  }
+
+  return results;
+}
+
+export function printScaffoldResults(results: ScaffoldResult[]): void {
+  for (const result of results) {
+    if (result.status === 'added') {
+      console.log(chalk.green(`  ✓ ${result.file}: ${result.detail}`));
+    } else if (result.status === 'unchanged') {
+      console.log(chalk.gray(`  ✓ ${result.file}: ${result.detail}`));
+    } else {
+      console.log(chalk.yellow(`  ⚠️  ${result.file}: ${result.detail}`));
+    }
+  }
+}
+
+// "amount:u64,to:u32" -> [{ name: 'amount', type: 'u64' }, { name: 'to', type: 'u32' }]
+export function parseParams(spec: string | undefined): CommandParam[] {
+  if (!spec || !spec.trim()) {
+    return [];
+  }
+
+  return spec.split(',').map(part => {
+    const [name, type, ...rest] = part.split(':').map(item => item.trim());
+    if (!name || !type || rest.length > 0) {
+      throw new Error(`Invalid parameter "${part.trim()}", expected name:type (e.g. amount:u64)`);
+    }
+    return { name, type: type as ParamType };
+  });
+}
+
+export function addCommandToSchema(
+  schema: CommandSchema,
+  name: string,
+  options: Pick<GenerateCommandOptions, 'params' | 'id' | 'description'>
+): { command: CommandDefinition; schemaChanged: boolean } {
+  const params = parseParams(options.params);
+
+  if (RESERVED_METHODS.includes(toCamelCase(name))) {
+    throw new Error(`"${name}" would shadow the client method ${toCamelCase(name)}(), choose another name`);
+  }
+
+  const existing = schema.commands.find(command => command.name === name);
+  if (existing) {
+    const describe = (list: CommandParam[]) => list.map(param => `${param.name}:${param.type}`).join(',') || 'none';
+    const existingParams = existing.params ?? [];
+    // Without --params the existing definition is reused as is
+    if (options.params !== undefined && describe(existingParams) !== describe(params)) {
+      throw new Error(`Command ${name} already exists with params ${describe(existingParams)}. Edit ${COMMANDS_SCHEMA} to change them`);
+    }
+    if (options.id !== undefined && Number(options.id) !== existing.id) {
+      throw new Error(`Command ${name} already exists with id ${existing.id}`);
+    }
+    return { command: existing, schemaChanged: false };
+  }
+
+  const id = options.id !== undefined
+    ? Number(options.id)
+    : Math.max(0, ...schema.commands.map(command => command.id)) + 1;
+  const command: CommandDefinition = { name, id };
+  if (options.description) {
+    command.description = options.description;
+  }
+  if (params.length > 0) {
+    command.params = params;
+  }
+
+  const problems = validateCommandSchema({ ...schema, commands: [...schema.commands, command] });
+  if (problems.length > 0) {
+    throw new Error(`Cannot add command ${name}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  schema.commands.push(command);
+  return { command, schemaChanged: true };
+}
+
+// Adds `pub fn <name>` to `impl Transaction` and its arm to the `match self.command` in process
+export function insertRustHandler(source: string, command: CommandDefinition): string {
+  const masked = maskSource(source, '"');
+  const params = command.params ?? [];
+  const variant = toPascalCase(command.name);
+
+  const impls = [...masked.matchAll(/\bimpl\s+Transaction\s*\{/g)];
+  if (impls.length !== 1) {
+    throw new Error(`${STATE_FILE}: expected exactly one \`impl Transaction\` block, found ${impls.length}`);
+  }
+  const implStart = impls[0].index! + impls[0][0].length - 1;
+  const implEnd = implStart + blockLength(masked, implStart);
+
+  const process = findFunction(masked, 'process', implStart, implEnd);
+  if (!process) {
+    throw new Error(`${STATE_FILE}: \`fn process\` not found in \`impl Transaction\``);
+  }
+  const pkey = /^\s*&\s*self\s*,\s*(\w+)\s*:/.exec(masked.slice(process.paramsStart, process.bodyStart))?.[1];
+  if (!pkey) {
+    throw new Error(`${STATE_FILE}: could not read the public key parameter of \`fn process\``);
+  }
+
+  const match = /\bmatch\s+self\s*\.\s*command\s*\{/.exec(masked.slice(process.bodyStart, process.bodyEnd));
+  if (!match) {
+    throw new Error(`${STATE_FILE}: \`match self.command\` not found in \`fn process\``);
+  }
+  const matchStart = process.bodyStart + match.index + match[0].length - 1;
+  const matchBody = masked.slice(matchStart, matchStart + blockLength(masked, matchStart));
+
+  const hasHandler = findFunction(masked, command.name, implStart, implEnd) !== null;
+  const hasArm = new RegExp(`\\bCommand\\s*::\\s*${variant}\\b`).test(matchBody);
+  if (hasHandler && hasArm) {
+    return source;
+  }
+
+  // Arms are added before the catch-all arm, which has to stay last
+  const fallback = /^([ \t]*)(?:Command\s*::\s*Unknown\s*\(|_\s*=>)/m.exec(matchBody);
+  if (!hasArm && !fallback) {
+    throw new Error(`${STATE_FILE}: no \`Command::Unknown(_)\` or \`_ =>\` arm in \`match self.command\` to insert before`);
+  }
+
+  const edits: { at: number; text: string }[] = [];
+  if (!hasArm) {
+    const fields = params.length > 0 ? ` { ${params.map(param => param.name).join(', ')} }` : '';
+    const args = [pkey, ...params.map(param => param.name)].join(', ');
+    edits.push({
+      at: matchStart + fallback!.index,
+      text: `${fallback![1]}Command::${variant}${fields} => self.${command.name}(${args}).map_or_else(|e| e, |_| 0),\n`
+    });
+  }
+  if (!hasHandler) {
+    const lineStart = masked.lastIndexOf('\n', process.start) + 1;
+    const indent = /^[ \t]*/.exec(masked.slice(lineStart))![0];
+    const signature = ['&self', '_pkey: &[u64; 4]', ...params.map(param => `_${param.name}: ${param.type}`)].join(', ');
+    const lines = [
+      ...(command.description ? [`/// ${command.description}`] : []),
+      `pub fn ${command.name}(${signature}) -> Result<(), u32> {`,
+      `    // TODO: implement ${command.name}`,
+      '    Ok(())',
+      '}'
+    ];
+    edits.push({ at: lineStart, text: lines.map(line => indent + line).join('\n') + '\n\n' });
+  }
+
+  return applyEdits(source, edits);
+}
+
+// Adds a call of the new client method at the end of main() in test.ts
+export function insertTestCall(source: string, command: CommandDefinition): string {
+  const method = toCamelCase(command.name);
+  const masked = maskSource(source, '"\'`');
+
+  if (new RegExp(`\\bplayer\\s*\\.\\s*${method}\\s*\\(`).test(masked)) {
+    return source;
+  }
+
+  const main = /\basync\s+function\s+main\s*\(\s*\)\s*(?::[^{]*)?\{/.exec(masked);
+  if (!main || !/\bplayer\b/.test(masked)) {
+    throw new Error(`${TEST_FILE}: expected an \`async function main()\` using \`player\``);
+  }
+  const bodyStart = main.index + main[0].length - 1;
+  const bodyEnd = bodyStart + blockLength(masked, bodyStart) - 1;
+  if (masked[bodyEnd] !== '}') {
+    throw new Error(`${TEST_FILE}: could not find the end of main()`);
+  }
+
+  const args = (command.params ?? []).map(param => SAMPLE_ARGS[param.type]).join(', ');
+  const text = [
+    '',
+    `  console.log("${command.name.replace(/_/g, ' ')}");`,
+    `  result = await player.${method}(${args});`,
+    `  console.log(\`nonce \${result.nonce}\`, result.value);`
+  ];
+  // Reuse the `result` variable of the template when it is declared in main()
+  if (!/\blet\s+result\b/.test(masked.slice(bodyStart, bodyEnd))) {
+    text[2] = `  let ${method}Result = await player.${method}(${args});`;
+    text[3] = `  console.log(\`nonce \${${method}Result.nonce}\`, ${method}Result.value);`;
+  }
+
+  const lineStart = masked.lastIndexOf('\n', bodyEnd) + 1;
+  return applyEdits(source, [{ at: lineStart, text: text.join('\n') + '\n' }]);
+}
+
+// JSON with parameters and errors on one line each, like the hand-written schema
+export function formatSchema(schema: CommandSchema): string {
+  return JSON.stringify(schema, null, 2)
+    .replace(/\{\n\s*("name": "[^"]*"),\n\s*("(?:type|code)": [^\n]+)\n\s*\}/g, '{ $1, $2 }') + '\n';
+}
+
+function findFunction(masked: string, name: string, from: number, to: number):
+  { start: number; paramsStart: number; bodyStart: number; bodyEnd: number } | null {
+  const pattern = new RegExp(`\\b(?:pub(?:\\s*\\([^)]*\\))?\\s+)?fn\\s+${name}\\s*\\(`, 'g');
+  pattern.lastIndex = from;
+  const match = pattern.exec(masked);
+  if (!match || match.index >= to) {
+    return null;
+  }
+  const paramsStart = match.index + match[0].length;
+  const paramsEnd = paramsStart - 1 + blockLength(masked, paramsStart - 1);
+  const bodyStart = masked.indexOf('{', paramsEnd);
+  if (bodyStart < 0 || bodyStart >= to) {
+    return null;
+  }
+  return { start: match.index, paramsStart, bodyStart, bodyEnd: bodyStart + blockLength(masked, bodyStart) };
+}
+
+// Length of the bracketed block starting at start, including both brackets
+function blockLength(masked: string, start: number): number {
+  let depth = 0;
+  for (let i = start; i < masked.length; i++) {
+    if ('{(['.includes(masked[i])) {
+      depth++;
+    } else if ('})]'.includes(masked[i])) {
+      depth--;
+      if (depth === 0) {
+        return i - start + 1;
+      }
+    }
+  }
+  throw new Error('Unbalanced brackets, refusing to edit the file');
+}
+
+// Blanks out comments and string literals, keeping offsets, so brackets inside them are not counted
+function maskSource(source: string, quotes: string): string {
+  let result = '';
+  let i = 0;
+  while (i < source.length) {
+    let end = i;
+    if (source.startsWith('//', i)) {
+      end = source.indexOf('\n', i);
+      end = end < 0 ? source.length : end;
+    } else if (source.startsWith('/*', i)) {
+      end = source.indexOf('*/', i + 2);
+      end = end < 0 ? source.length : end + 2;
+    } else if (quotes.includes(source[i])) {
+      end = i + 1;
+      while (end < source.length && source[end] !== source[i]) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end + 1, source.length);
+    }
+
+    if (end > i) {
+      result += source.slice(i, end).replace(/[^\n]/g, ' ');
+      i = end;
+    } else {
+      result += source[i++];
+    }
+  }
+  return result;
+}
+
+function applyEdits(source: string, edits: { at: number; text: string }[]): string {
+  return [...edits]
+    .sort((a, b) => b.at - a.at)
+    .reduce((text, edit) => text.slice(0, edit.at) + edit.text + text.slice(edit.at), source);
+}
+
+// The template keeps some sources with CRLF line endings; edits are made on LF and converted back
+function withLineEndings(source: string, edit: (source: string) => string): string {
+  const crlf = source.includes('\r\n');
+  const input = crlf ? source.replace(/\r\n/g, '\n') : source;
+  const edited = edit(input);
+  if (edited === input) {
+    return source;
+  }
+  return crlf ? edited.replace(/\r?\n/g, '\r\n') : edited;
+}
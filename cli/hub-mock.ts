@@ -0,0 +1,263 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+
+export interface HubMockOptions {
+  port?: string | number;
+  host?: string;
+  store?: string;
+}
+
+interface MockImage {
+  md5: string;
+  name: string;
+  description_url: string;
+  avator_url: string;
+  user_address: string;
+  circuit_size: number;
+  // The real hub returns the image commitment, the mock uses the sha256 of the image
+  checksum: string;
+  auto_submit_network_ids: number[];
+  prove_payment_src: number;
+  add_prove_task_restrictions: number;
+  import_data_image?: string;
+  status: 'Verified';
+  created_time: string;
+}
+
+interface MockTask {
+  _id: string;
+  md5: string;
+  user_address: string;
+  task_type: 'Setup' | 'Prove';
+  status: 'Done' | 'Pending';
+  submit_time: string;
+  public_inputs: string[];
+  private_inputs: string[];
+}
+
+interface MockStore {
+  version: 1;
+  images: Record<string, MockImage>;
+  tasks: MockTask[];
+}
+
+class HttpError extends Error {
+  constructor(public readonly status: number, message: string) {
+    super(message);
+  }
+}
+
+export const DEFAULT_HUB_MOCK_PORT = 8090;
+export const DEFAULT_HUB_MOCK_STORE = '.zkwasm-hub/store.json';
+
+export async function startHubMock(options: HubMockOptions = {}): Promise<http.Server> {
+  const port = Number(options.port ?? DEFAULT_HUB_MOCK_PORT);
+  const host = options.host || '127.0.0.1';
+  const storePath = path.resolve(options.store || DEFAULT_HUB_MOCK_STORE);
+  const store = await loadStore(storePath);
+
+  const save = async () => {
+    await fs.ensureDir(path.dirname(storePath));
+    await fs.writeJson(storePath, store, { spaces: 2 });
+  };
+
+  const routes: Record<string, (url: URL, req: http.IncomingMessage) => Promise<unknown>> = {
+    'GET /image': async (url) => {
+      const md5 = url.searchParams.get('md5')?.toUpperCase();
+      const image = md5 ? store.images[md5] : undefined;
+      return image ? [image] : [];
+    },
+    'POST /setup': async (_url, req) => {
+      const image = await registerImage(store, await readFields(req), path.dirname(storePath));
+      await save();
+      return { id: image.md5, md5: image.md5 };
+    },
+    'POST /prove': async (_url, req) => {
+      const fields = await readFields(req);
+      const md5 = String(fields.md5 ?? '').toUpperCase();
+      if (!store.images[md5]) {
+        throw new HttpError(400, `Image with md5 ${md5} not found`);
+      }
+      const task = addTask(store, md5, String(fields.user_address ?? ''), 'Prove', 'Pending');
+      task.public_inputs = toStringArray(fields.public_inputs);
+      task.private_inputs = toStringArray(fields.private_inputs);
+      await save();
+      return { id: task._id };
+    },
+    'GET /tasks': async (url) => {
+      const filters: [string, (task: MockTask, value: string) => boolean][] = [
+        ['id', (task, value) => task._id === value],
+        ['md5', (task, value) => task.md5 === value.toUpperCase()],
+        ['user_address', (task, value) => task.user_address.toLowerCase() === value.toLowerCase()],
+        ['tasktype', (task, value) => task.task_type === value],
+        ['taskstatus', (task, value) => task.status === value]
+      ];
+      const matching = store.tasks.filter(task => filters.every(([name, matches]) => {
+        const value = url.searchParams.get(name);
+        return !value || matches(task, value);
+      }));
+      const start = Number(url.searchParams.get('start') ?? 0);
+      const total = Number(url.searchParams.get('total') ?? matching.length);
+      return { data: matching.slice(start, start + total), total: matching.length };
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', `http://${req.headers.host ?? 'localhost'}`);
+    const route = routes[`${req.method} ${url.pathname}`];
+    let status = 200;
+    let body: unknown;
+
+    try {
+      if (!route) {
+        throw new HttpError(404, `No mock endpoint for ${req.method} ${url.pathname}`);
+      }
+      body = { success: true, result: await route(url, req) };
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { success: false, error: (error as Error).message };
+    }
+
+    console.log(chalk.gray(`${req.method} ${url.pathname}${url.search} → ${status}`));
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', (error: NodeJS.ErrnoException) => {
+      reject(new Error(error.code === 'EADDRINUSE' ? `Port ${port} is already in use, choose another with --port` : error.message));
+    });
+    server.listen(port, host, () => resolve());
+  });
+
+  console.log(chalk.green(`✅ Mock zkWasm hub listening on http://${host}:${port}`));
+  console.log(chalk.gray(`   Store: ${storePath} (${Object.keys(store.images).length} images, ${store.tasks.length} tasks)`));
+  console.log(chalk.blue('\n📖 Usage:'));
+  console.log(`   zkwasm-dapp publish --network local`);
+  console.log(`   zkwasm-dapp check --network local`);
+  console.log(chalk.gray('\nPress Ctrl+C to stop\n'));
+
+  return server;
+}
+
+async function loadStore(storePath: string): Promise<MockStore> {
+  if (!await fs.pathExists(storePath)) {
+    return { version: 1, images: {}, tasks: [] };
+  }
+
+  try {
+    return await fs.readJson(storePath);
+  } catch (error) {
+    throw new Error(`Failed to read mock hub store ${storePath}: ${(error as Error).message}`);
+  }
+}
+
+async function registerImage(store: MockStore, fields: Record<string, unknown>, storeDir: string): Promise<MockImage> {
+  const md5 = String(fields.image_md5 ?? '').toUpperCase();
+  const required = ['name', 'image_md5', 'user_address', 'circuit_size'];
+  const missing = required.filter(name => fields[name] === undefined || fields[name] === '');
+
+  if (missing.length > 0) {
+    throw new HttpError(400, `Missing fields: ${missing.join(', ')}`);
+  }
+  if (store.images[md5]) {
+    throw new HttpError(400, `Image with md5 ${md5} already exists`);
+  }
+
+  // Signatures are not checked, but the image must be uploaded and match its md5. Without it the
+  // entry would have no checksum, which check reports as not found while publish says it exists
+  if (!(fields.image instanceof Uint8Array)) {
+    throw new HttpError(400, 'Missing image file');
+  }
+  const image = Buffer.from(fields.image);
+  const actual = crypto.createHash('md5').update(image).digest('hex').toUpperCase();
+  if (actual !== md5) {
+    throw new HttpError(400, `Image md5 mismatch: expected ${md5}, got ${actual}`);
+  }
+  await fs.outputFile(path.join(storeDir, 'images', `${md5}.wasm`), image);
+
+  const entry: MockImage = {
+    md5,
+    name: String(fields.name),
+    description_url: String(fields.description_url ?? ''),
+    avator_url: String(fields.avator_url ?? ''),
+    user_address: String(fields.user_address).toLowerCase(),
+    circuit_size: Number(fields.circuit_size),
+    checksum: crypto.createHash('sha256').update(image).digest('hex'),
+    auto_submit_network_ids: toStringArray(fields.auto_submit_network_ids).map(Number),
+    prove_payment_src: Number(fields.prove_payment_src ?? 0),
+    add_prove_task_restrictions: Number(fields.add_prove_task_restrictions ?? 0),
+    import_data_image: fields.import_data_image ? String(fields.import_data_image) : undefined,
+    status: 'Verified',
+    created_time: new Date().toISOString()
+  };
+
+  store.images[md5] = entry;
+  addTask(store, md5, entry.user_address, 'Setup', 'Done');
+  return entry;
+}
+
+function addTask(store: MockStore, md5: string, userAddress: string, type: MockTask['task_type'], status: MockTask['status']): MockTask {
+  const task: MockTask = {
+    _id: crypto.randomBytes(12).toString('hex'),
+    md5,
+    user_address: userAddress.toLowerCase(),
+    task_type: type,
+    status,
+    submit_time: new Date().toISOString(),
+    public_inputs: [],
+    private_inputs: []
+  };
+  store.tasks.push(task);
+  return task;
+}
+
+// Accepts the multipart form data sent by zkwasm-service-helper as well as JSON bodies
+async function readFields(req: http.IncomingMessage): Promise<Record<string, unknown>> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(chunk as Buffer);
+  }
+  const body = Buffer.concat(chunks);
+  const contentType = req.headers['content-type'] ?? '';
+
+  if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+    const form = await new Request('http://localhost/', {
+      method: 'POST',
+      headers: { 'content-type': contentType },
+      body
+    }).formData();
+
+    const fields: Record<string, unknown> = {};
+    for (const [name, value] of form.entries()) {
+      const parsed = typeof value === 'string' ? value : new Uint8Array(await value.arrayBuffer());
+      // Repeated fields (e.g. auto_submit_network_ids) become arrays
+      fields[name] = name in fields ? [...toArray(fields[name]), parsed] : parsed;
+    }
+    return fields;
+  }
+
+  if (body.length === 0) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body must be JSON or form data');
+  }
+}
+
+function toArray(value: unknown): unknown[] {
+  return Array.isArray(value) ? value : [value];
+}
+
+function toStringArray(value: unknown): string[] {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return toArray(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
@@ -4,24 +4,100 @@ import chalk from 'chalk';
 import { spawn } from 'child_process';
 import { Command } from 'commander';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
+import { BenchOptions, DEFAULT_BENCH_COMMAND, DEFAULT_BENCH_DURATION, DEFAULT_BENCH_PLAYERS, DEFAULT_BENCH_RATE, printBenchResult, runBench } from './bench.js';
+import { buildProject, BuildOptions } from './build.js';
 import { checkDeployment } from './check-deployment.js';
+import { CodegenOptions, printCodegenResults, runCodegen } from './codegen.js';
 import { createProject } from './create-project.js';
+import { DevOptions, startDevServer } from './dev-server.js';
+import { generateCommand, GenerateCommandOptions, printScaffoldResults } from './generate.js';
 import { generatePublishScript } from './generate-publish.js';
+import { HubMockOptions, startHubMock } from './hub-mock.js';
 import { initConfig } from './init-config.js';
+import { addKey, listKeys, removeKey } from './keystore.js';
+import { DEFAULT_SERVICE_URL } from './local-service.js';
+import { fixProject } from './project-fix.js';
+import { publishImage } from './publish-image.js';
+import { runTypesCodegen, TypesCodegenOptions } from './rust-types.js';
+import { ask, definedValues, parseSetValues } from './prompts.js';
+import { replayLog, ReplayOptions } from './replay.js';
+import { emitReport, exitCodeFor, EXIT_CODES, parseFormat, withReportOutput } from './report.js';
+import { printTemplates } from './template-registry.js';
+import { DEFAULT_SCENARIO_DIR, runTests, TestOptions } from './test-runner.js';
 import { validateProject } from './validate-project.js';
+import { verifyBuild, VerifyOptions } from './verify-build.js';
+import { DiffOptions, runDiff } from './wasm-diff.js';
+import { showSize, SizeOptions } from './wasm-size.js';
 
-interface CreateOptions {
+interface PromptFlags {
+  yes?: boolean;
+  answers?: string;
+}
+
+interface CreateOptions extends PromptFlags {
   directory: string;
   skipInstall: boolean;
+  template: string;
+  author?: string;
+  description?: string;
+  projectVersion?: string;
+  githubActions?: boolean;
+  set?: string[];
+}
+
+interface InitOptions extends PromptFlags {
+  environment?: string;
+  autoCheck?: boolean;
+  outputDir?: string;
+  installTools?: boolean;
+}
+
+interface KeyAddOptions extends PromptFlags {
+  address?: string;
+}
+
+interface PublishOptions extends PromptFlags {
+  network?: string;
+  key?: string;
+  dryRun?: boolean;
+  json?: boolean;
+  script?: boolean;
+  action?: string;
+  hubUrl?: string;
+  wasmPath?: string;
+  circuitSize?: string;
+  ownCredentials?: boolean;
+  address?: string;
+  name?: string;
+  description?: string;
+  creatorPaidProof?: boolean;
+  creatorOnlyAddProveTask?: boolean;
+  autoSubmitNetworkIds?: string;
+  importDataImage?: string;
+  run?: boolean;
 }
 
 interface CheckOptions {
   verbose: boolean;
+  network?: string;
+  format?: string;
+  strict?: boolean;
 }
 
-interface BuildOptions {
-  release: boolean;
+interface ValidateOptions {
+  format?: string;
+  strict?: boolean;
+  updateStorageLock?: boolean;
+  fix?: boolean;
+  yes?: boolean;
+}
+
+interface TestCommandOptions extends TestOptions {
+  format?: string;
+}
+
+interface BenchCommandOptions extends BenchOptions {
+  format?: string;
 }
 
 const program = new Command();
@@ -33,12 +109,34 @@ program
 
 program
   .command('create <project-name>')
-  .description('Create a new zkWasm project (Hello World template)')
+  .description('Create a new zkWasm project from a template')
   .option('-d, --directory <dir>', 'Target directory', '.')
+  .option('-t, --template <template>', 'Template name, directory or tarball', 'basic')
   .option('--skip-install', 'Skip npm install')
+  .option('--author <name>', 'Author name')
+  .option('--description <text>', 'Project description')
+  .option('--project-version <version>', 'Initial version')
+  .option('--github-actions', 'Setup GitHub Actions CI/CD')
+  .option('--no-github-actions', 'Do not setup GitHub Actions CI/CD')
+  .option('--set <key=value...>', 'Answer a template-specific prompt')
+  .option('-y, --yes', 'Accept defaults for every unanswered prompt')
+  .option('--answers <file>', 'Read prompt answers from a JSON file')
   .action(async (projectName: string, options: CreateOptions) => {
     try {
-      await createProject(projectName, options);
+      await createProject(projectName, {
+        directory: options.directory,
+        skipInstall: options.skipInstall,
+        template: options.template,
+        yes: options.yes,
+        answers: options.answers,
+        values: definedValues({
+          ...parseSetValues(options.set),
+          author: options.author,
+          description: options.description,
+          version: options.projectVersion,
+          useGithubActions: options.githubActions
+        })
+      });
       console.log(chalk.green(`✅ Project ${projectName} created successfully!`));
     } catch (error) {
       console.error(chalk.red(`❌ Error creating project: ${(error as Error).message}`));
@@ -46,25 +144,65 @@ program
     }
   });
 
+const templates = program
+  .command('templates')
+  .description('Manage project templates');
+
+templates
+  .command('list')
+  .description('List available project templates')
+  .action(async () => {
+    try {
+      await printTemplates();
+    } catch (error) {
+      console.error(chalk.red(`❌ Error listing templates: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('check')
   .description('Check deployment readiness')
   .option('-v, --verbose', 'Verbose output')
+  .option('-n, --network <name>', 'Network profile from zkwasm.config.json')
+  .option('-f, --format <format>', 'Report format (text, json, junit, github)', 'text')
+  .option('--strict', 'Treat warnings as failures')
   .action(async (options: CheckOptions) => {
     try {
-      const result = await checkDeployment(options);
+      const format = parseFormat(options.format);
+      const result = await withReportOutput(format, () => checkDeployment(options));
+      const report = { command: 'check' as const, success: result.success, checks: result.checks, info: result.info };
+      await emitReport(report, format);
+      process.exit(exitCodeFor(report, options.strict));
     } catch (error) {
       console.error(chalk.red(`❌ Error during check: ${(error as Error).message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command('init')
   .description('Initialize zkWasm configuration')
-  .action(async () => {
+  .option('--environment <env>', 'Development environment (development, production, testing)')
+  .option('--auto-check', 'Enable automatic deployment checks before build')
+  .option('--no-auto-check', 'Disable automatic deployment checks before build')
+  .option('--output-dir <dir>', 'Build output directory')
+  .option('--install-tools', 'Automatically install missing tools')
+  .option('--no-install-tools', 'Only print installation instructions for missing tools')
+  .option('-y, --yes', 'Accept defaults for every unanswered prompt')
+  .option('--answers <file>', 'Read prompt answers from a JSON file')
+  .action(async (options: InitOptions) => {
     try {
-      await initConfig();
+      await initConfig({
+        yes: options.yes,
+        answers: options.answers,
+        values: definedValues({
+          environment: options.environment,
+          autoCheck: options.autoCheck,
+          outputDir: options.outputDir,
+          installTools: options.installTools
+        })
+      });
     } catch (error) {
       console.error(chalk.red(`❌ Error initializing config: ${(error as Error).message}`));
       process.exit(1);
@@ -74,45 +212,292 @@ program
 program
   .command('validate')
   .description('Validate current project structure')
-  .action(async () => {
+  .option('-f, --format <format>', 'Report format (text, json, junit, github)', 'text')
+  .option('--strict', 'Treat warnings as failures')
+  .option('--update-storage-lock', 'Accept StorageData layout changes that are not append-only')
+  .option('--fix', 'Restore missing project files, regenerate a missing or unparsable Cargo.toml and install dependencies')
+  .option('-y, --yes', 'Apply every fix without confirmation')
+  .action(async (options: ValidateOptions) => {
     try {
-      await validateProject();
-      console.log(chalk.green('✅ Project structure is valid!'));
+      const format = parseFormat(options.format);
+      const result = await withReportOutput(format, async () => {
+        if (options.fix) {
+          await fixProject({ yes: options.yes });
+        }
+        return validateProject({ updateStorageLock: options.updateStorageLock });
+      });
+      const report = { command: 'validate' as const, success: result.success, checks: result.checks };
+      await emitReport(report, format);
+      
+      const exitCode = exitCodeFor(report, options.strict);
+      if (exitCode === EXIT_CODES.SUCCESS && format === 'text') {
+        console.log(chalk.green('✅ Project structure is valid!'));
+      }
+      process.exit(exitCode);
     } catch (error) {
       console.error(chalk.red(`❌ Validation failed: ${(error as Error).message}`));
-      process.exit(1);
+      process.exit(EXIT_CODES.ERROR);
     }
   });
 
 program
   .command('build')
   .description('Build the zkWasm application')
-  .option('--release', 'Build in release mode')
+  .option('--release', 'Build in release mode (same as --profile production)')
+  .option('-p, --profile <profile>', 'Build profile: development, testing or production (default: environment from zkwasm.config.json)')
+  .option('-o, --output-dir <dir>', 'Artifacts directory (default: build.outputDir from zkwasm.config.json)')
   .action(async (options: BuildOptions) => {
-    console.log(chalk.blue('🔨 Building zkWasm application...'));
-    const buildProcess = spawn('make', ['build'], { stdio: 'inherit' });
-    
-    buildProcess.on('close', (code: number | null) => {
-      if (code === 0) {
-        console.log(chalk.green('✅ Build completed successfully!'));
+    try {
+      await buildProject(options);
+    } catch (error) {
+      console.error(chalk.red(`❌ Build failed: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+const codegen = program
+  .command('codegen')
+  .description('Generate Rust and TypeScript command bindings from zkwasm.commands.json')
+  .option('--check', 'Only check that the generated files are up to date')
+  .option('--schema <file>', 'Command schema (default: zkwasm.commands.json)')
+  .action(async (options: CodegenOptions) => {
+    try {
+      const files = await runCodegen(options);
+      printCodegenResults(files);
+      if (files.some(file => file.status === 'outdated')) {
+        console.error(chalk.red('❌ Generated files are out of date. Run: zkwasm-dapp codegen'));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Code generation failed: ${(error as Error).message}`));
+      process.exit(2);
+    }
+  });
+
+codegen
+  .command('types')
+  .description('Generate TypeScript interfaces and validators from the Serialize structs in src/')
+  .option('--check', 'Only check that ts/src/types.ts is up to date')
+  .action(async (options: TypesCodegenOptions) => {
+    try {
+      const result = await runTypesCodegen(options);
+      result.warnings.forEach(warning => console.log(chalk.yellow(`  ⚠️  ${warning}`)));
+      printCodegenResults(result.files);
+      console.log(chalk.gray(`  Types: ${result.types.join(', ') || 'none'}`));
+      if (result.files.some(file => file.status === 'outdated')) {
+        console.error(chalk.red('❌ Generated types are out of date. Run: zkwasm-dapp codegen types'));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Type generation failed: ${(error as Error).message}`));
+      process.exit(2);
+    }
+  });
+
+program
+  .command('size [wasm]')
+  .description('Show the size of the WASM image by section and function, and check build.sizeBudget')
+  .option('--top <n>', 'Number of functions to list', '20')
+  .option('--json', 'Print the size report as JSON')
+  .action(async (wasm: string | undefined, options: SizeOptions) => {
+    try {
+      const violations = await showSize(wasm, options);
+      process.exit(violations.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.CHECK_FAILED);
+    } catch (error) {
+      console.error(chalk.red(`❌ Size analysis failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command('diff [a] [b]')
+  .description('Compare two WASM images: functions, imports, exports and data segments\n                     - Without arguments: previous build against the current artifacts\n                     - With one file: that file against the current artifacts')
+  .option('--json', 'Print the diff as JSON')
+  .action(async (a: string | undefined, b: string | undefined, options: DiffOptions) => {
+    try {
+      await runDiff(a, b, options);
+    } catch (error) {
+      console.error(chalk.red(`❌ Diff failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Rebuild in a clean copy with the pinned toolchain and compare with local artifacts and the hub image')
+  .option('--md5 <md5>', 'MD5 of the hub image to verify (default: local build artifacts)')
+  .option('-n, --network <name>', 'Network profile from zkwasm.config.json')
+  .option('-p, --profile <profile>', 'Build profile for the rebuild (default: profile of the local build)')
+  .option('--keep', 'Keep the temporary rebuild directory')
+  .action(async (options: VerifyOptions) => {
+    try {
+      const result = await verifyBuild(options);
+      process.exit(result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.CHECK_FAILED);
+    } catch (error) {
+      console.error(chalk.red(`❌ Verification failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command('dev')
+  .description('Watch src/ and ts/src, rebuild on changes and restart the service')
+  .option('--smoke [script]', 'Run a script with node after each restart (default: ts/src/test.js)')
+  .option('--smoke-delay <ms>', 'Wait before running the smoke script', '2000')
+  .option('--no-service', 'Only rebuild, do not run ts/src/service.js')
+  .action(async (options: DevOptions) => {
+    try {
+      await startDevServer(options);
+    } catch (error) {
+      console.error(chalk.red(`❌ Dev mode failed: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('test [scenarios...]')
+  .description(`Start the service with local MongoDB and Redis and run scenario files (default: ${DEFAULT_SCENARIO_DIR})`)
+  .option('-u, --url <url>', 'Service URL', DEFAULT_SERVICE_URL)
+  .option('--no-service', 'Test against a service that is already running')
+  .option('--no-compile', 'Do not run tsc in ts/ first')
+  .option('--mongo <uri>', 'Use this MongoDB instead of a local stand-in')
+  .option('--redis <host>', 'Use this Redis host instead of a local stand-in')
+  .option('--ready-timeout <ms>', 'Wait this long for the service to answer', '60000')
+  .option('-v, --verbose', 'Show the output of the service and stand-ins')
+  .option('--keep', 'Keep the temporary directory with logs and data')
+  .option('-f, --format <format>', 'Report format (text, json, junit, github)', 'text')
+  .action(async (scenarios: string[], options: TestCommandOptions) => {
+    try {
+      const format = parseFormat(options.format);
+      const result = await withReportOutput(format, () => runTests(scenarios, options));
+      const report = { command: 'test' as const, success: result.success, checks: result.checks };
+      await emitReport(report, format);
+      process.exit(exitCodeFor(report));
+    } catch (error) {
+      console.error(chalk.red(`❌ Test run failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command('replay <log>')
+  .description('Replay a recorded transaction log and report the first step where the state diverges')
+  .option('-t, --target <target>', 'wasm (in-Node harness) or service (fresh local service)', 'wasm')
+  .option('--wasm <file>', 'WASM for the wasm target (default: build-artifacts/application/application_bg.wasm)')
+  .option('--ignore <paths...>', 'State paths left out of the comparison, e.g. state.counter')
+  .option('--all', 'Continue after the first divergence')
+  .option('-u, --url <url>', 'Service URL for the service target', DEFAULT_SERVICE_URL)
+  .option('--no-service', 'Replay on a service that is already running (service target)')
+  .option('--no-compile', 'Do not run tsc in ts/ first (service target)')
+  .option('--mongo <uri>', 'Use this MongoDB instead of a local stand-in')
+  .option('--redis <host>', 'Use this Redis host instead of a local stand-in')
+  .option('--ready-timeout <ms>', 'Wait this long for the service to answer', '60000')
+  .option('-v, --verbose', 'Show the output of the service and stand-ins')
+  .option('--keep', 'Keep the temporary directory with logs and data')
+  .action(async (log: string, options: ReplayOptions) => {
+    try {
+      const result = await replayLog(log, options);
+      process.exit(result.divergences.length > 0 ? EXIT_CODES.CHECK_FAILED : EXIT_CODES.SUCCESS);
+    } catch (error) {
+      console.error(chalk.red(`❌ Replay failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  });
+
+program
+  .command('bench')
+  .description('Load-test a running service with one command sent by many players')
+  .option('-c, --command <name>', 'Command from zkwasm.commands.json', DEFAULT_BENCH_COMMAND)
+  .option('--args <values...>', 'Command parameters in schema order')
+  .option('-p, --players <n>', 'Players to generate and register', String(DEFAULT_BENCH_PLAYERS))
+  .option('-r, --rate <tps>', 'Target transactions per second over all players', String(DEFAULT_BENCH_RATE))
+  .option('-d, --duration <time>', 'How long to send, e.g. 30, 30s or 2m', String(DEFAULT_BENCH_DURATION))
+  .option('-u, --url <url>', 'Service URL', DEFAULT_SERVICE_URL)
+  .option('--drain-timeout <time>', 'Wait this long for pending transactions at the end', '30')
+  .option('--no-compile', 'Do not run tsc in ts/ first')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .action(async (options: BenchCommandOptions) => {
+    try {
+      const format = parseFormat(options.format);
+      if (format !== 'text' && format !== 'json') {
+        throw new Error(`bench supports the text and json formats, not ${format}`);
+      }
+      const result = await withReportOutput(format, () => runBench(options));
+      if (format === 'json') {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
       } else {
-        console.error(chalk.red(`❌ Build failed with code ${code}`));
-        process.exit(code || 1);
+        printBenchResult(result);
       }
-    });
+      process.exit(EXIT_CODES.SUCCESS);
+    } catch (error) {
+      console.error(chalk.red(`❌ Benchmark failed: ${(error as Error).message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
   });
 
 program
   .command('publish')
-  .description('Generate or run publish.sh script for zkWasm hub\n                     - If script exists: choose to run or regenerate\n                     - If script missing: generate new script')
-  .action(async () => {
+  .description('Publish the WASM image to zkWasm hub\n                     - Skips the upload if the image already exists\n                     - With --script: generate or run the legacy publish.sh script')
+  .option('-n, --network <name>', 'Network profile from zkwasm.config.json')
+  .option('-k, --key <name>', 'Keystore entry used to sign the upload')
+  .option('--dry-run', 'Resolve parameters and check the hub without uploading')
+  .option('--json', 'Print the publish result as JSON')
+  .option('--script', 'Generate or run the legacy ts/publish.sh script instead')
+  .option('--action <action>', 'What to do with an existing script (run, regenerate, cancel; default with --yes: cancel)')
+  .option('--hub-url <url>', 'zkWasm hub API endpoint')
+  .option('--wasm-path <path>', 'WASM file path')
+  .option('--circuit-size <size>', 'Circuit size')
+  .option('--own-credentials', 'Use your own wallet credentials')
+  .option('--no-own-credentials', 'Use the shared public credentials')
+  .option('--address <address>', 'Wallet address (the private key is read from ZKWASM_PRIVATE_KEY)')
+  .option('--name <name>', 'Application name')
+  .option('--description <text>', 'Image description')
+  .option('--creator-paid-proof', 'Creator pays for proofs')
+  .option('--creator-only-add-prove-task', 'Only creator can add prove tasks')
+  .option('--auto-submit-network-ids <ids>', 'Auto-submit network IDs (comma-separated)')
+  .option('--import-data-image <md5>', 'Import data from existing image')
+  .option('--run', 'Run the publish script after generating it')
+  .option('--no-run', 'Do not run the publish script after generating it')
+  .option('-y, --yes', 'Accept defaults for every unanswered prompt')
+  .option('--answers <file>', 'Read prompt answers from a JSON file')
+  .action(async (options: PublishOptions) => {
     try {
       const publishPath = './ts/publish.sh';
+      const promptOptions = {
+        network: options.network,
+        key: options.key,
+        yes: options.yes,
+        answers: options.answers,
+        values: definedValues({
+          action: options.action,
+          resturl: options.hubUrl,
+          path: options.wasmPath,
+          circuit_size: options.circuitSize,
+          useOwnCredentials: options.ownCredentials,
+          address: options.address,
+          name: options.name,
+          description: options.description,
+          creator_paid_proof: options.creatorPaidProof,
+          creator_only_add_prove_task: options.creatorOnlyAddProveTask,
+          auto_submit_network_ids: options.autoSubmitNetworkIds,
+          import_data_image: options.importDataImage,
+          runNow: options.run
+        })
+      };
+      
+      if (!options.script) {
+        const format = options.json ? 'json' : 'text';
+        const result = await withReportOutput(format, () => publishImage({ ...promptOptions, dryRun: options.dryRun }));
+        if (options.json) {
+          process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+        }
+        return;
+      }
       
       if (await fs.pathExists(publishPath)) {
         console.log(chalk.blue('📄 Found existing publish.sh script'));
         
-        const { action } = await inquirer.prompt([
+        const { action } = await ask([
           {
             type: 'list',
             name: 'action',
@@ -121,18 +506,21 @@ program
               { name: '🚀 Run existing script', value: 'run' },
               { name: '🔄 Regenerate script', value: 'regenerate' },
               { name: '❌ Cancel', value: 'cancel' }
-            ]
+            ],
+            // Running uploads the image, so --yes alone never does it
+            default: 'cancel',
+            flag: '--action'
           }
-        ]);
+        ], promptOptions, 'publish');
         
         if (action === 'cancel') {
-          console.log(chalk.yellow('Operation cancelled.'));
+          console.log(chalk.yellow('Operation cancelled. Pass --action run to run the existing script without a prompt.'));
           return;
         }
         
         if (action === 'regenerate') {
           console.log(chalk.blue('🔄 Regenerating publish script...'));
-          await generatePublishScript();
+          await generatePublishScript(promptOptions);
         } else if (action === 'run') {
           console.log(chalk.blue('🚀 Running existing publish script...'));
           
@@ -156,7 +544,7 @@ program
         }
       } else {
         console.log(chalk.blue('📄 No publish.sh script found, generating new one...'));
-        await generatePublishScript();
+        await generatePublishScript(promptOptions);
       }
     } catch (error) {
       console.error(chalk.red(`❌ Failed to handle publish command: ${(error as Error).message}`));
@@ -164,4 +552,90 @@ program
     }
   });
 
+const keys = program
+  .command('keys')
+  .description('Manage publishing keys in the encrypted keystore');
+
+keys
+  .command('add <name>')
+  .description('Encrypt a private key with a password and store it')
+  .option('--address <address>', 'Wallet address of the key')
+  .option('--answers <file>', 'Read prompt answers from a JSON file')
+  .action(async (name: string, options: KeyAddOptions) => {
+    try {
+      await addKey(name, options);
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to add key: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+keys
+  .command('list')
+  .description('List stored keys and their addresses')
+  .action(async () => {
+    try {
+      await listKeys();
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to list keys: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+keys
+  .command('remove <name>')
+  .description('Remove a stored key')
+  .option('-y, --yes', 'Remove without confirmation')
+  .action(async (name: string, options: PromptFlags) => {
+    try {
+      await removeKey(name, { values: definedValues({ confirmRemove: options.yes }) });
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to remove key: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+const generate = program
+  .command('generate')
+  .description('Scaffold application code');
+
+generate
+  .command('command <name>')
+  .description('Add a transaction command: schema entry, bindings, Rust handler stub and a sample call')
+  .option('--params <list>', 'Parameters as name:type pairs, e.g. amount:u64,to:u32')
+  .option('--id <id>', 'Command id (default: the next free id)')
+  .option('-d, --description <text>', 'Description for the generated bindings')
+  .action(async (name: string, options: GenerateCommandOptions) => {
+    try {
+      console.log(chalk.blue(`🧩 Adding command ${name}...\n`));
+      const results = await generateCommand(name, options);
+      console.log();
+      printScaffoldResults(results);
+      console.log(chalk.blue('\n📖 Next steps:'));
+      console.log(`   Implement the handler in src/state.rs, then run: zkwasm-dapp build`);
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to generate command: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
+const hub = program
+  .command('hub')
+  .description('Local zkWasm hub tools for offline development');
+
+hub
+  .command('mock')
+  .description('Start a local mock zkWasm hub (use it with --network local)')
+  .option('-p, --port <port>', 'Port to listen on', '8090')
+  .option('--host <host>', 'Host to bind to', '127.0.0.1')
+  .option('--store <file>', 'JSON file holding registered images and tasks', '.zkwasm-hub/store.json')
+  .action(async (options: HubMockOptions) => {
+    try {
+      await startHubMock(options);
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to start mock hub: ${(error as Error).message}`));
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv); 
\ No newline at end of file
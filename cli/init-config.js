@@ -1,21 +1,22 @@
 import chalk from 'chalk';
 import { spawn } from 'child_process';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
 import path from 'path';
-export async function initConfig() {
+import { CONFIG_FILE, DEFAULT_NETWORK, DEFAULT_NETWORKS, DEFAULT_OUTPUT_DIR } from './config.js';
+import { ask, confirm } from './prompts.js';
+export async function initConfig(options = {}) {
     console.log(chalk.blue('🔧 Initializing zkWasm development environment...\n'));
     // Check current environment
     const envCheck = await checkEnvironment();
     if (!envCheck.isValid) {
         console.log(chalk.red('❌ Environment setup required\n'));
-        await setupEnvironment(envCheck);
+        await setupEnvironment(envCheck, options);
     }
     else {
         console.log(chalk.green('✅ Environment is already configured\n'));
     }
     // Configure project settings
-    await configureProject();
+    await configureProject(options);
     console.log(chalk.green('\n✅ Configuration completed successfully!'));
 }
 async function checkEnvironment() {
@@ -45,9 +46,9 @@ async function checkEnvironment() {
     }
     return results;
 }
-async function getToolVersion(cmd, args) {
+export async function getToolVersion(cmd, args, cwd) {
     return new Promise((resolve, reject) => {
-        const process = spawn(cmd, args, { stdio: 'pipe' });
+        const process = spawn(cmd, args, { cwd, stdio: 'pipe' });
         let output = '';
         process.stdout.on('data', (data) => {
             output += data.toString();
@@ -68,16 +69,9 @@ async function getToolVersion(cmd, args) {
         });
     });
 }
-async function setupEnvironment(envCheck) {
+async function setupEnvironment(envCheck, options) {
     console.log(chalk.yellow('Missing tools detected. Let\'s set them up!\n'));
-    const { shouldSetup } = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'shouldSetup',
-            message: 'Would you like to automatically install missing tools?',
-            default: true
-        }
-    ]);
+    const shouldSetup = await confirm('installTools', 'Would you like to automatically install missing tools?', true, options, 'init');
     if (!shouldSetup) {
         console.log(chalk.blue('\n📖 Manual installation guide:'));
         printInstallationInstructions(envCheck.missing);
@@ -153,9 +147,18 @@ async function runCommand(command) {
         });
     });
 }
-async function configureProject() {
+async function configureProject(options) {
     console.log(chalk.blue('\n🔧 Project Configuration'));
-    const config = await inquirer.prompt([
+    const configFile = CONFIG_FILE;
+    let existingConfig = {};
+    if (await fs.pathExists(configFile)) {
+        existingConfig = await fs.readJson(configFile);
+    }
+    // Existing settings are the defaults, so `init --yes` keeps them; create writes auto_check
+    const environments = ['development', 'production', 'testing'];
+    const existingEnvironment = existingConfig.environment ?? existingConfig.deployment?.environment;
+    const deployment = existingConfig.deployment;
+    const config = await ask([
         {
             type: 'list',
             name: 'environment',
@@ -165,41 +168,41 @@ async function configureProject() {
                 { name: 'Production (optimized builds)', value: 'production' },
                 { name: 'Testing (with test features)', value: 'testing' }
             ],
-            default: 'development'
+            default: existingEnvironment && environments.includes(existingEnvironment) ? existingEnvironment : 'development',
+            flag: '--environment'
         },
         {
             type: 'confirm',
             name: 'autoCheck',
             message: 'Enable automatic deployment checks before build?',
-            default: true
+            default: deployment?.autoCheck ?? deployment?.auto_check ?? true,
+            flag: '--auto-check / --no-auto-check'
         },
         {
             type: 'input',
             name: 'outputDir',
             message: 'Build output directory:',
-            default: './build-artifacts'
+            default: existingConfig.build?.outputDir ?? DEFAULT_OUTPUT_DIR,
+            flag: '--output-dir'
         }
-    ]);
+    ], options, 'init');
     // Generate or update zkwasm.config.json
-    const configFile = './zkwasm.config.json';
-    let existingConfig = {};
-    if (await fs.pathExists(configFile)) {
-        existingConfig = await fs.readJson(configFile);
-    }
     const newConfig = {
         ...existingConfig,
         environment: config.environment,
         build: {
             target: "wasm32-unknown-unknown",
+            ...existingConfig.build,
             optimize: config.environment === 'production',
-            outputDir: config.outputDir,
-            ...existingConfig.build
+            outputDir: config.outputDir
         },
         deployment: {
+            ...existingConfig.deployment,
             autoCheck: config.autoCheck,
-            environment: config.environment,
-            ...existingConfig.deployment
+            environment: config.environment
         },
+        defaultNetwork: existingConfig.defaultNetwork || DEFAULT_NETWORK,
+        networks: existingConfig.networks || DEFAULT_NETWORKS,
         updatedAt: new Date().toISOString()
     };
     await fs.writeJson(configFile, newConfig, { spaces: 2 });
@@ -218,30 +221,19 @@ set -e
 echo "🔨 Building zkWasm application in ${config.environment} mode..."
 
 # Check environment
-if ! command -v wasm-pack &> /dev/null; then
-    echo "❌ wasm-pack not found. Please install it first."
+if ! command -v zkwasm-dapp &> /dev/null; then
+    echo "❌ zkwasm-dapp not found. Please install it first: npm install -g zkwasm-dapp-cli"
     exit 1
 fi
 
 # Clean previous build
 make clean
 
-# Build with appropriate flags
-if [ "${config.environment}" = "development" ]; then
-    echo "📦 Building in development mode..."
-    cargo build --target wasm32-unknown-unknown
-    wasm-pack build --dev --out-name application --out-dir pkg
-elif [ "${config.environment}" = "testing" ]; then
-    echo "📦 Building in testing mode..."
-    cargo build --target wasm32-unknown-unknown --features test
-    wasm-pack build --dev --out-name application --out-dir pkg --features test
-else
-    echo "📦 Building in production mode..."
-    make build
-fi
+# Profile flags and output directory come from zkwasm.config.json
+zkwasm-dapp build --profile ${config.environment}
 
 # Run checks if enabled
-${config.autoCheck ? 'echo "🔍 Running deployment checks..."\nnode cli/check-deployment.js' : ''}
+${config.autoCheck ? 'echo "🔍 Running deployment checks..."\nzkwasm-dapp check' : ''}
 
 echo "✅ Build completed successfully!"
 `;
@@ -1,8 +1,9 @@
 import chalk from 'chalk';
 import { spawn } from 'child_process';
 import fs from 'fs-extra';
-import inquirer from 'inquirer';
 import path from 'path';
+import { CONFIG_FILE, DEFAULT_NETWORK, DEFAULT_NETWORKS, DEFAULT_OUTPUT_DIR, ZkWasmConfig } from './config.js';
+import { ask, confirm, PromptOptions } from './prompts.js';
 
 interface Tool {
   name: string;
@@ -22,21 +23,7 @@ interface ProjectConfig {
   outputDir: string;
 }
 
-interface ZkWasmConfig {
-  environment?: string;
-  build?: {
-    target?: string;
-    optimize?: boolean;
-    outputDir?: string;
-  };
-  deployment?: {
-    autoCheck?: boolean;
-    environment?: string;
-  };
-  updatedAt?: string;
-}
-
-export async function initConfig(): Promise<void> {
+export async function initConfig(options: PromptOptions = {}): Promise<void> {
   console.log(chalk.blue('🔧 Initializing zkWasm development environment...\n'));
   
   // Check current environment
@@ -44,13 +31,13 @@ export async function initConfig(): Promise<void> {
   
   if (!envCheck.isValid) {
     console.log(chalk.red('❌ Environment setup required\n'));
-    await setupEnvironment(envCheck);
+    await setupEnvironment(envCheck, options);
   } else {
     console.log(chalk.green('✅ Environment is already configured\n'));
   }
   
   // Configure project settings
-  await configureProject();
+  await configureProject(options);
   
   console.log(chalk.green('\n✅ Configuration completed successfully!'));
 }
@@ -85,9 +72,9 @@ async function checkEnvironment(): Promise<EnvironmentCheck> {
   return results;
 }
 
-async function getToolVersion(cmd: string, args: string[]): Promise<string> {
+export async function getToolVersion(cmd: string, args: string[], cwd?: string): Promise<string> {
   return new Promise((resolve, reject) => {
-    const process = spawn(cmd, args, { stdio: 'pipe' });
+    const process = spawn(cmd, args, { cwd, stdio: 'pipe' });
     let output = '';
     
     process.stdout.on('data', (data) => {
@@ -112,17 +99,16 @@ async function getToolVersion(cmd: string, args: string[]): Promise<string> {
   });
 }
 
-async function setupEnvironment(envCheck: EnvironmentCheck): Promise<void> {
+async function setupEnvironment(envCheck: EnvironmentCheck, options: PromptOptions): Promise<void> {
   console.log(chalk.yellow('Missing tools detected. Let\'s set them up!\n'));
   
-  const { shouldSetup } = await inquirer.prompt([
-    {
-      type: 'confirm',
-      name: 'shouldSetup',
-      message: 'Would you like to automatically install missing tools?',
-      default: true
-    }
-  ]);
+  const shouldSetup = await confirm(
+    'installTools',
+    'Would you like to automatically install missing tools?',
+    true,
+    options,
+    'init'
+  );
   
   if (!shouldSetup) {
     console.log(chalk.blue('\n📖 Manual installation guide:'));
@@ -206,10 +192,22 @@ async function runCommand(command: string): Promise<void> {
   });
 }
 
-async function configureProject(): Promise<void> {
+async function configureProject(options: PromptOptions): Promise<void> {
   console.log(chalk.blue('\n🔧 Project Configuration'));
   
-  const config = await inquirer.prompt([
+  const configFile = CONFIG_FILE;
+  let existingConfig: ZkWasmConfig = {};
+  
+  if (await fs.pathExists(configFile)) {
+    existingConfig = await fs.readJson(configFile);
+  }
+  
+  // Existing settings are the defaults, so `init --yes` keeps them; create writes auto_check
+  const environments = ['development', 'production', 'testing'];
+  const existingEnvironment = existingConfig.environment ?? existingConfig.deployment?.environment;
+  const deployment = existingConfig.deployment as { autoCheck?: boolean; auto_check?: boolean } | undefined;
+  
+  const config = await ask<ProjectConfig>([
     {
       type: 'list',
       name: 'environment',
@@ -219,44 +217,42 @@ async function configureProject(): Promise<void> {
         { name: 'Production (optimized builds)', value: 'production' },
         { name: 'Testing (with test features)', value: 'testing' }
       ],
-      default: 'development'
+      default: existingEnvironment && environments.includes(existingEnvironment) ? existingEnvironment : 'development',
+      flag: '--environment'
     },
     {
       type: 'confirm',
       name: 'autoCheck',
       message: 'Enable automatic deployment checks before build?',
-      default: true
+      default: deployment?.autoCheck ?? deployment?.auto_check ?? true,
+      flag: '--auto-check / --no-auto-check'
     },
     {
       type: 'input',
       name: 'outputDir',
       message: 'Build output directory:',
-      default: './build-artifacts'
+      default: existingConfig.build?.outputDir ?? DEFAULT_OUTPUT_DIR,
+      flag: '--output-dir'
     }
-  ]);
+  ], options, 'init');
   
   // Generate or update zkwasm.config.json
-  const configFile = './zkwasm.config.json';
-  let existingConfig: ZkWasmConfig = {};
-  
-  if (await fs.pathExists(configFile)) {
-    existingConfig = await fs.readJson(configFile);
-  }
-  
   const newConfig: ZkWasmConfig = {
     ...existingConfig,
     environment: config.environment,
     build: {
       target: "wasm32-unknown-unknown",
+      ...existingConfig.build,
       optimize: config.environment === 'production',
-      outputDir: config.outputDir,
-      ...existingConfig.build
+      outputDir: config.outputDir
     },
     deployment: {
+      ...existingConfig.deployment,
       autoCheck: config.autoCheck,
-      environment: config.environment,
-      ...existingConfig.deployment
+      environment: config.environment
     },
+    defaultNetwork: existingConfig.defaultNetwork || DEFAULT_NETWORK,
+    networks: existingConfig.networks || DEFAULT_NETWORKS,
     updatedAt: new Date().toISOString()
   };
   
@@ -279,30 +275,19 @@ set -e
 echo "🔨 Building zkWasm application in ${config.environment} mode..."
 
 # Check environment
-if ! command -v wasm-pack &> /dev/null; then
-    echo "❌ wasm-pack not found. Please install it first."
+if ! command -v zkwasm-dapp &> /dev/null; then
+    echo "❌ zkwasm-dapp not found. Please install it first: npm install -g zkwasm-dapp-cli"
     exit 1
 fi
 
 # Clean previous build
 make clean
 
-# Build with appropriate flags
-if [ "${config.environment}" = "development" ]; then
-    echo "📦 Building in development mode..."
-    cargo build --target wasm32-unknown-unknown
-    wasm-pack build --dev --out-name application --out-dir pkg
-elif [ "${config.environment}" = "testing" ]; then
-    echo "📦 Building in testing mode..."
-    cargo build --target wasm32-unknown-unknown --features test
-    wasm-pack build --dev --out-name application --out-dir pkg --features test
-else
-    echo "📦 Building in production mode..."
-    make build
-fi
+# Profile flags and output directory come from zkwasm.config.json
+zkwasm-dapp build --profile ${config.environment}
 
 # Run checks if enabled
-${config.autoCheck ? 'echo "🔍 Running deployment checks..."\nnode cli/check-deployment.js' : ''}
+${config.autoCheck ? 'echo "🔍 Running deployment checks..."\nzkwasm-dapp check' : ''}
 
 echo "✅ Build completed successfully!"
 `;
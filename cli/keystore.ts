@@ -0,0 +1,247 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { getEnv } from './config.js';
+import { ask, confirm, PromptOptions } from './prompts.js';
+
+interface EncryptedKey {
+  address: string;
+  createdAt: string;
+  crypto: {
+    cipher: 'aes-256-gcm';
+    kdf: 'scrypt';
+    kdfparams: { n: number; r: number; p: number; salt: string };
+    iv: string;
+    tag: string;
+    ciphertext: string;
+  };
+}
+
+interface KeystoreFile {
+  version: 1;
+  keys: Record<string, EncryptedKey>;
+}
+
+export interface Credentials {
+  address: string;
+  privateKey: string;
+  source: 'env' | '.env' | 'keystore' | 'shared';
+}
+
+export interface KeyOptions extends PromptOptions {
+  address?: string;
+}
+
+export interface CredentialOptions extends PromptOptions {
+  // Keystore entry to unlock, defaults to the only entry in the keystore
+  key?: string;
+}
+
+const KDF_PARAMS = { n: 16384, r: 8, p: 1 };
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const PASSWORD_ENV = 'ZKWASM_KEYSTORE_PASSWORD';
+
+export function getKeystorePath(): string {
+  return process.env.ZKWASM_KEYSTORE || path.join(os.homedir(), '.zkwasm-dapp', 'keystore.json');
+}
+
+export async function addKey(name: string, options: KeyOptions = {}): Promise<void> {
+  const keystore = await readKeystore();
+
+  if (keystore.keys[name]) {
+    throw new Error(`Key "${name}" already exists. Remove it first with: zkwasm-dapp keys remove ${name}`);
+  }
+
+  const answers = await ask([
+    {
+      type: 'input',
+      name: 'address',
+      message: 'Wallet address:',
+      env: 'ZKWASM_ADDRESS',
+      flag: '--address'
+    },
+    {
+      type: 'password',
+      name: 'privateKey',
+      message: 'Private key:',
+      mask: '*',
+      env: 'ZKWASM_PRIVATE_KEY'
+    },
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Keystore password:',
+      mask: '*',
+      env: PASSWORD_ENV
+    },
+    {
+      type: 'password',
+      name: 'passwordConfirm',
+      message: 'Repeat keystore password:',
+      mask: '*',
+      env: PASSWORD_ENV
+    }
+  ], { ...options, values: { address: options.address } }, 'keys');
+
+  if (!ADDRESS_PATTERN.test(answers.address)) {
+    throw new Error('Wallet address must be a 0x-prefixed 40 character hex string');
+  }
+  if (!PRIVATE_KEY_PATTERN.test(answers.privateKey)) {
+    throw new Error('Private key must be a 64 character hex string');
+  }
+  if (!answers.password) {
+    throw new Error('Keystore password must not be empty');
+  }
+  if (answers.password !== answers.passwordConfirm) {
+    throw new Error('Passwords do not match');
+  }
+
+  keystore.keys[name] = encryptKey(answers.address, answers.privateKey, answers.password);
+  await writeKeystore(keystore);
+
+  console.log(chalk.green(`✅ Key "${name}" (${answers.address}) saved to ${getKeystorePath()}`));
+}
+
+export async function listKeys(): Promise<void> {
+  const keystore = await readKeystore();
+  const names = Object.keys(keystore.keys);
+
+  if (names.length === 0) {
+    console.log(chalk.yellow(`No keys stored in ${getKeystorePath()}`));
+    console.log(chalk.gray('Add one with: zkwasm-dapp keys add <name>'));
+    return;
+  }
+
+  console.log(chalk.blue(`🔐 Keys in ${getKeystorePath()}:\n`));
+  for (const name of names.sort()) {
+    const key = keystore.keys[name];
+    console.log(`${chalk.green(name)}  ${key.address}  ${chalk.gray(key.createdAt)}`);
+  }
+}
+
+export async function removeKey(name: string, options: PromptOptions = {}): Promise<void> {
+  const keystore = await readKeystore();
+
+  if (!keystore.keys[name]) {
+    throw new Error(`Key "${name}" not found in ${getKeystorePath()}`);
+  }
+
+  const confirmed = await confirm('confirmRemove', `Remove key "${name}" (${keystore.keys[name].address})?`, false, options, 'keys');
+  if (!confirmed) {
+    console.log(chalk.yellow('Operation cancelled.'));
+    return;
+  }
+
+  delete keystore.keys[name];
+  await writeKeystore(keystore);
+  console.log(chalk.green(`✅ Key "${name}" removed`));
+}
+
+// Resolves publishing credentials at run time: environment, then .env, then the keystore
+export async function resolveCredentials(options: CredentialOptions = {}): Promise<Credentials> {
+  const envKey = process.env.ZKWASM_PRIVATE_KEY;
+  if (envKey) {
+    return { address: process.env.ZKWASM_ADDRESS || '', privateKey: envKey, source: 'env' };
+  }
+
+  const dotEnvKey = await getEnv('ZKWASM_PRIVATE_KEY');
+  if (dotEnvKey) {
+    return { address: (await getEnv('ZKWASM_ADDRESS')) || '', privateKey: dotEnvKey, source: '.env' };
+  }
+
+  const keystore = await readKeystore();
+  const names = Object.keys(keystore.keys);
+  const name = options.key || (names.length === 1 ? names[0] : undefined);
+
+  if (!name) {
+    throw new Error(names.length === 0
+      ? 'No private key found. Set ZKWASM_PRIVATE_KEY, add it to .env, or store it with: zkwasm-dapp keys add <name>'
+      : `Several keys are stored (${names.join(', ')}), select one with --key <name>`);
+  }
+
+  const entry = keystore.keys[name];
+  if (!entry) {
+    throw new Error(`Key "${name}" not found in ${getKeystorePath()}`);
+  }
+
+  const { password } = await ask([
+    {
+      type: 'password',
+      name: 'password',
+      message: `Password for key "${name}":`,
+      mask: '*',
+      env: PASSWORD_ENV
+    }
+  ], { ...options, yes: false }, 'keys');
+
+  return { address: entry.address, privateKey: decryptKey(entry, password), source: 'keystore' };
+}
+
+// Address of a keystore entry, readable without the password
+export async function getKeyAddress(name?: string): Promise<string | undefined> {
+  const keystore = await readKeystore();
+  const names = Object.keys(keystore.keys);
+  const key = name || (names.length === 1 ? names[0] : undefined);
+  return key ? keystore.keys[key]?.address : undefined;
+}
+
+function encryptKey(address: string, privateKey: string, password: string): EncryptedKey {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const derived = crypto.scryptSync(password, salt, 32, { N: KDF_PARAMS.n, r: KDF_PARAMS.r, p: KDF_PARAMS.p });
+  const cipher = crypto.createCipheriv('aes-256-gcm', derived, iv);
+  const ciphertext = Buffer.concat([cipher.update(privateKey.replace(/^0x/, ''), 'utf8'), cipher.final()]);
+
+  return {
+    address,
+    createdAt: new Date().toISOString(),
+    crypto: {
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      kdfparams: { ...KDF_PARAMS, salt: salt.toString('hex') },
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex')
+    }
+  };
+}
+
+function decryptKey(entry: EncryptedKey, password: string): string {
+  const { kdfparams, iv, tag, ciphertext } = entry.crypto;
+  const derived = crypto.scryptSync(password, Buffer.from(kdfparams.salt, 'hex'), 32, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p
+  });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', derived, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Wrong keystore password');
+  }
+}
+
+async function readKeystore(): Promise<KeystoreFile> {
+  const keystorePath = getKeystorePath();
+
+  if (!await fs.pathExists(keystorePath)) {
+    return { version: 1, keys: {} };
+  }
+
+  try {
+    return await fs.readJson(keystorePath);
+  } catch (error) {
+    throw new Error(`Failed to read keystore ${keystorePath}: ${(error as Error).message}`);
+  }
+}
+
+async function writeKeystore(keystore: KeystoreFile): Promise<void> {
+  const keystorePath = getKeystorePath();
+  await fs.ensureDir(path.dirname(keystorePath), { mode: 0o700 });
+  await fs.writeJson(keystorePath, keystore, { spaces: 2, mode: 0o600 });
+}
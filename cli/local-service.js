@@ -0,0 +1,202 @@
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { INSTALL_DIR } from './build.js';
+import { SERVICE_SCRIPT, delay, spawnPrefixed, stopProcess, waitForExit } from './dev-server.js';
+export const DEFAULT_SERVICE_URL = 'http://localhost:3000';
+const DEFAULT_READY_TIMEOUT = 60000;
+const POLL_INTERVAL = 250;
+const LOG_TAIL_LINES = 20;
+// zkwasm-ts-server connects to these unless URI and REDISHOST point elsewhere
+const MONGO_PORT = 27017;
+const REDIS_PORT = 6379;
+// Starts the service with its stand-ins, runs fn against its URL and stops everything again, also on Ctrl+C
+export async function withLocalService(cwd, options, fn) {
+    const url = (options.url || DEFAULT_SERVICE_URL).replace(/\/+$/, '');
+    const service = new LocalService(cwd, url, options);
+    const onSignal = () => {
+        void service.stop().then(() => process.exit(130));
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+    try {
+        await service.start(Number(options.readyTimeout ?? DEFAULT_READY_TIMEOUT));
+        return await fn(url);
+    }
+    finally {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        await service.stop();
+    }
+}
+export async function compileTypeScript(cwd) {
+    console.log(chalk.blue('🔨 Compiling TypeScript...'));
+    const code = await waitForExit(spawnPrefixed('npx', ['tsc'], 'tsc', chalk.gray, path.join(cwd, 'ts')));
+    if (code !== 0) {
+        throw new Error(`tsc failed with code ${code}`);
+    }
+}
+// Loads a compiled module of the project's TypeScript service, e.g. ts/src/api.js
+export async function importServiceModule(cwd, file) {
+    const modulePath = path.join(cwd, file);
+    if (!await fs.pathExists(modulePath)) {
+        throw new Error(`${file} not found, compile the TypeScript service first`);
+    }
+    return import(pathToFileURL(modulePath).href);
+}
+// The service with its MongoDB and Redis; stand-ins are started only for what is not already running
+class LocalService {
+    cwd;
+    url;
+    options;
+    processes = [];
+    tempDir = null;
+    stopping = null;
+    constructor(cwd, url, options) {
+        this.cwd = cwd;
+        this.url = url;
+        this.options = options;
+    }
+    async start(readyTimeout) {
+        if (this.options.service === false) {
+            console.log(chalk.blue(`🔎 Waiting for the running service at ${this.url}...`));
+            await this.waitUntil(() => isServiceReady(this.url), readyTimeout, `the service at ${this.url}`);
+            return;
+        }
+        if (!await fs.pathExists(path.join(this.cwd, INSTALL_DIR, 'application_bg.wasm'))) {
+            throw new Error('The application WASM is not installed in the service, run zkwasm-dapp build first');
+        }
+        const { hostname, port } = new URL(this.url);
+        if (await isPortOpen(hostname, Number(port || 80))) {
+            throw new Error(`Something is already listening on ${this.url}, stop it or pass --no-service to use it`);
+        }
+        this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zkwasm-test-'));
+        const env = { ...process.env };
+        if (this.options.mongo) {
+            env.URI = this.options.mongo;
+        }
+        else if (await isPortOpen('127.0.0.1', MONGO_PORT)) {
+            console.log(chalk.yellow(`⚠️  Using the MongoDB already running on port ${MONGO_PORT}, state from earlier runs is kept`));
+        }
+        else {
+            const dbPath = path.join(this.tempDir, 'mongo');
+            await fs.ensureDir(dbPath);
+            await this.startStandIn('mongo', 'mongod', ['--dbpath', dbPath, '--port', String(MONGO_PORT), '--bind_ip', '127.0.0.1'], MONGO_PORT, readyTimeout);
+        }
+        if (this.options.redis) {
+            env.REDISHOST = this.options.redis;
+        }
+        else if (await isPortOpen('127.0.0.1', REDIS_PORT)) {
+            console.log(chalk.yellow(`⚠️  Using the Redis already running on port ${REDIS_PORT}`));
+        }
+        else {
+            const redisDir = path.join(this.tempDir, 'redis');
+            await fs.ensureDir(redisDir);
+            await this.startStandIn('redis', 'redis-server', ['--port', String(REDIS_PORT), '--bind', '127.0.0.1', '--save', '', '--appendonly', 'no', '--dir', redisDir], REDIS_PORT, readyTimeout);
+        }
+        console.log(chalk.blue(`🚀 Starting ${SERVICE_SCRIPT}...`));
+        const service = this.startProcess('service', 'node', [SERVICE_SCRIPT], env);
+        await this.waitUntil(() => isServiceReady(this.url), readyTimeout, `the service at ${this.url}`, service);
+        console.log(chalk.green(`✅ Service ready at ${this.url}`));
+    }
+    stop() {
+        this.stopping ??= this.teardown();
+        return this.stopping;
+    }
+    async teardown() {
+        // Service first, it still talks to the stand-ins while shutting down
+        for (const managed of [...this.processes].reverse()) {
+            await stopProcess(managed.child);
+        }
+        if (this.tempDir) {
+            if (this.options.keep) {
+                console.log(chalk.gray(`Kept logs and data in ${this.tempDir}`));
+            }
+            else {
+                await fs.remove(this.tempDir);
+            }
+        }
+    }
+    async startStandIn(name, binary, args, port, timeout) {
+        console.log(chalk.blue(`🗄️  Starting ${binary} on port ${port}...`));
+        const managed = this.startProcess(name, binary, args);
+        await this.waitUntil(() => isPortOpen('127.0.0.1', port), timeout, `${binary} on port ${port}`, managed);
+    }
+    // Output goes to a log file in the temp directory, or to the console with --verbose
+    startProcess(name, cmd, args, env) {
+        let child;
+        let logFile;
+        if (this.options.verbose) {
+            child = spawnPrefixed(cmd, args, name, chalk.cyan, this.cwd, env);
+        }
+        else {
+            logFile = path.join(this.tempDir, `${name}.log`);
+            const fd = fs.openSync(logFile, 'a');
+            child = spawn(cmd, args, { cwd: this.cwd, env, stdio: ['ignore', fd, fd] });
+            fs.closeSync(fd);
+        }
+        const managed = { name, child, logFile };
+        child.on('error', (error) => {
+            managed.failure = error.code === 'ENOENT'
+                ? `${cmd} not found, install it or pass --${name} to use a running one`
+                : `${cmd} failed to start: ${error.message}`;
+        });
+        child.on('exit', (code, signal) => {
+            managed.failure ??= `${name} exited (${signal ?? `code ${code}`})`;
+        });
+        this.processes.push(managed);
+        return managed;
+    }
+    async waitUntil(ready, timeout, what, managed) {
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            if (managed?.failure) {
+                throw new Error(`${managed.failure}${await this.logTail(managed)}`);
+            }
+            if (await ready()) {
+                return;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out after ${timeout}ms waiting for ${what}${managed ? await this.logTail(managed) : ''}`);
+            }
+            await delay(POLL_INTERVAL);
+        }
+    }
+    async logTail(managed) {
+        if (!managed.logFile || !await fs.pathExists(managed.logFile)) {
+            return '';
+        }
+        const lines = (await fs.readFile(managed.logFile, 'utf8')).trimEnd().split('\n').slice(-LOG_TAIL_LINES);
+        return lines[0] ? `\n--- last lines of ${managed.name} output ---\n${lines.join('\n')}` : '';
+    }
+}
+// zkwasm-ts-server answers POST /config once the application is loaded
+async function isServiceReady(url) {
+    try {
+        const response = await fetch(`${url}/config`, { method: 'POST', signal: AbortSignal.timeout(2000) });
+        return response.ok;
+    }
+    catch {
+        return false;
+    }
+}
+function isPortOpen(host, port) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host, port });
+        socket.setTimeout(1000);
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            resolve(false);
+        });
+        socket.once('error', () => resolve(false));
+    });
+}
+//# sourceMappingURL=local-service.js.map
\ No newline at end of file
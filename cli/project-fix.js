@@ -0,0 +1,264 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { checkCargoManifest } from './cargo-check.js';
+import { loadConfig } from './config.js';
+import { COMMON_FILES, crateNames, DEFAULT_TEMPLATE, installDependencies, renderTemplateFile } from './create-project.js';
+import { confirm } from './prompts.js';
+import { getPackageDir, getTemplateFiles, resolveTemplate } from './template-registry.js';
+import { parseToml, TomlError } from './toml.js';
+import { REQUIRED_DIRS, REQUIRED_FILES } from './validate-project.js';
+const CONTEXT_LINES = 3;
+const MAX_NEW_FILE_LINES = 20;
+// Restores what validate reports as missing from common/ and the project's template. Every fix is
+// previewed and needs a confirmation, which --yes gives for all of them.
+export async function fixProject(options = {}) {
+    console.log(chalk.blue('🔧 Looking for project files to repair...\n'));
+    const result = { applied: [], skipped: [], failed: [] };
+    const config = await loadConfig();
+    let template = null;
+    try {
+        template = await resolveTemplate(config.project?.template || DEFAULT_TEMPLATE);
+    }
+    catch (error) {
+        console.log(chalk.yellow(`⚠️  ${error.message}. Template files and Cargo.toml can not be restored`));
+    }
+    try {
+        const fixes = [
+            ...await planCommonFiles(),
+            ...(template ? await planTemplateFiles(template) : []),
+            ...(template ? await planCargoToml(template, config) : []),
+            ...await planDependencies()
+        ];
+        if (fixes.length === 0) {
+            console.log(chalk.green('  ✅ Nothing to repair\n'));
+            return result;
+        }
+        for (const fix of fixes) {
+            printFix(fix);
+            if (!await confirm('applyFix', `${fix.title}?`, true, options, 'validate')) {
+                result.skipped.push(fix.title);
+                console.log(chalk.gray('  Skipped\n'));
+                continue;
+            }
+            try {
+                for (const change of fix.changes) {
+                    await fs.outputFile(change.path, change.after);
+                }
+                await fix.run?.();
+                result.applied.push(fix.title);
+                console.log(chalk.green(`  ✅ ${fix.title}\n`));
+            }
+            catch (error) {
+                result.failed.push(fix.title);
+                console.log(chalk.red(`  ❌ ${fix.title} failed: ${error.message}\n`));
+            }
+        }
+    }
+    finally {
+        await template?.cleanup();
+    }
+    return result;
+}
+async function planCommonFiles() {
+    const commonDir = path.join(getPackageDir(), 'common');
+    const fixes = [];
+    for (const file of COMMON_FILES) {
+        const source = path.join(commonDir, file);
+        if (!await fs.pathExists(file) && await fs.pathExists(source)) {
+            fixes.push({
+                title: `Restore ${file} from common/`,
+                changes: [{ path: file, before: null, after: await fs.readFile(source) }]
+            });
+        }
+    }
+    return fixes;
+}
+// Only paths the structure check requires; a restored directory covers the paths inside it
+async function planTemplateFiles(template) {
+    const fixes = [];
+    const restored = [];
+    for (const entry of [...REQUIRED_DIRS, ...REQUIRED_FILES]) {
+        if (COMMON_FILES.includes(entry) || entry === 'Cargo.toml' || restored.some(dir => entry.startsWith(`${dir}/`))) {
+            continue;
+        }
+        if (await fs.pathExists(entry)) {
+            continue;
+        }
+        const source = path.join(template.dir, entry);
+        if (!await fs.pathExists(source)) {
+            console.log(chalk.yellow(`⚠️  The ${template.id} template has no ${entry} to restore`));
+            continue;
+        }
+        const isDir = (await fs.stat(source)).isDirectory();
+        const files = isDir ? await listFiles(source) : [''];
+        const changes = [];
+        for (const file of files) {
+            changes.push({ path: path.posix.join(entry, file), before: null, after: await fs.readFile(path.join(source, file)) });
+        }
+        restored.push(entry);
+        fixes.push({ title: `Restore ${entry}${isDir ? '/' : ''} from the ${template.id} template`, changes });
+    }
+    return fixes;
+}
+// Cargo.toml is rendered again from zkwasm.config.json only when it is missing or not valid TOML
+async function planCargoToml(template, config) {
+    const renders = Object.entries(getTemplateFiles(template.manifest).render);
+    const source = renders.find(([, target]) => target === 'Cargo.toml')?.[0];
+    if (!source || !await fs.pathExists(path.join(template.dir, source))) {
+        return [];
+    }
+    const exists = await fs.pathExists('Cargo.toml');
+    let reason;
+    if (exists) {
+        try {
+            parseToml(await fs.readFile('Cargo.toml', 'utf8'));
+        }
+        catch (error) {
+            if (!(error instanceof TomlError)) {
+                throw error;
+            }
+            reason = `Cargo.toml is not valid TOML: ${error.message}`;
+        }
+    }
+    if (exists && !reason) {
+        // Rendering the template again would drop the project's own dependencies and settings
+        for (const check of (await checkCargoManifest()).filter(c => c.status === 'fail')) {
+            console.log(chalk.yellow(`⚠️  ${check.message}. --fix leaves Cargo.toml unchanged, edit it by hand`));
+        }
+        return [];
+    }
+    const project = config.project ?? {};
+    if (!project.name) {
+        console.log(chalk.yellow('⚠️  zkwasm.config.json has no project name, Cargo.toml can not be regenerated'));
+        return [];
+    }
+    // Answers to template prompts are not saved, their defaults stand in
+    const promptDefaults = Object.fromEntries((template.manifest.prompts ?? []).map(prompt => [prompt.name, prompt.default]));
+    const projectConfig = {
+        ...promptDefaults,
+        projectName: project.name,
+        template: template.id,
+        author: project.author ?? '',
+        description: project.description ?? '',
+        version: project.version ?? '0.1.0',
+        useGithubActions: await fs.pathExists('.github'),
+        ...crateNames(project.name)
+    };
+    const after = await renderTemplateFile(template, source, projectConfig);
+    const before = exists ? await fs.readFile('Cargo.toml', 'utf8') : null;
+    if (before === after) {
+        return [];
+    }
+    return [{
+            title: `${exists ? 'Regenerate' : 'Generate'} Cargo.toml from ${source}`,
+            reason,
+            changes: [{ path: 'Cargo.toml', before, after }]
+        }];
+}
+async function planDependencies() {
+    if (await fs.pathExists('ts/node_modules')) {
+        return [];
+    }
+    return [{
+            title: 'Install TypeScript dependencies',
+            changes: [],
+            command: 'cd ts && npm install && npx tsc',
+            run: async () => {
+                if (!await fs.pathExists('ts/package.json')) {
+                    throw new Error('ts/package.json is missing');
+                }
+                await installDependencies('.');
+            }
+        }];
+}
+async function listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of (await fs.readdir(path.join(dir, prefix))).sort()) {
+        const relative = path.posix.join(prefix, entry);
+        if ((await fs.stat(path.join(dir, relative))).isDirectory()) {
+            files.push(...await listFiles(dir, relative));
+        }
+        else {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+function printFix(fix) {
+    console.log(chalk.blue(`📝 ${fix.title}`));
+    if (fix.reason) {
+        console.log(chalk.gray(`   ${fix.reason}`));
+    }
+    // File contents are shown for single-file fixes, restored directories list their files
+    const full = fix.changes.length === 1;
+    for (const change of fix.changes) {
+        previewChange(change, full).forEach(line => console.log(`   ${line}`));
+    }
+    if (fix.command) {
+        console.log(chalk.gray(`   $ ${fix.command}`));
+    }
+}
+function previewChange(change, full) {
+    const after = splitLines(change.after.toString());
+    if (change.before === null) {
+        const lines = [chalk.green(`+++ ${change.path} (new file, ${after.length} lines)`)];
+        if (full) {
+            lines.push(...after.slice(0, MAX_NEW_FILE_LINES).map(line => chalk.green(`+${line}`)));
+            if (after.length > MAX_NEW_FILE_LINES) {
+                lines.push(chalk.gray(`... ${after.length - MAX_NEW_FILE_LINES} more lines`));
+            }
+        }
+        return lines;
+    }
+    const lines = [chalk.red(`--- ${change.path}`), chalk.green(`+++ ${change.path}`)];
+    const diff = diffLines(splitLines(change.before), after);
+    // Changed lines with a few lines of context, in hunks headed by their position in the old file
+    const shown = diff.map((_, index) => diff
+        .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+        .some(line => line.type !== ' '));
+    let oldLine = 1;
+    let newLine = 1;
+    diff.forEach((line, index) => {
+        if (shown[index]) {
+            if (index === 0 || !shown[index - 1]) {
+                lines.push(chalk.cyan(`@@ -${oldLine} +${newLine} @@`));
+            }
+            const text = `${line.type}${line.text}`;
+            lines.push(line.type === '+' ? chalk.green(text) : line.type === '-' ? chalk.red(text) : text);
+        }
+        oldLine += line.type === '+' ? 0 : 1;
+        newLine += line.type === '-' ? 0 : 1;
+    });
+    return lines;
+}
+// Line diff from the longest common subsequence, fine for files the size of Cargo.toml
+function diffLines(a, b) {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            diff.push({ type: ' ', text: a[i++] });
+            j++;
+        }
+        else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            diff.push({ type: '-', text: a[i++] });
+        }
+        else {
+            diff.push({ type: '+', text: b[j++] });
+        }
+    }
+    return diff;
+}
+function splitLines(content) {
+    const lines = content.split(/\r?\n/);
+    return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
+//# sourceMappingURL=project-fix.js.map
\ No newline at end of file
@@ -0,0 +1,323 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { checkCargoManifest } from './cargo-check.js';
+import { loadConfig, ZkWasmConfig } from './config.js';
+import {
+  COMMON_FILES,
+  crateNames,
+  DEFAULT_TEMPLATE,
+  installDependencies,
+  ProjectConfig,
+  renderTemplateFile
+} from './create-project.js';
+import { confirm, PromptOptions } from './prompts.js';
+import { getPackageDir, getTemplateFiles, resolveTemplate, ResolvedTemplate } from './template-registry.js';
+import { parseToml, TomlError } from './toml.js';
+import { REQUIRED_DIRS, REQUIRED_FILES } from './validate-project.js';
+
+export interface FixResult {
+  applied: string[];
+  skipped: string[];
+  failed: string[];
+}
+
+interface FileChange {
+  path: string;
+  // null for a file that does not exist yet
+  before: string | null;
+  after: Buffer | string;
+}
+
+interface Fix {
+  title: string;
+  reason?: string;
+  changes: FileChange[];
+  // Shown in the preview, run after the file changes
+  command?: string;
+  run?: () => Promise<void>;
+}
+
+type DiffLine = { type: ' ' | '-' | '+'; text: string };
+
+const CONTEXT_LINES = 3;
+const MAX_NEW_FILE_LINES = 20;
+
+// Restores what validate reports as missing from common/ and the project's template. Every fix is
+// previewed and needs a confirmation, which --yes gives for all of them.
+export async function fixProject(options: PromptOptions = {}): Promise<FixResult> {
+  console.log(chalk.blue('🔧 Looking for project files to repair...\n'));
+
+  const result: FixResult = { applied: [], skipped: [], failed: [] };
+  const config = await loadConfig();
+  let template: ResolvedTemplate | null = null;
+  try {
+    template = await resolveTemplate(config.project?.template || DEFAULT_TEMPLATE);
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  ${(error as Error).message}. Template files and Cargo.toml can not be restored`));
+  }
+
+  try {
+    const fixes = [
+      ...await planCommonFiles(),
+      ...(template ? await planTemplateFiles(template) : []),
+      ...(template ? await planCargoToml(template, config) : []),
+      ...await planDependencies()
+    ];
+
+    if (fixes.length === 0) {
+      console.log(chalk.green('  ✅ Nothing to repair\n'));
+      return result;
+    }
+
+    for (const fix of fixes) {
+      printFix(fix);
+      if (!await confirm('applyFix', `${fix.title}?`, true, options, 'validate')) {
+        result.skipped.push(fix.title);
+        console.log(chalk.gray('  Skipped\n'));
+        continue;
+      }
+
+      try {
+        for (const change of fix.changes) {
+          await fs.outputFile(change.path, change.after);
+        }
+        await fix.run?.();
+        result.applied.push(fix.title);
+        console.log(chalk.green(`  ✅ ${fix.title}\n`));
+      } catch (error) {
+        result.failed.push(fix.title);
+        console.log(chalk.red(`  ❌ ${fix.title} failed: ${(error as Error).message}\n`));
+      }
+    }
+  } finally {
+    await template?.cleanup();
+  }
+
+  return result;
+}
+
+async function planCommonFiles(): Promise<Fix[]> {
+  const commonDir = path.join(getPackageDir(), 'common');
+  const fixes: Fix[] = [];
+
+  for (const file of COMMON_FILES) {
+    const source = path.join(commonDir, file);
+    if (!await fs.pathExists(file) && await fs.pathExists(source)) {
+      fixes.push({
+        title: `Restore ${file} from common/`,
+        changes: [{ path: file, before: null, after: await fs.readFile(source) }]
+      });
+    }
+  }
+
+  return fixes;
+}
+
+// Only paths the structure check requires; a restored directory covers the paths inside it
+async function planTemplateFiles(template: ResolvedTemplate): Promise<Fix[]> {
+  const fixes: Fix[] = [];
+  const restored: string[] = [];
+
+  for (const entry of [...REQUIRED_DIRS, ...REQUIRED_FILES]) {
+    if (COMMON_FILES.includes(entry) || entry === 'Cargo.toml' || restored.some(dir => entry.startsWith(`${dir}/`))) {
+      continue;
+    }
+    if (await fs.pathExists(entry)) {
+      continue;
+    }
+
+    const source = path.join(template.dir, entry);
+    if (!await fs.pathExists(source)) {
+      console.log(chalk.yellow(`⚠️  The ${template.id} template has no ${entry} to restore`));
+      continue;
+    }
+
+    const isDir = (await fs.stat(source)).isDirectory();
+    const files = isDir ? await listFiles(source) : [''];
+    const changes: FileChange[] = [];
+    for (const file of files) {
+      changes.push({ path: path.posix.join(entry, file), before: null, after: await fs.readFile(path.join(source, file)) });
+    }
+
+    restored.push(entry);
+    fixes.push({ title: `Restore ${entry}${isDir ? '/' : ''} from the ${template.id} template`, changes });
+  }
+
+  return fixes;
+}
+
+// Cargo.toml is rendered again from zkwasm.config.json only when it is missing or not valid TOML
+async function planCargoToml(template: ResolvedTemplate, config: ZkWasmConfig): Promise<Fix[]> {
+  const renders = Object.entries(getTemplateFiles(template.manifest).render);
+  const source = renders.find(([, target]) => target === 'Cargo.toml')?.[0];
+  if (!source || !await fs.pathExists(path.join(template.dir, source))) {
+    return [];
+  }
+
+  const exists = await fs.pathExists('Cargo.toml');
+  let reason: string | undefined;
+  if (exists) {
+    try {
+      parseToml(await fs.readFile('Cargo.toml', 'utf8'));
+    } catch (error) {
+      if (!(error instanceof TomlError)) {
+        throw error;
+      }
+      reason = `Cargo.toml is not valid TOML: ${error.message}`;
+    }
+  }
+  if (exists && !reason) {
+    // Rendering the template again would drop the project's own dependencies and settings
+    for (const check of (await checkCargoManifest()).filter(c => c.status === 'fail')) {
+      console.log(chalk.yellow(`⚠️  ${check.message}. --fix leaves Cargo.toml unchanged, edit it by hand`));
+    }
+    return [];
+  }
+
+  const project = config.project ?? {};
+  if (!project.name) {
+    console.log(chalk.yellow('⚠️  zkwasm.config.json has no project name, Cargo.toml can not be regenerated'));
+    return [];
+  }
+
+  // Answers to template prompts are not saved, their defaults stand in
+  const promptDefaults = Object.fromEntries((template.manifest.prompts ?? []).map(prompt => [prompt.name, prompt.default]));
+  const projectConfig: ProjectConfig = {
+    ...promptDefaults,
+    projectName: project.name,
+    template: template.id,
+    author: project.author ?? '',
+    description: project.description ?? '',
+    version: project.version ?? '0.1.0',
+    useGithubActions: await fs.pathExists('.github'),
+    ...crateNames(project.name)
+  };
+
+  const after = await renderTemplateFile(template, source, projectConfig);
+  const before = exists ? await fs.readFile('Cargo.toml', 'utf8') : null;
+  if (before === after) {
+    return [];
+  }
+
+  return [{
+    title: `${exists ? 'Regenerate' : 'Generate'} Cargo.toml from ${source}`,
+    reason,
+    changes: [{ path: 'Cargo.toml', before, after }]
+  }];
+}
+
+async function planDependencies(): Promise<Fix[]> {
+  if (await fs.pathExists('ts/node_modules')) {
+    return [];
+  }
+
+  return [{
+    title: 'Install TypeScript dependencies',
+    changes: [],
+    command: 'cd ts && npm install && npx tsc',
+    run: async () => {
+      if (!await fs.pathExists('ts/package.json')) {
+        throw new Error('ts/package.json is missing');
+      }
+      await installDependencies('.');
+    }
+  }];
+}
+
+async function listFiles(dir: string, prefix = ''): Promise<string[]> {
+  const files: string[] = [];
+  for (const entry of (await fs.readdir(path.join(dir, prefix))).sort()) {
+    const relative = path.posix.join(prefix, entry);
+    if ((await fs.stat(path.join(dir, relative))).isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+function printFix(fix: Fix): void {
+  console.log(chalk.blue(`📝 ${fix.title}`));
+  if (fix.reason) {
+    console.log(chalk.gray(`   ${fix.reason}`));
+  }
+
+  // File contents are shown for single-file fixes, restored directories list their files
+  const full = fix.changes.length === 1;
+  for (const change of fix.changes) {
+    previewChange(change, full).forEach(line => console.log(`   ${line}`));
+  }
+  if (fix.command) {
+    console.log(chalk.gray(`   $ ${fix.command}`));
+  }
+}
+
+function previewChange(change: FileChange, full: boolean): string[] {
+  const after = splitLines(change.after.toString());
+
+  if (change.before === null) {
+    const lines = [chalk.green(`+++ ${change.path} (new file, ${after.length} lines)`)];
+    if (full) {
+      lines.push(...after.slice(0, MAX_NEW_FILE_LINES).map(line => chalk.green(`+${line}`)));
+      if (after.length > MAX_NEW_FILE_LINES) {
+        lines.push(chalk.gray(`... ${after.length - MAX_NEW_FILE_LINES} more lines`));
+      }
+    }
+    return lines;
+  }
+
+  const lines = [chalk.red(`--- ${change.path}`), chalk.green(`+++ ${change.path}`)];
+  const diff = diffLines(splitLines(change.before), after);
+
+  // Changed lines with a few lines of context, in hunks headed by their position in the old file
+  const shown = diff.map((_, index) => diff
+    .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+    .some(line => line.type !== ' '));
+  let oldLine = 1;
+  let newLine = 1;
+  diff.forEach((line, index) => {
+    if (shown[index]) {
+      if (index === 0 || !shown[index - 1]) {
+        lines.push(chalk.cyan(`@@ -${oldLine} +${newLine} @@`));
+      }
+      const text = `${line.type}${line.text}`;
+      lines.push(line.type === '+' ? chalk.green(text) : line.type === '-' ? chalk.red(text) : text);
+    }
+    oldLine += line.type === '+' ? 0 : 1;
+    newLine += line.type === '-' ? 0 : 1;
+  });
+
+  return lines;
+}
+
+// Line diff from the longest common subsequence, fine for files the size of Cargo.toml
+function diffLines(a: string[], b: string[]): DiffLine[] {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: ' ', text: a[i++] });
+      j++;
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push({ type: '-', text: a[i++] });
+    } else {
+      diff.push({ type: '+', text: b[j++] });
+    }
+  }
+  return diff;
+}
+
+function splitLines(content: string): string[] {
+  const lines = content.split(/\r?\n/);
+  return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
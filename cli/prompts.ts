@@ -0,0 +1,191 @@
+import fs from 'fs-extra';
+import inquirer from 'inquirer';
+
+export interface Question {
+  type: 'input' | 'confirm' | 'list' | 'number' | 'password';
+  name: string;
+  message: string;
+  default?: string | number | boolean;
+  choices?: Array<string | { name: string; value: string }>;
+  mask?: string;
+  // Environment variable that answers this question (defaults to ZKWASM_<NAME>)
+  env?: string;
+  // CLI flag that answers this question, only used in error messages
+  flag?: string;
+}
+
+export interface PromptOptions {
+  // Accept defaults for every question that has not been answered otherwise
+  yes?: boolean;
+  // JSON file with answers, either flat or grouped per command
+  answers?: string;
+  // Answers given as CLI flags, keyed by question name
+  values?: Record<string, unknown>;
+}
+
+type Answers = Record<string, any>;
+
+const answersCache = new Map<string, Answers>();
+
+// Resolves each question from, in order: CLI flags, environment variables,
+// the answers file, an interactive prompt, and finally its default (--yes only).
+// Without a terminal nothing is prompted, so missing values fail instead of hanging.
+export async function ask<T extends Answers = any>(
+  questions: Question[],
+  options: PromptOptions = {},
+  section?: string
+): Promise<T> {
+  const fileAnswers = options.answers ? await loadAnswers(options.answers, section) : {};
+  const answers: Answers = {};
+  const unresolved: Question[] = [];
+
+  for (const question of questions) {
+    const value = firstDefined(
+      options.values?.[question.name],
+      process.env[envName(question)],
+      fileAnswers[question.name]
+    );
+
+    if (value !== undefined) {
+      answers[question.name] = coerce(question, value);
+    } else {
+      unresolved.push(question);
+    }
+  }
+
+  if (unresolved.length === 0) {
+    return answers as T;
+  }
+
+  if (options.yes) {
+    const missing = unresolved.filter(q => q.default === undefined);
+    if (missing.length > 0) {
+      throw new Error(missingValuesMessage(missing, 'no default is available'));
+    }
+    for (const question of unresolved) {
+      answers[question.name] = question.default;
+    }
+    return answers as T;
+  }
+
+  if (!isInteractive()) {
+    throw new Error(missingValuesMessage(unresolved, 'stdin is not a terminal (pass --yes to accept defaults)'));
+  }
+
+  const prompted = await inquirer.prompt(unresolved.map(({ env, flag, ...question }) => question));
+  return { ...answers, ...prompted } as T;
+}
+
+// Convenience wrapper for a single yes/no question
+export async function confirm(
+  name: string,
+  message: string,
+  defaultValue: boolean,
+  options: PromptOptions = {},
+  section?: string
+): Promise<boolean> {
+  const answers = await ask([{ type: 'confirm', name, message, default: defaultValue }], options, section);
+  return answers[name];
+}
+
+export function isInteractive(): boolean {
+  return Boolean(process.stdin.isTTY);
+}
+
+// Parses repeated `--set key=value` flags into an answers object
+export function parseSetValues(pairs: string[] = []): Record<string, string> {
+  const values: Record<string, string> = {};
+
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid --set value "${pair}", expected key=value`);
+    }
+    values[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+
+  return values;
+}
+
+// Drops undefined entries so unset CLI flags do not shadow other sources
+export function definedValues(values: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+async function loadAnswers(file: string, section?: string): Promise<Answers> {
+  if (!answersCache.has(file)) {
+    let content: unknown;
+    try {
+      content = await fs.readJson(file);
+    } catch (error) {
+      throw new Error(`Failed to read answers file ${file}: ${(error as Error).message}`);
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw new Error(`Answers file ${file} must contain a JSON object`);
+    }
+    answersCache.set(file, content as Answers);
+  }
+
+  const content = answersCache.get(file) as Answers;
+  const flat = Object.fromEntries(
+    Object.entries(content).filter(([, value]) => value === null || typeof value !== 'object')
+  );
+  const grouped = section && typeof content[section] === 'object' ? content[section] : {};
+
+  return { ...flat, ...grouped };
+}
+
+function envName(question: Question): string {
+  if (question.env) {
+    return question.env;
+  }
+  const snake = question.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  return `ZKWASM_${snake}`;
+}
+
+function coerce(question: Question, value: unknown): unknown {
+  switch (question.type) {
+    case 'confirm': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(text)) {
+        return true;
+      }
+      if (['false', 'no', 'n', '0'].includes(text)) {
+        return false;
+      }
+      throw new Error(`Invalid value for ${question.name}: "${value}" (expected true or false)`);
+    }
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new Error(`Invalid value for ${question.name}: "${value}" (expected a number)`);
+      }
+      return number;
+    }
+    case 'list': {
+      const text = String(value);
+      const allowed = (question.choices || []).map(choice => typeof choice === 'string' ? choice : choice.value);
+      if (allowed.length > 0 && !allowed.includes(text)) {
+        throw new Error(`Invalid value for ${question.name}: "${text}" (expected one of ${allowed.join(', ')})`);
+      }
+      return text;
+    }
+    default:
+      return String(value);
+  }
+}
+
+function missingValuesMessage(questions: Question[], reason: string): string {
+  const lines = questions.map(q => {
+    const sources = [q.flag, envName(q), `"${q.name}" in --answers file`].filter(Boolean);
+    return `  - ${q.name} (${q.message.replace(/:$/, '')}): set ${sources.join(', ')}`;
+  });
+  return `Missing required values, ${reason}:\n${lines.join('\n')}`;
+}
+
+function firstDefined(...values: unknown[]): unknown {
+  return values.find(value => value !== undefined && value !== '');
+}
@@ -0,0 +1,209 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { queryZkWasmImage } from './check-deployment.js';
+import { collectPublishConfig, PublishConfig, PublishScriptOptions, SHARED_CREDENTIALS } from './generate-publish.js';
+import { resolveCredentials } from './keystore.js';
+
+export interface PublishImageOptions extends PublishScriptOptions {
+  dryRun?: boolean;
+}
+
+export interface PublishResult {
+  status: 'published' | 'exists' | 'dry-run';
+  md5: string;
+  checksum?: string;
+  name: string;
+  hubUrl: string;
+  wasmPath: string;
+  wasmSize: number;
+}
+
+// Subset of the zkwasm-service-helper API used for uploads
+interface ServiceHelperModule {
+  ZkWasmServiceHelper: new (endpoint: string, username: string, useraddress: string) => {
+    addNewWasmImage(task: Record<string, unknown>): Promise<unknown>;
+  };
+  ZkWasmUtil: {
+    createAddImageSignMessage(params: Record<string, unknown>): string;
+    signMessage?(message: string, priv: string): Promise<string>;
+  };
+  ProvePaymentSrc?: Record<string, number>;
+  AddProveTaskRestrictions?: Record<string, number>;
+}
+
+// zkwasm-service-helper ships with zkwasm-service-cli in the project's ts/ dependencies
+const SERVICE_HELPER = 'zkwasm-service-helper';
+
+export async function publishImage(options: PublishImageOptions = {}): Promise<PublishResult> {
+  console.log(chalk.blue('📦 Publishing image to zkWasm hub...\n'));
+
+  const config = await collectPublishConfig(options);
+
+  // Paths are relative to ts/, matching the generated publish.sh
+  const wasmPath = path.isAbsolute(config.path) ? config.path : path.resolve('ts', config.path);
+  if (!await fs.pathExists(wasmPath)) {
+    throw new Error(`WASM file not found: ${wasmPath}. Please build the project first: zkwasm-dapp build`);
+  }
+
+  const image = await fs.readFile(wasmPath);
+  const md5 = crypto.createHash('md5').update(image).digest('hex').toUpperCase();
+  const result: PublishResult = {
+    status: 'dry-run',
+    md5,
+    name: config.name,
+    hubUrl: config.resturl,
+    wasmPath,
+    wasmSize: image.length
+  };
+
+  console.log(chalk.gray(`\n📦 WASM file: ${wasmPath} (${(image.length / 1024).toFixed(2)} KB)`));
+  console.log(chalk.gray(`🔑 Image MD5: ${md5}`));
+  console.log(chalk.gray(`🌐 Target endpoint: ${config.resturl}`));
+  console.log(chalk.gray(`👤 Address: ${config.address}`));
+
+  // Skip the upload when the hub already knows this image
+  const existing = await queryZkWasmImage(config.resturl, md5);
+  if (existing) {
+    result.status = 'exists';
+    result.checksum = existing.checksum !== undefined ? String(existing.checksum) : undefined;
+    console.log(chalk.blue('\nℹ️  Image already exists on zkWasm hub'));
+    console.log(chalk.green('✅ No action needed - image is ready for deployment'));
+    return result;
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow('\n🧪 Dry run: image not found on zkWasm hub, nothing uploaded'));
+    printImageParams(config);
+    return result;
+  }
+
+  // Resolved only now, so the key never passes through prompts or generated files
+  const credentials = config.useOwnCredentials
+    ? await resolveCredentials(options)
+    : { ...SHARED_CREDENTIALS, source: 'shared' };
+  const address = config.address || credentials.address;
+
+  if (!address) {
+    throw new Error('Wallet address is required to publish (set ZKWASM_ADDRESS or use --address)');
+  }
+  console.log(chalk.gray(`🔐 Private key source: ${credentials.source}`));
+
+  const helper = await loadServiceHelper();
+  await uploadImage(helper, { ...config, address }, credentials.privateKey, image, md5);
+
+  result.status = 'published';
+  console.log(chalk.green('\n✅ Image published successfully!'));
+
+  // The checksum is only available once the hub has processed the image
+  const published = await queryZkWasmImage(config.resturl, md5);
+  if (published?.checksum !== undefined) {
+    result.checksum = String(published.checksum);
+    console.log(chalk.green(`✅ Image checksum: ${result.checksum}`));
+  } else {
+    console.log(chalk.gray('Image checksum not available yet, run zkwasm-dapp check later to verify'));
+  }
+
+  return result;
+}
+
+async function uploadImage(
+  helper: ServiceHelperModule,
+  config: PublishConfig,
+  privateKey: string,
+  image: Buffer,
+  md5: string
+): Promise<void> {
+  const { ZkWasmServiceHelper, ZkWasmUtil, ProvePaymentSrc, AddProveTaskRestrictions } = helper;
+  const service = new ZkWasmServiceHelper(config.resturl, '', '');
+
+  // Mirrors the parameters of `zkwasm-service-cli addimage`
+  const params: Record<string, unknown> = {
+    name: config.name,
+    image_md5: md5,
+    image,
+    user_address: config.address.toLowerCase(),
+    description_url: config.description,
+    avator_url: '',
+    circuit_size: Number(config.circuit_size),
+    auto_submit_network_ids: parseNetworkIds(config.auto_submit_network_ids),
+    prove_payment_src: config.creator_paid_proof
+      ? ProvePaymentSrc?.CreatorPay ?? 1
+      : ProvePaymentSrc?.Default ?? 0,
+    add_prove_task_restrictions: config.creator_only_add_prove_task
+      ? AddProveTaskRestrictions?.CreatorOnly ?? 1
+      : AddProveTaskRestrictions?.Anyone ?? 0
+  };
+
+  if (config.import_data_image) {
+    params.import_data_image = config.import_data_image;
+  }
+
+  const message = ZkWasmUtil.createAddImageSignMessage(params);
+  const signature = await signMessage(helper, message, privateKey);
+
+  try {
+    await service.addNewWasmImage({ ...params, signature });
+  } catch (error) {
+    const message = (error as Error).message || String(error);
+    throw new Error(`Failed to upload image: ${message}`);
+  }
+}
+
+async function signMessage(helper: ServiceHelperModule, message: string, priv: string): Promise<string> {
+  if (typeof helper.ZkWasmUtil.signMessage === 'function') {
+    return helper.ZkWasmUtil.signMessage(message, priv);
+  }
+
+  // Older helper versions leave signing to ethers, which they depend on
+  const { Wallet } = await importFromProject('ethers');
+  const key = priv.startsWith('0x') ? priv : `0x${priv}`;
+  return new Wallet(key).signMessage(message);
+}
+
+async function loadServiceHelper(): Promise<ServiceHelperModule> {
+  try {
+    return await importFromProject(SERVICE_HELPER);
+  } catch (error) {
+    throw new Error(`Could not load ${SERVICE_HELPER} from ts/node_modules (${(error as Error).message}). Run: cd ts && npm install`);
+  }
+}
+
+async function importFromProject(specifier: string): Promise<any> {
+  const projectRequire = createRequire(path.resolve('ts', 'package.json'));
+  const resolved = projectRequire.resolve(specifier);
+  return import(pathToFileURL(resolved).href);
+}
+
+function parseNetworkIds(ids?: string): number[] {
+  if (!ids) {
+    return [];
+  }
+  return ids.split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0)
+    .map(id => {
+      const value = Number(id);
+      if (!Number.isInteger(value)) {
+        throw new Error(`Invalid auto-submit network ID: ${id}`);
+      }
+      return value;
+    });
+}
+
+function printImageParams(config: PublishConfig): void {
+  console.log(chalk.gray(`   Name: ${config.name}`));
+  console.log(chalk.gray(`   Description: ${config.description}`));
+  console.log(chalk.gray(`   Circuit size: ${config.circuit_size}`));
+  console.log(chalk.gray(`   Creator paid proof: ${config.creator_paid_proof}`));
+  console.log(chalk.gray(`   Creator only add prove task: ${config.creator_only_add_prove_task}`));
+  if (config.auto_submit_network_ids) {
+    console.log(chalk.gray(`   Auto-submit network IDs: ${config.auto_submit_network_ids}`));
+  }
+  if (config.import_data_image) {
+    console.log(chalk.gray(`   Import data image: ${config.import_data_image}`));
+  }
+}
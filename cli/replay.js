@@ -0,0 +1,218 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { COMMANDS_SCHEMA, loadCommandSchema } from './codegen.js';
+import { compileTypeScript, importServiceModule, withLocalService } from './local-service.js';
+import { HarnessError, loadWasmHarness, playerKey } from './wasm-harness.js';
+export const REPLAY_TARGETS = ['wasm', 'service'];
+const MAX_DIFFERENCES = 10;
+const MAX_VALUE_LENGTH = 80;
+export async function replayLog(logPath, options = {}) {
+    const cwd = path.resolve(options.cwd || '.');
+    const target = (options.target || 'wasm');
+    if (!REPLAY_TARGETS.includes(target)) {
+        throw new Error(`Unknown target "${options.target}". Use one of: ${REPLAY_TARGETS.join(', ')}`);
+    }
+    const entries = await loadRecording(path.resolve(cwd, logPath));
+    const schemaPath = path.join(cwd, COMMANDS_SCHEMA);
+    const schema = await fs.pathExists(schemaPath) ? await loadCommandSchema(schemaPath) : null;
+    const replay = (replayer, where) => {
+        console.log(chalk.blue(`\n🔁 Replaying ${entries.length} transaction(s) from ${logPath} on ${where}\n`));
+        return replayEntries(entries, replayer, schema, options);
+    };
+    if (target === 'wasm') {
+        const harness = await loadWasmHarness({ cwd, wasm: options.wasm, schema: schema ?? undefined });
+        const result = await replay(wasmReplayer(harness), options.wasm || 'the in-Node WASM');
+        return { target, ...result };
+    }
+    if (options.compile !== false) {
+        await compileTypeScript(cwd);
+    }
+    const client = await importServiceModule(cwd, 'ts/src/client.js');
+    if (typeof client.ZkWasmClient !== 'function' || typeof client.toClientError !== 'function') {
+        throw new Error('ts/src/client.js does not export ZkWasmClient and toClientError');
+    }
+    return withLocalService(cwd, options, async (url) => {
+        const where = options.service === false ? `the service at ${url}` : 'a fresh local service';
+        const result = await replay(serviceReplayer(client, url), where);
+        return { target, ...result };
+    });
+}
+export async function loadRecording(file) {
+    if (!await fs.pathExists(file)) {
+        throw new Error(`Recording not found: ${file}`);
+    }
+    const entries = [];
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    lines.forEach((text, index) => {
+        if (!text.trim()) {
+            return;
+        }
+        const where = `${path.basename(file)}:${index + 1}`;
+        let entry;
+        try {
+            entry = JSON.parse(text);
+        }
+        catch (error) {
+            throw new Error(`${where}: invalid JSON: ${error.message}`);
+        }
+        if (typeof entry?.key !== 'string' || !Array.isArray(entry.tx) || !entry.tx.every((word) => typeof word === 'string' && /^\d+$/.test(word))) {
+            throw new Error(`${where}: expected "key" and "tx" as written by the client's record option`);
+        }
+        if (typeof entry.result?.ok !== 'boolean') {
+            throw new Error(`${where}: "result.ok" is missing`);
+        }
+        entries.push({ ...entry, state: entry.state ?? null, line: index + 1 });
+    });
+    if (entries.length === 0) {
+        throw new Error(`${path.basename(file)} has no transactions`);
+    }
+    return entries;
+}
+async function replayEntries(entries, replayer, schema, options) {
+    const ignore = options.ignore ?? [];
+    const divergences = [];
+    let replayed = 0;
+    for (const entry of entries) {
+        let differences;
+        let trapped = false;
+        try {
+            const result = await replayer.send(entry);
+            differences = compareResults(entry.result, result);
+            if (entry.state !== null) {
+                differences.push(...diffJson(entry.state, await replayer.state(entry), ignore));
+            }
+        }
+        catch (error) {
+            // The harness cannot continue after a trap
+            if (!(error instanceof HarnessError)) {
+                throw error;
+            }
+            differences = [`the WASM trapped: ${error.message}`];
+            trapped = true;
+        }
+        replayed++;
+        if (differences.length > 0) {
+            const divergence = { line: entry.line, key: entry.key, command: commandName(entry, schema), differences };
+            divergences.push(divergence);
+            printDivergence(divergence, divergences.length === 1);
+            if (!options.all || trapped) {
+                break;
+            }
+        }
+    }
+    if (divergences.length === 0) {
+        console.log(chalk.green(`✅ ${replayed} transaction(s) replayed, results and states match`));
+    }
+    else if (replayed < entries.length) {
+        console.log(chalk.red(`\n❌ Stopped after ${replayed} of ${entries.length} transaction(s)${options.all ? '' : ', use --all to continue past the first divergence'}`));
+    }
+    else {
+        console.log(chalk.red(`\n❌ ${divergences.length} of ${entries.length} transaction(s) diverged`));
+    }
+    return { transactions: entries.length, replayed, divergences };
+}
+// Player ids are derived from the key words, so the harness gets a stable stand-in key per signer
+function wasmReplayer(harness) {
+    const keys = new Map();
+    const keyFor = (key) => {
+        if (!keys.has(key)) {
+            keys.set(key, playerKey(key));
+        }
+        return keys.get(key);
+    };
+    return {
+        async send(entry) {
+            const { code, error } = harness.send(entry.tx.map(BigInt), keyFor(entry.key));
+            return code === 0 ? { ok: true } : { ok: false, error: error ?? `Error ${code}`, code };
+        },
+        // Same shape as the service query, { player, state }
+        async state(entry) {
+            return { player: harness.getState(keyFor(entry.key)), state: harness.snapshot() };
+        }
+    };
+}
+// Sends the recorded words unchanged, bypassing the nonce cache of the client
+function serviceReplayer(client, url) {
+    const clients = new Map();
+    const clientFor = (key) => {
+        if (!clients.has(key)) {
+            clients.set(key, new client.ZkWasmClient(key, url, { record: '' }));
+        }
+        return clients.get(key);
+    };
+    return {
+        async send(entry) {
+            const sender = clientFor(entry.key);
+            try {
+                await sender.rpc.sendTransaction(new BigUint64Array(entry.tx.map(BigInt)), entry.key);
+                return { ok: true };
+            }
+            catch (error) {
+                const clientError = client.toClientError(error);
+                if (clientError.name === 'NetworkError') {
+                    throw clientError;
+                }
+                return { ok: false, error: clientError.errorName ?? clientError.message, code: clientError.code };
+            }
+        },
+        async state(entry) {
+            return clientFor(entry.key).queryState();
+        }
+    };
+}
+function compareResults(recorded, replayed) {
+    const same = recorded.ok === replayed.ok
+        && (recorded.ok || replayed.ok || recorded.code === undefined || replayed.code === undefined || recorded.code === replayed.code);
+    return same ? [] : [`result: recorded ${describeResult(recorded)}, replayed ${describeResult(replayed)}`];
+}
+function describeResult(result) {
+    if (result.ok) {
+        return 'success';
+    }
+    return result.code === undefined ? result.error : `${result.error} (${result.code})`;
+}
+// Dotted paths whose values differ, e.g. "player.data.counter: recorded 2, replayed 1"
+export function diffJson(recorded, replayed, ignore = [], at = '', out = []) {
+    if (out.length >= MAX_DIFFERENCES || ignore.some(prefix => at === prefix || at.startsWith(`${prefix}.`) || at.startsWith(`${prefix}[`))) {
+        return out;
+    }
+    if (isDeepStrictEqual(recorded, replayed)) {
+        return out;
+    }
+    if (isObject(recorded) && isObject(replayed)) {
+        for (const key of new Set([...Object.keys(recorded), ...Object.keys(replayed)])) {
+            diffJson(recorded[key], replayed[key], ignore, at ? `${at}.${key}` : key, out);
+        }
+    }
+    else if (Array.isArray(recorded) && Array.isArray(replayed) && recorded.length === replayed.length) {
+        recorded.forEach((value, index) => diffJson(value, replayed[index], ignore, `${at}[${index}]`, out));
+    }
+    else {
+        out.push(`${at || 'state'}: recorded ${formatValue(recorded)}, replayed ${formatValue(replayed)}`);
+    }
+    return out;
+}
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+function formatValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}...` : text;
+}
+function commandName(entry, schema) {
+    const id = Number(BigInt(entry.tx[0] ?? '0') & 0xffn);
+    if (id === 0) {
+        return 'autotick';
+    }
+    return schema?.commands.find(command => command.id === id)?.name ?? `command ${id}`;
+}
+function printDivergence(divergence, first) {
+    // Recorded keys are private keys, only a prefix is printed
+    const key = divergence.key.length > 8 ? `${divergence.key.slice(0, 8)}...` : divergence.key;
+    const title = first ? 'Diverged first at' : 'Diverged at';
+    console.log(chalk.red(`❌ ${title} line ${divergence.line} (${divergence.command}, key ${key})`));
+    divergence.differences.forEach(difference => console.log(chalk.yellow(`   ${difference.replace(/\n/g, '\n   ')}`)));
+}
+//# sourceMappingURL=replay.js.map
\ No newline at end of file
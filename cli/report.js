@@ -0,0 +1,164 @@
+import fs from 'fs-extra';
+// Documented exit codes for check, validate and test
+export const EXIT_CODES = {
+    // Every check passed (warnings allowed unless --strict)
+    SUCCESS: 0,
+    // At least one check failed
+    CHECK_FAILED: 1,
+    // The command could not run (invalid options, unexpected error)
+    ERROR: 2
+};
+export const REPORT_FORMATS = ['text', 'json', 'junit', 'github'];
+export function parseFormat(value) {
+    const format = (value || 'text').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${value}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+export function recordCheck(results, id, status, message) {
+    results.checks.push({ id, status, message });
+    if (status === 'fail') {
+        results.errors.push(message);
+        results.success = false;
+    }
+    else if (status === 'warn') {
+        results.warnings.push(message);
+    }
+}
+export function exitCodeFor(report, strict = false) {
+    const failed = report.checks.some(c => c.status === 'fail') || !report.success;
+    const warned = report.checks.some(c => c.status === 'warn');
+    return failed || (strict && warned) ? EXIT_CODES.CHECK_FAILED : EXIT_CODES.SUCCESS;
+}
+// Machine-readable formats own stdout, so the coloured progress output moves to stderr
+export async function withReportOutput(format, fn) {
+    if (format === 'text') {
+        return fn();
+    }
+    const log = console.log;
+    console.log = console.error;
+    try {
+        return await fn();
+    }
+    finally {
+        console.log = log;
+    }
+}
+export async function emitReport(report, format) {
+    switch (format) {
+        case 'json':
+            process.stdout.write(renderJson(report) + '\n');
+            break;
+        case 'junit':
+            process.stdout.write(renderJunit(report) + '\n');
+            break;
+        case 'github':
+            process.stdout.write(renderGithubAnnotations(report));
+            await writeGithubSummary(report);
+            break;
+        default:
+            // Text output is printed while the checks run
+            break;
+    }
+}
+export function summarize(checks) {
+    return {
+        passed: checks.filter(c => c.status === 'pass').length,
+        warnings: checks.filter(c => c.status === 'warn').length,
+        failed: checks.filter(c => c.status === 'fail').length
+    };
+}
+function renderJson(report) {
+    return JSON.stringify({
+        command: report.command,
+        success: report.success,
+        summary: summarize(report.checks),
+        checks: report.checks,
+        info: report.info || {}
+    }, null, 2);
+}
+function renderJunit(report) {
+    const summary = summarize(report.checks);
+    const suiteName = `zkwasm-dapp ${report.command}`;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${xml(suiteName)}" tests="${report.checks.length}" failures="${summary.failed}">`,
+        `  <testsuite name="${xml(suiteName)}" tests="${report.checks.length}" failures="${summary.failed}" skipped="0">`
+    ];
+    const info = Object.entries(report.info || {}).filter(([, value]) => value !== undefined);
+    if (info.length > 0) {
+        lines.push('    <properties>');
+        for (const [name, value] of info) {
+            lines.push(`      <property name="${xml(name)}" value="${xml(String(value))}"/>`);
+        }
+        lines.push('    </properties>');
+    }
+    for (const check of report.checks) {
+        const open = `    <testcase classname="${xml(report.command)}" name="${xml(check.id)}"`;
+        if (check.status === 'fail') {
+            lines.push(`${open}>`);
+            lines.push(`      <failure message="${xml(check.message)}"/>`);
+            lines.push('    </testcase>');
+        }
+        else if (check.status === 'warn') {
+            lines.push(`${open}>`);
+            lines.push(`      <system-out>${xml(`warning: ${check.message}`)}</system-out>`);
+            lines.push('    </testcase>');
+        }
+        else {
+            lines.push(`${open}/>`);
+        }
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+function renderGithubAnnotations(report) {
+    return report.checks
+        .filter(check => check.status !== 'pass')
+        .map(check => {
+        const level = check.status === 'fail' ? 'error' : 'warning';
+        return `::${level} title=${escapeProperty(`${report.command}: ${check.id}`)}::${escapeData(check.message)}\n`;
+    })
+        .join('');
+}
+async function writeGithubSummary(report) {
+    const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+    if (!summaryFile) {
+        return;
+    }
+    const summary = summarize(report.checks);
+    const icons = { pass: '✅', warn: '⚠️', fail: '❌' };
+    const lines = [
+        `### zkwasm-dapp ${report.command} ${report.success ? '✅ passed' : '❌ failed'}`,
+        '',
+        `${summary.passed} passed, ${summary.warnings} warnings, ${summary.failed} failed`,
+        '',
+        '| Status | Check | Message |',
+        '|--------|-------|---------|',
+        ...report.checks.map(c => `| ${icons[c.status]} | \`${c.id}\` | ${c.message.replace(/\|/g, '\\|')} |`)
+    ];
+    const info = Object.entries(report.info || {}).filter(([, value]) => value !== undefined);
+    if (info.length > 0) {
+        lines.push('', '| Info | Value |', '|------|-------|');
+        for (const [name, value] of info) {
+            lines.push(`| ${name} | \`${value}\` |`);
+        }
+    }
+    await fs.appendFile(summaryFile, lines.join('\n') + '\n\n');
+}
+function xml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+function escapeData(value) {
+    return value.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+function escapeProperty(value) {
+    return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+//# sourceMappingURL=report.js.map
\ No newline at end of file
@@ -0,0 +1,207 @@
+import fs from 'fs-extra';
+
+export type ReportFormat = 'text' | 'json' | 'junit' | 'github';
+
+export type CheckStatus = 'pass' | 'warn' | 'fail';
+
+export interface CheckEntry {
+  id: string;
+  status: CheckStatus;
+  message: string;
+}
+
+// Shared shape of CheckResults (check) and ValidationResult (validate)
+export interface CheckCollector {
+  success: boolean;
+  checks: CheckEntry[];
+  errors: string[];
+  warnings: string[];
+}
+
+export interface Report {
+  command: 'check' | 'validate' | 'test';
+  success: boolean;
+  checks: CheckEntry[];
+  info?: Record<string, string | number | undefined>;
+}
+
+// Documented exit codes for check, validate and test
+export const EXIT_CODES = {
+  // Every check passed (warnings allowed unless --strict)
+  SUCCESS: 0,
+  // At least one check failed
+  CHECK_FAILED: 1,
+  // The command could not run (invalid options, unexpected error)
+  ERROR: 2
+} as const;
+
+export const REPORT_FORMATS: ReportFormat[] = ['text', 'json', 'junit', 'github'];
+
+export function parseFormat(value: string | undefined): ReportFormat {
+  const format = (value || 'text').toLowerCase() as ReportFormat;
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${value}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+export function recordCheck(results: CheckCollector, id: string, status: CheckStatus, message: string): void {
+  results.checks.push({ id, status, message });
+
+  if (status === 'fail') {
+    results.errors.push(message);
+    results.success = false;
+  } else if (status === 'warn') {
+    results.warnings.push(message);
+  }
+}
+
+export function exitCodeFor(report: Report, strict = false): number {
+  const failed = report.checks.some(c => c.status === 'fail') || !report.success;
+  const warned = report.checks.some(c => c.status === 'warn');
+  return failed || (strict && warned) ? EXIT_CODES.CHECK_FAILED : EXIT_CODES.SUCCESS;
+}
+
+// Machine-readable formats own stdout, so the coloured progress output moves to stderr
+export async function withReportOutput<T>(format: ReportFormat, fn: () => Promise<T>): Promise<T> {
+  if (format === 'text') {
+    return fn();
+  }
+
+  const log = console.log;
+  console.log = console.error;
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+export async function emitReport(report: Report, format: ReportFormat): Promise<void> {
+  switch (format) {
+    case 'json':
+      process.stdout.write(renderJson(report) + '\n');
+      break;
+    case 'junit':
+      process.stdout.write(renderJunit(report) + '\n');
+      break;
+    case 'github':
+      process.stdout.write(renderGithubAnnotations(report));
+      await writeGithubSummary(report);
+      break;
+    default:
+      // Text output is printed while the checks run
+      break;
+  }
+}
+
+export function summarize(checks: CheckEntry[]): { passed: number; warnings: number; failed: number } {
+  return {
+    passed: checks.filter(c => c.status === 'pass').length,
+    warnings: checks.filter(c => c.status === 'warn').length,
+    failed: checks.filter(c => c.status === 'fail').length
+  };
+}
+
+function renderJson(report: Report): string {
+  return JSON.stringify({
+    command: report.command,
+    success: report.success,
+    summary: summarize(report.checks),
+    checks: report.checks,
+    info: report.info || {}
+  }, null, 2);
+}
+
+function renderJunit(report: Report): string {
+  const summary = summarize(report.checks);
+  const suiteName = `zkwasm-dapp ${report.command}`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(suiteName)}" tests="${report.checks.length}" failures="${summary.failed}">`,
+    `  <testsuite name="${xml(suiteName)}" tests="${report.checks.length}" failures="${summary.failed}" skipped="0">`
+  ];
+
+  const info = Object.entries(report.info || {}).filter(([, value]) => value !== undefined);
+  if (info.length > 0) {
+    lines.push('    <properties>');
+    for (const [name, value] of info) {
+      lines.push(`      <property name="${xml(name)}" value="${xml(String(value))}"/>`);
+    }
+    lines.push('    </properties>');
+  }
+
+  for (const check of report.checks) {
+    const open = `    <testcase classname="${xml(report.command)}" name="${xml(check.id)}"`;
+    if (check.status === 'fail') {
+      lines.push(`${open}>`);
+      lines.push(`      <failure message="${xml(check.message)}"/>`);
+      lines.push('    </testcase>');
+    } else if (check.status === 'warn') {
+      lines.push(`${open}>`);
+      lines.push(`      <system-out>${xml(`warning: ${check.message}`)}</system-out>`);
+      lines.push('    </testcase>');
+    } else {
+      lines.push(`${open}/>`);
+    }
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+function renderGithubAnnotations(report: Report): string {
+  return report.checks
+    .filter(check => check.status !== 'pass')
+    .map(check => {
+      const level = check.status === 'fail' ? 'error' : 'warning';
+      return `::${level} title=${escapeProperty(`${report.command}: ${check.id}`)}::${escapeData(check.message)}\n`;
+    })
+    .join('');
+}
+
+async function writeGithubSummary(report: Report): Promise<void> {
+  const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryFile) {
+    return;
+  }
+
+  const summary = summarize(report.checks);
+  const icons: Record<CheckStatus, string> = { pass: '✅', warn: '⚠️', fail: '❌' };
+  const lines = [
+    `### zkwasm-dapp ${report.command} ${report.success ? '✅ passed' : '❌ failed'}`,
+    '',
+    `${summary.passed} passed, ${summary.warnings} warnings, ${summary.failed} failed`,
+    '',
+    '| Status | Check | Message |',
+    '|--------|-------|---------|',
+    ...report.checks.map(c => `| ${icons[c.status]} | \`${c.id}\` | ${c.message.replace(/\|/g, '\\|')} |`)
+  ];
+
+  const info = Object.entries(report.info || {}).filter(([, value]) => value !== undefined);
+  if (info.length > 0) {
+    lines.push('', '| Info | Value |', '|------|-------|');
+    for (const [name, value] of info) {
+      lines.push(`| ${name} | \`${value}\` |`);
+    }
+  }
+
+  await fs.appendFile(summaryFile, lines.join('\n') + '\n\n');
+}
+
+function xml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeData(value: string): string {
+  return value.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value: string): string {
+  return escapeData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
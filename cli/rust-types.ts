@@ -0,0 +1,593 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { GeneratedFile, writeGeneratedFiles } from './codegen.js';
+
+export interface TypesCodegenOptions {
+  check?: boolean;
+  cwd?: string;
+}
+
+export interface TypesCodegenResult {
+  files: GeneratedFile[];
+  types: string[];
+  warnings: string[];
+}
+
+// JSON shape of a serialized Rust type, also emitted for the runtime validators
+export type Shape =
+  | 'number'
+  | 'string'
+  | 'boolean'
+  | 'null'
+  | 'unknown'
+  | { array: Shape }
+  | { nullable: Shape }
+  | { record: Shape }
+  | { tuple: Shape[] }
+  | { object: Record<string, Shape> }
+  | { enum: string[] }
+  | { ref: string };
+
+export interface RustItem {
+  name: string;
+  file: string;
+  kind: 'struct' | 'alias' | 'enum';
+  // Fields of named structs; the inner type of tuple structs or the target of aliases
+  fields?: RustField[];
+  type?: string;
+  variants?: string[];
+  serialize: boolean;
+}
+
+export interface RustField {
+  name: string;
+  type: string;
+  skip: boolean;
+  flatten: boolean;
+}
+
+export const TS_TYPES_FILE = 'ts/src/types.ts';
+const RUST_SOURCE_DIR = 'src';
+
+const NUMBER_TYPES = ['u8', 'u16', 'u32', 'u64', 'u128', 'usize', 'i8', 'i16', 'i32', 'i64', 'i128', 'isize', 'f32', 'f64'];
+const STRING_TYPES = ['String', 'str', 'char'];
+const ARRAY_TYPES = ['Vec', 'VecDeque', 'HashSet', 'BTreeSet'];
+const MAP_TYPES = ['HashMap', 'BTreeMap'];
+const WRAPPER_TYPES = ['Box', 'Rc', 'Arc', 'Cow'];
+
+// Helpers declared in the generated file next to the interfaces
+const RESERVED_NAMES = ['TypeShape', 'TYPE_SHAPES', 'checkShape', 'validateType'];
+
+// Serialized form of zkwasm_rest_abi::Player<T>, whose player_id is skipped
+const PLAYER_SHAPE = (data: Shape): Shape => ({ object: { nonce: 'number', data } });
+
+export async function runTypesCodegen(options: TypesCodegenOptions = {}): Promise<TypesCodegenResult> {
+  const cwd = path.resolve(options.cwd || '.');
+  const sourceDir = path.join(cwd, RUST_SOURCE_DIR);
+
+  if (!await fs.pathExists(sourceDir)) {
+    throw new Error(`${RUST_SOURCE_DIR}/ not found, run this in the project root`);
+  }
+
+  const items: RustItem[] = [];
+  for (const file of await listRustFiles(sourceDir)) {
+    const relative = path.relative(cwd, file).split(path.sep).join('/');
+    items.push(...parseRustItems(await fs.readFile(file, 'utf8'), relative));
+  }
+
+  const { content, types, warnings } = generateTypes(items);
+  const files = await writeGeneratedFiles([{ path: TS_TYPES_FILE, content }], cwd, options.check);
+  return { files, types, warnings };
+}
+
+export async function listRustFiles(dir: string): Promise<string[]> {
+  const files: string[] = [];
+  for (const entry of (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listRustFiles(full));
+    } else if (entry.name.endsWith('.rs')) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+// Reads struct, enum and type alias declarations; good enough for the plain data types used as state
+export function parseRustItems(source: string, file = ''): RustItem[] {
+  const text = stripComments(source);
+  const items: RustItem[] = [];
+  const declaration = /((?:#\s*\[[^\]]*\]\s*)*)(?:pub(?:\s*\([^)]*\))?\s+)?(struct|enum|type)\s+(\w+)\s*(<[^{(;=]*>)?\s*/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = declaration.exec(text)) !== null) {
+    const [, attributes, keyword, name] = match;
+    const rest = text.slice(declaration.lastIndex);
+    const serialize = /derive\s*\([^)]*\bSerialize\b/.test(attributes);
+    const renameAll = serdeValue(attributes, 'rename_all');
+
+    if (keyword === 'type') {
+      const end = rest.indexOf(';');
+      if (rest.startsWith('=') && end > 0) {
+        items.push({ name, file, kind: 'alias', type: rest.slice(1, end).trim(), serialize: true });
+      }
+      continue;
+    }
+
+    if (rest.startsWith('{')) {
+      const body = rest.slice(1, matchingBrace(rest) - 1);
+      if (keyword === 'struct') {
+        const fields = splitTopLevel(body)
+          .map(field => parseField(field, renameAll))
+          .filter((field): field is RustField => field !== null);
+        items.push({ name, file, kind: 'struct', fields, serialize });
+      } else {
+        // Only unit variants serialize to plain strings, other variants are left as unknown
+        const variants = splitTopLevel(body).map(variant => variant.replace(/#\s*\[[^\]]*\]/g, '').trim());
+        const unitOnly = variants.every(variant => /^\w+(\s*=\s*[^,]+)?$/.test(variant));
+        items.push({
+          name,
+          file,
+          kind: 'enum',
+          variants: unitOnly ? variants.map(variant => applyRename(variant.split('=')[0].trim(), renameAll)) : undefined,
+          serialize
+        });
+      }
+    } else if (rest.startsWith('(') && keyword === 'struct') {
+      // Newtype structs serialize as their inner value
+      const inner = splitTopLevel(rest.slice(1, matchingBrace(rest) - 1)).map(type => type.replace(/^pub(\s*\([^)]*\))?\s+/, ''));
+      items.push({ name, file, kind: 'struct', type: inner.length === 1 ? inner[0] : `(${inner.join(', ')})`, serialize });
+    }
+  }
+
+  return items;
+}
+
+function parseField(text: string, renameAll?: string): RustField | null {
+  const attributes = (text.match(/#\s*\[[^\]]*\]/g) ?? []).join(' ');
+  const declaration = text.replace(/#\s*\[[^\]]*\]/g, '').trim().replace(/^pub(\s*\([^)]*\))?\s+/, '');
+  const colon = declaration.indexOf(':');
+  if (colon < 0) {
+    return null;
+  }
+  return {
+    name: serdeValue(attributes, 'rename') ?? applyRename(declaration.slice(0, colon).trim().replace(/^r#/, ''), renameAll),
+    type: declaration.slice(colon + 1).trim(),
+    skip: /serde\s*\([^)]*\bskip(_serializing)?\b(?!_if)/.test(attributes),
+    flatten: /serde\s*\([^)]*\bflatten\b/.test(attributes)
+  };
+}
+
+function serdeValue(attributes: string, key: string): string | undefined {
+  const match = attributes.match(new RegExp(`serde\\s*\\([^)]*\\b${key}\\s*=\\s*"([^"]*)"`));
+  return match?.[1];
+}
+
+function applyRename(name: string, rule?: string): string {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().split('_').filter(Boolean);
+  const capitalize = (word: string) => word.charAt(0).toUpperCase() + word.slice(1);
+
+  switch (rule) {
+    case 'lowercase': return name.toLowerCase();
+    case 'UPPERCASE': return name.toUpperCase();
+    case 'snake_case': return words.join('_');
+    case 'SCREAMING_SNAKE_CASE': return words.join('_').toUpperCase();
+    case 'kebab-case': return words.join('-');
+    case 'SCREAMING-KEBAB-CASE': return words.join('-').toUpperCase();
+    case 'camelCase': return words.map((word, i) => i === 0 ? word : capitalize(word)).join('');
+    case 'PascalCase': return words.map(capitalize).join('');
+    default: return name;
+  }
+}
+
+export function generateTypes(items: RustItem[]): { content: string; types: string[]; warnings: string[] } {
+  const warnings: string[] = [];
+  const known = new Map(items.map(item => [item.name, item]));
+  const emitted = items.filter(item => item.kind !== 'alias' ? item.serialize : isUsedAlias(item, items));
+  const shapes: Record<string, Shape> = {};
+
+  for (const item of emitted.filter(item => RESERVED_NAMES.includes(item.name))) {
+    throw new Error(`${item.file}: ${item.name} clashes with a name used by the generated validators, rename the Rust type`);
+  }
+
+  const resolve = (type: string, context: string): Shape => {
+    const shape = rustTypeToShape(type, name => known.has(name) && emitted.includes(known.get(name) as RustItem));
+    for (const name of unknownNames(shape)) {
+      warnings.push(`${context}: unsupported type ${name}, typed as unknown`);
+    }
+    return stripUnknownNames(shape);
+  };
+
+  for (const item of emitted) {
+    if (item.kind === 'struct' && !item.fields) {
+      shapes[item.name] = resolve(item.type ?? '', item.name);
+    } else if (item.kind === 'struct') {
+      const object: Record<string, Shape> = {};
+      for (const field of item.fields ?? []) {
+        if (field.flatten) {
+          warnings.push(`${item.name}.${field.name}: #[serde(flatten)] is not supported, field skipped`);
+        } else if (!field.skip) {
+          object[field.name] = resolve(field.type, `${item.name}.${field.name}`);
+        }
+      }
+      shapes[item.name] = { object };
+    } else if (item.kind === 'enum') {
+      if (!item.variants) {
+        warnings.push(`${item.name}: only enums with unit variants are supported, typed as unknown`);
+      }
+      shapes[item.name] = item.variants ? { enum: item.variants } : 'unknown';
+    } else {
+      shapes[item.name] = resolve(item.type ?? '', item.name);
+    }
+  }
+
+  const sources = [...new Set(emitted.map(item => item.file))].join(', ');
+  const lines: string[] = [
+    `// @generated by \`zkwasm-dapp codegen types\` from ${sources || 'src/'}, do not edit by hand.`,
+    '// u64 values arrive as JSON numbers and lose precision above Number.MAX_SAFE_INTEGER.',
+    ''
+  ];
+
+  for (const [name, shape] of Object.entries(shapes)) {
+    if (typeof shape === 'object' && 'object' in shape) {
+      lines.push(`export interface ${name} {`);
+      for (const [field, fieldShape] of Object.entries(shape.object)) {
+        lines.push(`  ${tsKey(field)}: ${shapeToTs(fieldShape)};`);
+      }
+      lines.push('}', '');
+    } else {
+      lines.push(`export type ${name} = ${shapeToTs(shape)};`, '');
+    }
+  }
+
+  lines.push(
+    'type TypeShape =',
+    '  | "number" | "string" | "boolean" | "null" | "unknown"',
+    '  | { array: TypeShape } | { nullable: TypeShape } | { record: TypeShape } | { tuple: TypeShape[] }',
+    '  | { object: Record<string, TypeShape> } | { enum: string[] } | { ref: string };',
+    '',
+    `const TYPE_SHAPES: Record<string, TypeShape> = ${JSON.stringify(shapes, null, 2)};`,
+    '',
+    'function checkShape(value: unknown, shape: TypeShape, path: string, errors: string[]): void {',
+    '  if (typeof shape === "string") {',
+    '    const ok = shape === "unknown" || (shape === "null" ? value === null : typeof value === shape);',
+    '    if (!ok) {',
+    '      errors.push(`${path}: expected ${shape}, got ${value === null ? "null" : typeof value}`);',
+    '    }',
+    '  } else if ("ref" in shape) {',
+    '    checkShape(value, TYPE_SHAPES[shape.ref], path, errors);',
+    '  } else if ("nullable" in shape) {',
+    '    if (value !== null && value !== undefined) {',
+    '      checkShape(value, shape.nullable, path, errors);',
+    '    }',
+    '  } else if ("enum" in shape) {',
+    '    if (!shape.enum.includes(value as string)) {',
+    '      errors.push(`${path}: expected one of ${shape.enum.join(", ")}`);',
+    '    }',
+    '  } else if ("array" in shape || "tuple" in shape) {',
+    '    if (!Array.isArray(value)) {',
+    '      errors.push(`${path}: expected array`);',
+    '    } else if ("tuple" in shape && value.length !== shape.tuple.length) {',
+    '      errors.push(`${path}: expected ${shape.tuple.length} elements, got ${value.length}`);',
+    '    } else {',
+    '      value.forEach((item, i) => checkShape(item, "array" in shape ? shape.array : shape.tuple[i], `${path}[${i}]`, errors));',
+    '    }',
+    '  } else if (typeof value !== "object" || value === null || Array.isArray(value)) {',
+    '    errors.push(`${path}: expected object`);',
+    '  } else if ("record" in shape) {',
+    '    Object.entries(value).forEach(([key, item]) => checkShape(item, shape.record, `${path}.${key}`, errors));',
+    '  } else {',
+    '    for (const [key, fieldShape] of Object.entries(shape.object)) {',
+    '      checkShape((value as Record<string, unknown>)[key], fieldShape, `${path}.${key}`, errors);',
+    '    }',
+    '  }',
+    '}',
+    '',
+    'export function validateType(value: unknown, type: string, path: string = type): string[] {',
+    '  const errors: string[] = [];',
+    '  checkShape(value, TYPE_SHAPES[type], path, errors);',
+    '  return errors;',
+    '}',
+    ''
+  );
+
+  for (const name of Object.keys(shapes)) {
+    lines.push(
+      `export function is${name}(value: unknown): value is ${name} {`,
+      `  return validateType(value, "${name}").length === 0;`,
+      '}',
+      '',
+      `export function assert${name}(value: unknown, path = "${name}"): ${name} {`,
+      `  const errors = validateType(value, "${name}", path);`,
+      '  if (errors.length > 0) {',
+      '    throw new TypeError(errors.join("; "));',
+      '  }',
+      `  return value as ${name};`,
+      '}',
+      ''
+    );
+  }
+
+  return { content: lines.join('\n'), types: Object.keys(shapes), warnings };
+}
+
+// Aliases are emitted when they point at a serialized type, e.g. `type HelloWorldPlayer = Player<PlayerData>`
+function isUsedAlias(item: RustItem, items: RustItem[]): boolean {
+  const serialized = new Set(items.filter(other => other.kind !== 'alias' && other.serialize).map(other => other.name));
+  const names = (item.type ?? '').match(/\w+/g) ?? [];
+  return item.serialize && names.some(name => serialized.has(name) || name === 'Player');
+}
+
+export function rustTypeToShape(type: string, isKnown: (name: string) => boolean): Shape {
+  return new TypeParser(type, isKnown).type();
+}
+
+class TypeParser {
+  private pos = 0;
+
+  constructor(private readonly text: string, private readonly isKnown: (name: string) => boolean) {}
+
+  type(): Shape {
+    this.skipSpace();
+    // References and lifetimes: &'a mut T, &'static str
+    while (this.peek('&') || this.peek('\'') || this.text.startsWith('mut ', this.pos) || this.text.startsWith('dyn ', this.pos)) {
+      if (this.peek('\'')) {
+        this.pos++;
+        this.ident();
+      } else if (this.peek('&')) {
+        this.pos++;
+      } else {
+        this.pos += 4;
+      }
+      this.skipSpace();
+    }
+
+    if (this.peek('(')) {
+      const items = this.list('(', ')');
+      return items.length === 0 ? 'null' : { tuple: items };
+    }
+    if (this.peek('[')) {
+      this.pos++;
+      const item = this.type();
+      this.skipSpace();
+      // [T; N] and [T]
+      while (!this.peek(']') && this.pos < this.text.length) {
+        this.pos++;
+      }
+      this.pos++;
+      return { array: item };
+    }
+
+    const name = this.path();
+    const args = this.peek('<') ? this.list('<', '>') : [];
+
+    if (NUMBER_TYPES.includes(name)) {
+      return 'number';
+    }
+    if (STRING_TYPES.includes(name)) {
+      return 'string';
+    }
+    if (name === 'bool') {
+      return 'boolean';
+    }
+    if (name === 'Option') {
+      return { nullable: args[0] ?? 'unknown' };
+    }
+    if (ARRAY_TYPES.includes(name)) {
+      return { array: args[0] ?? 'unknown' };
+    }
+    if (MAP_TYPES.includes(name)) {
+      return { record: args[1] ?? 'unknown' };
+    }
+    if (WRAPPER_TYPES.includes(name)) {
+      return args[0] ?? 'unknown';
+    }
+    if (name === 'Value') {
+      return 'unknown';
+    }
+    if (name === 'Player' && !this.isKnown(name)) {
+      return PLAYER_SHAPE(args[0] ?? 'unknown');
+    }
+    if (this.isKnown(name)) {
+      return { ref: name };
+    }
+    // Marked so the caller can warn about it
+    return { ref: `?${name}` };
+  }
+
+  private list(open: string, close: string): Shape[] {
+    const items: Shape[] = [];
+    this.pos++;
+    this.skipSpace();
+    while (!this.peek(close) && this.pos < this.text.length) {
+      // Lifetime arguments carry no data
+      if (this.peek('\'')) {
+        this.pos++;
+        this.ident();
+      } else {
+        items.push(this.type());
+      }
+      this.skipSpace();
+      if (this.peek(',')) {
+        this.pos++;
+        this.skipSpace();
+      }
+    }
+    this.pos++;
+    return items;
+  }
+
+  private path(): string {
+    let name = this.ident();
+    while (this.text.startsWith('::', this.pos)) {
+      this.pos += 2;
+      name = this.ident();
+    }
+    return name;
+  }
+
+  private ident(): string {
+    const match = /^\w+/.exec(this.text.slice(this.pos));
+    if (!match) {
+      throw new Error(`Cannot parse Rust type "${this.text}"`);
+    }
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  private peek(char: string): boolean {
+    return this.text[this.pos] === char;
+  }
+
+  private skipSpace(): void {
+    while (/\s/.test(this.text[this.pos] ?? '')) {
+      this.pos++;
+    }
+  }
+}
+
+function unknownNames(shape: Shape): string[] {
+  if (typeof shape === 'string') {
+    return [];
+  }
+  if ('ref' in shape) {
+    return shape.ref.startsWith('?') ? [shape.ref.slice(1)] : [];
+  }
+  return childShapes(shape).flatMap(unknownNames);
+}
+
+function stripUnknownNames(shape: Shape): Shape {
+  if (typeof shape === 'string') {
+    return shape;
+  }
+  if ('ref' in shape) {
+    return shape.ref.startsWith('?') ? 'unknown' : shape;
+  }
+  if ('array' in shape) {
+    return { array: stripUnknownNames(shape.array) };
+  }
+  if ('nullable' in shape) {
+    return { nullable: stripUnknownNames(shape.nullable) };
+  }
+  if ('record' in shape) {
+    return { record: stripUnknownNames(shape.record) };
+  }
+  if ('tuple' in shape) {
+    return { tuple: shape.tuple.map(stripUnknownNames) };
+  }
+  if ('object' in shape) {
+    return { object: Object.fromEntries(Object.entries(shape.object).map(([key, value]) => [key, stripUnknownNames(value)])) };
+  }
+  return shape;
+}
+
+function childShapes(shape: Exclude<Shape, string>): Shape[] {
+  if ('array' in shape) return [shape.array];
+  if ('nullable' in shape) return [shape.nullable];
+  if ('record' in shape) return [shape.record];
+  if ('tuple' in shape) return shape.tuple;
+  if ('object' in shape) return Object.values(shape.object);
+  return [];
+}
+
+function shapeToTs(shape: Shape): string {
+  if (typeof shape === 'string') {
+    return shape;
+  }
+  if ('ref' in shape) {
+    return shape.ref;
+  }
+  if ('array' in shape) {
+    const item = shapeToTs(shape.array);
+    return /[|{ ]/.test(item) ? `Array<${item}>` : `${item}[]`;
+  }
+  if ('nullable' in shape) {
+    return `${shapeToTs(shape.nullable)} | null`;
+  }
+  if ('record' in shape) {
+    return `Record<string, ${shapeToTs(shape.record)}>`;
+  }
+  if ('tuple' in shape) {
+    return `[${shape.tuple.map(shapeToTs).join(', ')}]`;
+  }
+  if ('enum' in shape) {
+    return shape.enum.map(variant => JSON.stringify(variant)).join(' | ');
+  }
+  return `{ ${Object.entries(shape.object).map(([key, value]) => `${tsKey(key)}: ${shapeToTs(value)}`).join('; ')} }`;
+}
+
+function tsKey(name: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// Removes comments, keeping string literals intact
+export function stripComments(source: string): string {
+  let result = '';
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '"') {
+      const end = findStringEnd(source, i);
+      result += source.slice(i, end + 1);
+      i = end;
+    } else if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') {
+        i++;
+      }
+      result += '\n';
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      i = end < 0 ? source.length : end + 1;
+      result += ' ';
+    } else {
+      result += source[i];
+    }
+  }
+  return result;
+}
+
+function findStringEnd(source: string, start: number): number {
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '"') {
+      return i;
+    }
+  }
+  return source.length - 1;
+}
+
+// Index just past the bracket that closes the one at the start of text
+export function matchingBrace(text: string): number {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if ('{(['.includes(text[i])) {
+      depth++;
+    } else if ('})]'.includes(text[i])) {
+      depth--;
+      if (depth === 0) {
+        return i + 1;
+      }
+    }
+  }
+  return text.length;
+}
+
+export function splitTopLevel(body: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if ('<([{'.includes(char)) {
+      depth++;
+    } else if ('>)]}'.includes(char)) {
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
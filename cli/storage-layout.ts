@@ -0,0 +1,324 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { CheckStatus } from './report.js';
+import { listRustFiles, matchingBrace, splitTopLevel, stripComments } from './rust-types.js';
+
+export interface StorageLayout {
+  type: string;
+  file: string;
+  // Field behind each u64 read by from_data and written by to_data, in order
+  reads: string[];
+  writes: string[];
+}
+
+export interface LockedLayout {
+  file: string;
+  fields: string[];
+}
+
+export interface StorageLock {
+  version: 1;
+  types: Record<string, LockedLayout>;
+}
+
+export interface StorageLayoutOptions {
+  cwd?: string;
+  // Accept layouts that are not append-only and write them to the lockfile
+  update?: boolean;
+}
+
+export interface StorageLayoutCheck {
+  type: string;
+  status: CheckStatus;
+  message: string;
+}
+
+export interface StorageLayoutResult {
+  layouts: StorageLayout[];
+  checks: StorageLayoutCheck[];
+  lockWritten: boolean;
+}
+
+export type LayoutChange =
+  | { kind: 'same' }
+  | { kind: 'appended' | 'renamed' | 'changed'; message: string };
+
+export const STORAGE_LOCK_FILE = 'zkwasm.storage.lock.json';
+
+// Values that could not be tied to a field, e.g. a length prefix; they match any field
+export const UNKNOWN_FIELD = '?';
+
+export async function checkStorageLayout(options: StorageLayoutOptions = {}): Promise<StorageLayoutResult> {
+  const cwd = path.resolve(options.cwd || '.');
+  const sourceDir = path.join(cwd, 'src');
+  const lockPath = path.join(cwd, STORAGE_LOCK_FILE);
+  const layouts: StorageLayout[] = [];
+  const checks: StorageLayoutCheck[] = [];
+
+  if (await fs.pathExists(sourceDir)) {
+    for (const file of await listRustFiles(sourceDir)) {
+      const relative = path.relative(cwd, file).split(path.sep).join('/');
+      layouts.push(...parseStorageImpls(await fs.readFile(file, 'utf8'), relative));
+    }
+  }
+
+  const lockExists = await fs.pathExists(lockPath);
+  const lock = lockExists ? await readLock(lockPath) : { version: 1 as const, types: {} };
+  let changed = false;
+
+  const lockLayout = (layout: StorageLayout, fields: string[]) => {
+    lock.types[layout.type] = { file: layout.file, fields };
+    changed = true;
+  };
+
+  for (const layout of layouts) {
+    const mismatch = compareReadsAndWrites(layout);
+    if (mismatch) {
+      checks.push({ type: layout.type, ...mismatch });
+      continue;
+    }
+
+    const fields = layout.reads.map((field, index) => field !== UNKNOWN_FIELD ? field : layout.writes[index]);
+    const locked = lock.types[layout.type];
+    const change = locked ? compareLayouts(locked.fields, fields) : null;
+    const describe = `${layout.type} (${fields.join(', ')})`;
+
+    if (!locked) {
+      lockLayout(layout, fields);
+      checks.push({ type: layout.type, status: 'pass', message: `Recorded storage layout of ${describe} in ${STORAGE_LOCK_FILE}` });
+    } else if (change!.kind === 'same') {
+      if (locked.file !== layout.file) {
+        lockLayout(layout, locked.fields);
+      }
+      checks.push({ type: layout.type, status: 'pass', message: `Storage layout of ${describe} matches ${STORAGE_LOCK_FILE}` });
+    } else if (change!.kind === 'appended' || options.update) {
+      lockLayout(layout, fields);
+      const status = change!.kind === 'appended' ? 'pass' : 'warn';
+      checks.push({ type: layout.type, status, message: `Storage layout of ${layout.type} updated in ${STORAGE_LOCK_FILE}: ${change!.message}` });
+    } else {
+      // A rename keeps the positions, so existing records still load; it may still be a different value
+      const status = change!.kind === 'renamed' ? 'warn' : 'fail';
+      const consequence = change!.kind === 'renamed'
+        ? 'check that it holds the same value'
+        : 'existing records, including data imported with import_data_image, would load into the wrong fields. Only append new fields at the end';
+      checks.push({
+        type: layout.type,
+        status,
+        message: `Storage layout of ${layout.type} is not append-only: ${change!.message}; ${consequence}. Accept the new layout with --update-storage-lock`
+      });
+    }
+  }
+
+  for (const type of Object.keys(lock.types)) {
+    if (layouts.some(layout => layout.type === type)) {
+      continue;
+    }
+    if (options.update) {
+      delete lock.types[type];
+      changed = true;
+      checks.push({ type, status: 'warn', message: `Removed ${type} from ${STORAGE_LOCK_FILE}, it no longer implements StorageData` });
+    } else {
+      checks.push({ type, status: 'warn', message: `${type} is in ${STORAGE_LOCK_FILE} but no longer implements StorageData. Remove it with --update-storage-lock` });
+    }
+  }
+
+  if (changed) {
+    const types = Object.fromEntries(Object.entries(lock.types).sort(([a], [b]) => a.localeCompare(b)));
+    await fs.writeJson(lockPath, { version: 1, types }, { spaces: 2 });
+  }
+
+  return { layouts, checks, lockWritten: changed };
+}
+
+async function readLock(lockPath: string): Promise<StorageLock> {
+  try {
+    const lock = await fs.readJson(lockPath);
+    if (lock?.version !== 1 || typeof lock.types !== 'object' || lock.types === null) {
+      throw new Error('expected { "version": 1, "types": { ... } }');
+    }
+    return lock;
+  } catch (error) {
+    throw new Error(`Failed to read ${STORAGE_LOCK_FILE}: ${(error as Error).message}`);
+  }
+}
+
+// Compares a locked field order with the current one; appending at the end is the only safe change
+export function compareLayouts(locked: string[], current: string[]): LayoutChange {
+  const same = (a: string | undefined, b: string | undefined) =>
+    a !== undefined && b !== undefined && (a === b || a === UNKNOWN_FIELD || b === UNKNOWN_FIELD);
+  const index = locked.findIndex((field, i) => !same(field, current[i]));
+
+  if (index < 0) {
+    return current.length === locked.length
+      ? { kind: 'same' }
+      : { kind: 'appended', message: `appended ${current.slice(locked.length).join(', ')}` };
+  }
+  if (index >= current.length) {
+    return { kind: 'changed', message: `${locked.slice(index).join(', ')} removed from the end` };
+  }
+
+  const expected = locked[index];
+  const found = current[index];
+  const restMatches = locked.slice(index + 1).every((field, i) => same(field, current[index + 1 + i]));
+  if (!current.includes(expected) && !locked.includes(found) && restMatches) {
+    return { kind: 'renamed', message: `field ${index} renamed from ${expected} to ${found}` };
+  }
+
+  let detail: string;
+  if (!locked.includes(found)) {
+    detail = `${found} inserted before ${expected}`;
+  } else if (!current.includes(expected)) {
+    detail = `${expected} removed`;
+  } else {
+    detail = `${found} moved before ${expected}`;
+  }
+  return { kind: 'changed', message: `${detail} (position ${index}, was ${locked.join(', ')}, now ${current.join(', ')})` };
+}
+
+function compareReadsAndWrites(layout: StorageLayout): Omit<StorageLayoutCheck, 'type'> | null {
+  const { type, reads, writes } = layout;
+
+  if (reads.length === 0 || writes.length === 0) {
+    return { status: 'warn', message: `Could not read the storage layout of ${type} in ${layout.file}, from_data and to_data are not checked` };
+  }
+  if (reads.length !== writes.length) {
+    return {
+      status: 'fail',
+      message: `${type}::from_data reads ${reads.length} values (${reads.join(', ')}) but to_data writes ${writes.length} (${writes.join(', ')})`
+    };
+  }
+
+  const index = reads.findIndex((field, i) => field !== UNKNOWN_FIELD && writes[i] !== UNKNOWN_FIELD && field !== writes[i]);
+  if (index >= 0) {
+    return {
+      status: 'fail',
+      message: `${type}::from_data and to_data disagree at position ${index}: from_data reads ${reads[index]}, to_data writes ${writes[index]} (reads ${reads.join(', ')}; writes ${writes.join(', ')})`
+    };
+  }
+  return null;
+}
+
+// Reads the field order of every `impl StorageData for T` from its from_data and to_data bodies.
+// Handles the usual shapes: `let x = *it.next().unwrap();`, reads inside the struct literal,
+// nested `Other::from_data(it)` and the matching `data.push(self.x)` / `self.x.to_data(data)`
+export function parseStorageImpls(source: string, file = ''): StorageLayout[] {
+  const text = stripComments(source);
+  const layouts: StorageLayout[] = [];
+  const impl = /\bimpl\s*(?:<[^{]*?>\s*)?(?:[\w:]+::)?StorageData\s+for\s+(\w+)[^{;]*/g;
+
+  let match: RegExpExecArray | null;
+  while ((match = impl.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    if (text[start] !== '{') {
+      continue;
+    }
+    const body = text.slice(start, start + matchingBrace(text.slice(start)));
+    layouts.push({ type: match[1], file, reads: parseFromData(body, match[1]), writes: parseToData(body) });
+    impl.lastIndex = start + body.length;
+  }
+
+  return layouts;
+}
+
+function parseFromData(implBody: string, type: string): string[] {
+  const fn = functionBody(implBody, 'from_data');
+  const iter = fn && /^\s*(?:mut\s+)?(\w+)\s*:/.exec(fn.params)?.[1];
+  if (!fn || !iter) {
+    return [];
+  }
+
+  const read = new RegExp(`\\b${iter}\\s*\\.\\s*next\\s*\\(\\s*\\)|\\b\\w+\\s*::\\s*from_data\\s*\\(\\s*(?:&\\s*mut\\s+)?${iter}\\s*\\)`, 'g');
+  const bindings: (string | null)[] = [];
+  const variables = new Set<string>();
+
+  let match: RegExpExecArray | null;
+  while ((match = read.exec(fn.body)) !== null) {
+    const statement = lastStatement(fn.body.slice(0, match.index));
+    const variable = /\blet\s+(?:mut\s+)?(\w+)/.exec(statement)?.[1] ?? /(\w+)\s*\.\s*push\s*\(/.exec(statement)?.[1];
+    if (variable) {
+      variables.add(variable);
+      bindings.push(variable);
+    } else {
+      bindings.push(/^\s*(\w+)\s*:(?!:)/.exec(statement)?.[1] ?? null);
+    }
+  }
+
+  // Variables are mapped to the struct field they end up in
+  const literal = new RegExp(`\\b(?:Self|${type})\\s*\\{`, 'g');
+  let literalStart = -1;
+  while ((match = literal.exec(fn.body)) !== null) {
+    literalStart = match.index + match[0].length - 1;
+  }
+  const fieldOf = new Map<string, string>();
+  if (literalStart >= 0) {
+    const inner = fn.body.slice(literalStart + 1, literalStart + matchingBrace(fn.body.slice(literalStart)) - 1);
+    for (const part of splitTopLevel(inner)) {
+      const [, field, expression = field] = /^(\w+)\s*(?::(?!:)\s*([\s\S]*))?$/.exec(part) ?? [];
+      const used = field && expression.match(/\b[A-Za-z_]\w*\b/g)?.find(name => variables.has(name));
+      if (used && !fieldOf.has(used)) {
+        fieldOf.set(used, field);
+      }
+    }
+  }
+
+  return bindings.map(binding => {
+    if (binding === null) {
+      return UNKNOWN_FIELD;
+    }
+    if (!variables.has(binding) || literalStart < 0) {
+      return binding;
+    }
+    return fieldOf.get(binding) ?? UNKNOWN_FIELD;
+  });
+}
+
+function parseToData(implBody: string): string[] {
+  const fn = functionBody(implBody, 'to_data');
+  const data = fn && /^\s*&\s*(?:mut\s+)?self\s*,\s*(?:mut\s+)?(\w+)\s*:/.exec(fn.params)?.[1];
+  if (!fn || !data) {
+    return [];
+  }
+
+  const write = new RegExp(`\\b${data}\\s*\\.\\s*(?:push|extend_from_slice|extend)\\s*\\(|\\.\\s*to_data\\s*\\(\\s*(?:&\\s*mut\\s+)?${data}\\s*\\)|\\b\\w+\\s*::\\s*to_data\\s*\\(`, 'g');
+  const loops = [...fn.body.matchAll(/\bfor\s+\(?\s*(?:&\s*)?(\w+)[^{]*?\bin\s+([^{]+)\{/g)];
+  const writes: string[] = [];
+
+  let match: RegExpExecArray | null;
+  while ((match = write.exec(fn.body)) !== null) {
+    const callStart = match.index + match[0].length - 1;
+    const args = fn.body.slice(callStart, callStart + matchingBrace(fn.body.slice(callStart)));
+    if (match[0].includes('::') && !new RegExp(`\\b${data}\\b`).test(args)) {
+      continue;
+    }
+    // self.x.to_data(data): the field is the receiver, otherwise it is in the arguments
+    const expression = match[0].startsWith('.') ? lastStatement(fn.body.slice(0, match.index)) : args;
+
+    const field = /\bself\s*\.\s*(\w+)/.exec(expression)?.[1]
+      ?? loops.find(([, variable]) => new RegExp(`\\b${variable}\\b`).test(expression))?.[2].match(/\bself\s*\.\s*(\w+)/)?.[1];
+    writes.push(field ?? UNKNOWN_FIELD);
+  }
+
+  return writes;
+}
+
+function functionBody(text: string, name: string): { params: string; body: string } | null {
+  const match = new RegExp(`\\bfn\\s+${name}\\s*(?:<[^(]*>)?\\s*\\(`).exec(text);
+  if (!match) {
+    return null;
+  }
+  const paramsStart = match.index + match[0].length - 1;
+  const paramsEnd = paramsStart + matchingBrace(text.slice(paramsStart));
+  const bodyStart = text.indexOf('{', paramsEnd);
+  if (bodyStart < 0) {
+    return null;
+  }
+  return {
+    params: text.slice(paramsStart + 1, paramsEnd - 1),
+    body: text.slice(bodyStart, bodyStart + matchingBrace(text.slice(bodyStart)))
+  };
+}
+
+// Text of the statement, struct field or call argument that ends at the end of text
+function lastStatement(text: string): string {
+  return text.split(/[;{},]/).pop() ?? '';
+}
@@ -0,0 +1,213 @@
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Every template directory carries a manifest with this name
+export const TEMPLATE_MANIFEST = 'template.json';
+// Extra directories to search for templates, separated like PATH
+const TEMPLATE_PATH_ENV = 'ZKWASM_TEMPLATE_PATH';
+const DEFAULT_FILES = {
+    copy: ['src/', 'ts/', 'Cargo.lock'],
+    render: {
+        'Cargo.toml.template': 'Cargo.toml',
+        'README.md.template': 'README.md'
+    }
+};
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+export function getPackageDir() {
+    const __filename = fileURLToPath(import.meta.url);
+    return path.resolve(path.dirname(__filename), '..');
+}
+// Manifests of directory and tarball templates are not trusted, so every path must stay inside the
+// template directory (sources) and the new project (targets)
+export function getTemplateFiles(manifest) {
+    const files = {
+        copy: manifest.files?.copy ?? DEFAULT_FILES.copy,
+        render: manifest.files?.render ?? DEFAULT_FILES.render
+    };
+    if (!Array.isArray(files.copy) || typeof files.render !== 'object' || files.render === null || Array.isArray(files.render)) {
+        throw new Error(`Template "${manifest.name}" needs "files.copy" as a list and "files.render" as an object`);
+    }
+    const paths = [...files.copy, ...Object.keys(files.render), ...Object.values(files.render)];
+    const outside = paths.find(file => !isContainedPath(file));
+    if (outside !== undefined) {
+        throw new Error(`Template "${manifest.name}" lists a file outside its directory: ${JSON.stringify(outside)}`);
+    }
+    return files;
+}
+export async function listTemplates() {
+    const templates = [];
+    const seen = new Set();
+    const builtinDir = path.join(getPackageDir(), 'templates');
+    const searchDirs = (process.env[TEMPLATE_PATH_ENV] || '')
+        .split(path.delimiter)
+        .filter(dir => dir.length > 0);
+    for (const dir of [builtinDir, ...searchDirs]) {
+        const source = dir === builtinDir ? 'builtin' : 'directory';
+        // A search path entry may point at a single template
+        if (await fs.pathExists(path.join(dir, TEMPLATE_MANIFEST))) {
+            const id = path.basename(path.resolve(dir));
+            if (!seen.has(id)) {
+                seen.add(id);
+                templates.push({ id, source, dir: path.resolve(dir), manifest: await readManifest(dir) });
+            }
+            continue;
+        }
+        if (!await fs.pathExists(dir)) {
+            continue;
+        }
+        const entries = await fs.readdir(dir);
+        for (const entry of entries.sort()) {
+            const templateDir = path.resolve(dir, entry);
+            if (seen.has(entry) || !await fs.pathExists(path.join(templateDir, TEMPLATE_MANIFEST))) {
+                continue;
+            }
+            seen.add(entry);
+            templates.push({ id: entry, source, dir: templateDir, manifest: await readManifest(templateDir) });
+        }
+    }
+    return templates;
+}
+// Resolves a template name, a template directory or a template tarball
+export async function resolveTemplate(spec) {
+    const noCleanup = async () => { };
+    if (TARBALL_PATTERN.test(spec)) {
+        const tarball = path.resolve(spec);
+        if (!await fs.pathExists(tarball)) {
+            throw new Error(`Template tarball not found: ${tarball}`);
+        }
+        const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zkwasm-template-'));
+        const cleanup = async () => { await fs.remove(extractDir); };
+        try {
+            await extractTarball(tarball, extractDir);
+            const dir = await findManifestDir(extractDir);
+            return {
+                id: path.basename(tarball).replace(TARBALL_PATTERN, ''),
+                source: 'tarball',
+                dir,
+                manifest: await readManifest(dir),
+                cleanup
+            };
+        }
+        catch (error) {
+            await cleanup();
+            throw error;
+        }
+    }
+    if (isPathLike(spec)) {
+        const dir = path.resolve(spec);
+        if (!await fs.pathExists(path.join(dir, TEMPLATE_MANIFEST))) {
+            throw new Error(`No ${TEMPLATE_MANIFEST} found in template directory: ${dir}`);
+        }
+        return {
+            id: path.basename(dir),
+            source: 'directory',
+            dir,
+            manifest: await readManifest(dir),
+            cleanup: noCleanup
+        };
+    }
+    const templates = await listTemplates();
+    const template = templates.find(t => t.id === spec);
+    if (!template) {
+        const available = templates.map(t => t.id).join(', ');
+        throw new Error(`Unknown template "${spec}". Available templates: ${available}`);
+    }
+    return { ...template, cleanup: noCleanup };
+}
+export async function printTemplates() {
+    const templates = await listTemplates();
+    console.log(chalk.blue('📦 Available templates:\n'));
+    for (const template of templates) {
+        const origin = template.source === 'builtin' ? 'built-in' : template.dir;
+        console.log(`${chalk.green(template.id)} ${chalk.gray(`(${origin})`)}`);
+        console.log(`  ${template.manifest.name}`);
+        console.log(chalk.gray(`  ${template.manifest.description}`));
+        if (template.manifest.features.length > 0) {
+            console.log(chalk.gray(`  Features: ${template.manifest.features.join(', ')}`));
+        }
+        console.log('');
+    }
+    console.log(chalk.gray('Use a template with: zkwasm-dapp create <name> --template <template>'));
+    console.log(chalk.gray('Local directories and tarballs with a template.json are accepted as well.'));
+}
+async function readManifest(dir) {
+    const manifestPath = path.join(dir, TEMPLATE_MANIFEST);
+    let manifest;
+    try {
+        manifest = await fs.readJson(manifestPath);
+    }
+    catch (error) {
+        throw new Error(`Failed to read ${manifestPath}: ${error.message}`);
+    }
+    if (!manifest.name || !manifest.description) {
+        throw new Error(`${manifestPath} must define "name" and "description"`);
+    }
+    for (const prompt of manifest.prompts || []) {
+        if (!prompt.name || !prompt.message) {
+            throw new Error(`${manifestPath} has a prompt without "name" or "message"`);
+        }
+    }
+    const result = {
+        name: manifest.name,
+        description: manifest.description,
+        features: manifest.features || [],
+        prompts: manifest.prompts || [],
+        files: manifest.files
+    };
+    try {
+        getTemplateFiles(result);
+    }
+    catch (error) {
+        throw new Error(`${manifestPath}: ${error.message}`);
+    }
+    return result;
+}
+async function findManifestDir(root) {
+    if (await fs.pathExists(path.join(root, TEMPLATE_MANIFEST))) {
+        return root;
+    }
+    // Tarballs usually wrap their contents in a single top-level directory
+    const entries = await fs.readdir(root);
+    for (const entry of entries) {
+        const dir = path.join(root, entry);
+        if ((await fs.stat(dir)).isDirectory() && await fs.pathExists(path.join(dir, TEMPLATE_MANIFEST))) {
+            return dir;
+        }
+    }
+    throw new Error(`No ${TEMPLATE_MANIFEST} found in template tarball`);
+}
+function isContainedPath(file) {
+    if (typeof file !== 'string' || file.length === 0 || path.isAbsolute(file) || path.win32.isAbsolute(file)) {
+        return false;
+    }
+    const base = path.resolve('/template');
+    const relative = path.relative(base, path.resolve(base, file));
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+function isPathLike(spec) {
+    return spec.startsWith('.') || path.isAbsolute(spec) || spec.includes('/') || spec.includes(path.sep);
+}
+async function extractTarball(tarball, targetDir) {
+    return new Promise((resolve, reject) => {
+        const tar = spawn('tar', ['-xf', tarball, '-C', targetDir], { stdio: 'pipe' });
+        let stderr = '';
+        tar.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        tar.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            }
+            else {
+                reject(new Error(`Failed to extract template tarball: ${stderr.trim() || `tar exited with code ${code}`}`));
+            }
+        });
+        tar.on('error', (error) => {
+            reject(new Error(`Failed to run tar: ${error.message}`));
+        });
+    });
+}
+//# sourceMappingURL=template-registry.js.map
\ No newline at end of file
@@ -0,0 +1,273 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { COMMANDS_SCHEMA, loadCommandSchema, toCamelCase } from './codegen.js';
+import { compileTypeScript, importServiceModule, withLocalService } from './local-service.js';
+export const DEFAULT_SCENARIO_DIR = 'tests/scenarios';
+const DEFAULT_PLAYER = 'player';
+export async function runTests(paths, options = {}) {
+    const cwd = path.resolve(options.cwd || '.');
+    const schema = await loadCommandSchema(path.join(cwd, COMMANDS_SCHEMA));
+    const scenarios = await loadScenarios(paths.length > 0 ? paths : [DEFAULT_SCENARIO_DIR], cwd, schema);
+    if (options.compile !== false) {
+        await compileTypeScript(cwd);
+    }
+    const { Player } = await importServiceModule(cwd, 'ts/src/api.js');
+    if (typeof Player !== 'function') {
+        throw new Error('ts/src/api.js does not export a Player class');
+    }
+    return withLocalService(cwd, options, async (url) => {
+        console.log(chalk.blue(`\n🧪 Running ${scenarios.length} scenario(s) against ${url}\n`));
+        const results = [];
+        for (const { file, scenario } of scenarios) {
+            const result = await runScenario(scenario, file, Player, url, schema);
+            printScenarioResult(result);
+            results.push(result);
+        }
+        const failed = results.filter(r => !r.passed).length;
+        const summary = `${results.length - failed} passed, ${failed} failed`;
+        console.log(failed > 0 ? chalk.red(`\n❌ ${summary}`) : chalk.green(`\n✅ ${summary}`));
+        return {
+            success: failed === 0,
+            scenarios: results,
+            checks: results.map(result => ({
+                id: `scenario:${result.name}`,
+                status: result.passed ? 'pass' : 'fail',
+                message: result.passed
+                    ? `${result.steps} step(s) passed in ${formatDuration(result.durationMs)}`
+                    : `${result.file}: ${result.error}`
+            }))
+        };
+    });
+}
+// Files and directories of *.json scenarios, checked against the command schema before anything starts
+export async function loadScenarios(paths, cwd, schema) {
+    const files = [];
+    for (const entry of paths) {
+        const target = path.resolve(cwd, entry);
+        if (!await fs.pathExists(target)) {
+            throw new Error(`Scenario path not found: ${entry}`);
+        }
+        if ((await fs.stat(target)).isDirectory()) {
+            const names = (await fs.readdir(target)).filter(name => name.endsWith('.json')).sort();
+            files.push(...names.map(name => path.join(target, name)));
+        }
+        else {
+            files.push(target);
+        }
+    }
+    if (files.length === 0) {
+        throw new Error(`No scenario files found in ${paths.join(', ')}`);
+    }
+    const scenarios = [];
+    for (const file of files) {
+        const relative = path.relative(cwd, file);
+        let data;
+        try {
+            data = await fs.readJson(file);
+        }
+        catch (error) {
+            throw new Error(`${relative}: invalid JSON: ${error.message}`);
+        }
+        const problems = validateScenario(data, schema);
+        if (problems.length > 0) {
+            throw new Error(`${relative}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        }
+        scenarios.push({ file: relative, scenario: { ...data, name: data.name || path.basename(file, '.json') } });
+    }
+    return scenarios;
+}
+export function validateScenario(data, schema) {
+    const problems = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['a scenario must be a JSON object'];
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        problems.push('"name" must be a string');
+    }
+    if (data.players !== undefined && (typeof data.players !== 'object' || Object.values(data.players).some(key => typeof key !== 'string'))) {
+        problems.push('"players" must map player names to processing keys');
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+        problems.push('"steps" must be a non-empty array');
+        return problems;
+    }
+    const errorNames = new Set((schema.errors ?? []).map(e => e.name));
+    data.steps.forEach((step, index) => {
+        const where = `step ${index + 1}`;
+        if (!step || typeof step !== 'object') {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        if (step.command === undefined && step.expect === undefined) {
+            problems.push(`${where}: needs a "command", an "expect" or both`);
+        }
+        if (step.player !== undefined && typeof step.player !== 'string') {
+            problems.push(`${where}: "player" must be a string`);
+        }
+        if (step.command !== undefined) {
+            const command = schema.commands.find(c => c.name === step.command);
+            if (!command) {
+                problems.push(`${where}: unknown command "${step.command}" (see ${COMMANDS_SCHEMA})`);
+            }
+            else {
+                try {
+                    commandArgs(command, step.args);
+                }
+                catch (error) {
+                    problems.push(`${where}: ${error.message}`);
+                }
+            }
+        }
+        if (step.expectError !== undefined) {
+            if (step.command === undefined) {
+                problems.push(`${where}: "expectError" needs a "command"`);
+            }
+            else if (typeof step.expectError === 'string' ? !errorNames.has(step.expectError) : !Number.isInteger(step.expectError)) {
+                problems.push(`${where}: unknown error "${step.expectError}" (see ${COMMANDS_SCHEMA})`);
+            }
+        }
+        if (step.expect !== undefined && (typeof step.expect !== 'object' || step.expect === null || Array.isArray(step.expect))) {
+            problems.push(`${where}: "expect" must map state paths to values`);
+        }
+    });
+    return problems;
+}
+// Scenario and bench arguments in the types of the generated command methods
+export function commandArgs(command, args) {
+    const params = command.params ?? [];
+    let values;
+    if (args === undefined) {
+        values = [];
+    }
+    else if (Array.isArray(args)) {
+        values = args;
+    }
+    else if (typeof args === 'object' && args !== null) {
+        const unknown = Object.keys(args).filter(name => !params.some(p => p.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`${command.name} has no parameter ${unknown.join(', ')}`);
+        }
+        values = params.map(p => args[p.name]);
+    }
+    else {
+        throw new Error('"args" must be an array or an object');
+    }
+    if (values.length !== params.length || values.some(value => value === undefined)) {
+        throw new Error(`${command.name} takes ${params.length} parameters (${params.map(p => p.name).join(', ') || 'none'})`);
+    }
+    return params.map((param, index) => toArg(param, values[index]));
+}
+function toArg(param, value) {
+    if (param.type === 'bool') {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${param.name} must be true or false`);
+        }
+        return value;
+    }
+    if ((typeof value !== 'number' && typeof value !== 'string') || !/^\d+$/.test(String(value))) {
+        throw new Error(`${param.name} must be a non-negative integer, got ${JSON.stringify(value)}`);
+    }
+    // u64 values above 2^53 can be written as strings
+    return param.type === 'u64' ? BigInt(value) : Number(value);
+}
+async function runScenario(scenario, file, Player, url, schema) {
+    const started = Date.now();
+    const players = new Map();
+    const playerFor = (name) => {
+        if (!players.has(name)) {
+            players.set(name, new Player(scenario.players?.[name] ?? crypto.randomBytes(16).toString('hex'), url));
+        }
+        return players.get(name);
+    };
+    let completed = 0;
+    const result = (error) => ({
+        name: scenario.name,
+        file,
+        passed: error === undefined,
+        completed,
+        steps: scenario.steps.length,
+        durationMs: Date.now() - started,
+        error
+    });
+    for (const [index, step] of scenario.steps.entries()) {
+        try {
+            await runStep(step, playerFor(step.player ?? DEFAULT_PLAYER), schema);
+        }
+        catch (error) {
+            const label = step.command ? ` (${step.player ?? DEFAULT_PLAYER}: ${step.command})` : '';
+            return result(`step ${index + 1}${label}: ${error.message}`);
+        }
+        completed++;
+    }
+    return result();
+}
+async function runStep(step, player, schema) {
+    if (step.command !== undefined) {
+        const command = schema.commands.find(c => c.name === step.command);
+        const method = toCamelCase(command.name);
+        if (typeof player[method] !== 'function') {
+            throw new Error(`Player has no ${method}() method, run zkwasm-dapp codegen`);
+        }
+        let failure;
+        try {
+            await player[method](...commandArgs(command, step.args));
+        }
+        catch (error) {
+            failure = error;
+        }
+        if (step.expectError === undefined) {
+            if (failure !== undefined) {
+                throw new Error(describeError(failure));
+            }
+        }
+        else if (failure === undefined) {
+            throw new Error(`expected ${step.expectError}, but the command succeeded`);
+        }
+        else if (!matchesError(failure, step.expectError)) {
+            throw new Error(`expected ${step.expectError}, got ${describeError(failure)}`);
+        }
+    }
+    if (step.expect !== undefined) {
+        const state = await player.getState();
+        for (const [statePath, expected] of Object.entries(step.expect)) {
+            const actual = readPath(state, statePath);
+            if (!isDeepStrictEqual(toPlain(actual), expected)) {
+                throw new Error(`${statePath}: expected ${formatValue(expected)}, got ${formatValue(actual)}`);
+            }
+        }
+    }
+}
+// TransactionError from the template client carries the code and name from zkwasm.commands.json
+function matchesError(error, expected) {
+    return typeof expected === 'number' ? error?.code === expected : error?.errorName === expected;
+}
+function describeError(error) {
+    return error?.message ? String(error.message) : String(error);
+}
+function readPath(value, dotted) {
+    return dotted.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+// Responses are JSON, but validators may return bigints
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? Number(v) : v)));
+}
+function formatValue(value) {
+    return value === undefined ? 'undefined' : JSON.stringify(toPlain(value));
+}
+function printScenarioResult(result) {
+    const duration = chalk.gray(`(${result.steps} steps, ${formatDuration(result.durationMs)})`);
+    if (result.passed) {
+        console.log(`${chalk.green('✅')} ${result.name} ${duration}`);
+    }
+    else {
+        console.log(`${chalk.red('❌')} ${result.name} ${chalk.gray(result.file)}`);
+        console.log(chalk.red(`   ${result.error}`));
+    }
+}
+function formatDuration(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+//# sourceMappingURL=test-runner.js.map
\ No newline at end of file
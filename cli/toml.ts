@@ -0,0 +1,444 @@
+export type TomlValue = string | number | bigint | boolean | TomlValue[] | TomlTable;
+
+export interface TomlTable {
+  [key: string]: TomlValue;
+}
+
+export class TomlError extends Error {
+  constructor(message: string, public readonly line: number) {
+    super(`line ${line}: ${message}`);
+    this.name = 'TomlError';
+  }
+}
+
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const ESCAPES: Record<string, string> = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+const DECIMAL = /^[+-]?(0|[1-9](_?\d)*)$/;
+const PREFIXED = /^0(x[0-9A-Fa-f](_?[0-9A-Fa-f])*|o[0-7](_?[0-7])*|b[01](_?[01])*)$/;
+const FLOAT = /^[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?$/;
+const SPECIAL_FLOAT = /^[+-]?(inf|nan)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?)?|\d{2}:\d{2}:\d{2}(\.\d+)?)([Zz]|[+-]\d{2}:\d{2})?$/;
+
+// TOML 1.0, enough for Cargo.toml, Cargo.lock and rust-toolchain; dates and times are kept as strings
+// and integers outside the safe range become bigints
+export function parseToml(source: string): TomlTable {
+  return new TomlParser(source).parse();
+}
+
+// Reads a dotted path such as "profile.release.lto", undefined when any part is missing
+export function getTomlValue(table: TomlTable, dotted: string): TomlValue | undefined {
+  let current: TomlValue | undefined = table;
+  for (const key of dotted.split('.')) {
+    if (!isTable(current) || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return undefined;
+    }
+    current = current[key];
+  }
+  return current;
+}
+
+export function isTable(value: TomlValue | undefined): value is TomlTable {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+class TomlParser {
+  private pos = 0;
+  private line = 1;
+  private readonly root: TomlTable = {};
+  // Tables opened by a [header], tables created by dotted keys, and values that can not be extended
+  private readonly headerTables = new WeakSet<object>();
+  private readonly dottedTables = new WeakSet<object>();
+  private readonly sealed = new WeakSet<object>();
+  private readonly tableArrays = new WeakSet<object>();
+
+  constructor(private readonly source: string) {}
+
+  parse(): TomlTable {
+    let current = this.root;
+    for (;;) {
+      this.skipBlank();
+      if (this.pos >= this.source.length) {
+        return this.root;
+      }
+      if (this.peek() === '[') {
+        current = this.peek(1) === '[' ? this.parseArrayTableHeader() : this.parseTableHeader();
+      } else {
+        this.parseKeyValue(current);
+      }
+      this.expectLineEnd();
+    }
+  }
+
+  private parseTableHeader(): TomlTable {
+    this.pos++;
+    const keys = this.parseKey();
+    this.expect(']');
+    const parent = this.descend(this.root, keys.slice(0, -1), false);
+    const last = keys[keys.length - 1];
+    const existing = parent[last];
+    if (existing === undefined) {
+      const table: TomlTable = {};
+      parent[last] = table;
+      this.headerTables.add(table);
+      return table;
+    }
+    if (!isTable(existing) || this.headerTables.has(existing) || this.dottedTables.has(existing) || this.sealed.has(existing)) {
+      throw this.error(`table [${keys.join('.')}] is defined more than once`);
+    }
+    // Created implicitly by an earlier [a.b.c] header, now defined explicitly
+    this.headerTables.add(existing);
+    return existing;
+  }
+
+  private parseArrayTableHeader(): TomlTable {
+    this.pos += 2;
+    const keys = this.parseKey();
+    this.expect(']');
+    this.expect(']');
+    const parent = this.descend(this.root, keys.slice(0, -1), false);
+    const last = keys[keys.length - 1];
+    let array = parent[last];
+    if (array === undefined) {
+      array = [];
+      parent[last] = array;
+      this.tableArrays.add(array);
+    } else if (!Array.isArray(array) || !this.tableArrays.has(array)) {
+      throw this.error(`[[${keys.join('.')}]] conflicts with an earlier value`);
+    }
+    const table: TomlTable = {};
+    array.push(table);
+    this.headerTables.add(table);
+    return table;
+  }
+
+  private parseKeyValue(table: TomlTable): void {
+    const keys = this.parseKey();
+    this.skipSpaces();
+    this.expect('=');
+    this.skipSpaces();
+    const target = this.descend(table, keys.slice(0, -1), true);
+    const last = keys[keys.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, last)) {
+      throw this.error(`key ${keys.join('.')} is defined more than once`);
+    }
+    target[last] = this.parseValue();
+  }
+
+  // Walks to the table for the given keys, creating missing ones; dotted keys may not reopen header tables
+  private descend(table: TomlTable, keys: string[], dotted: boolean): TomlTable {
+    let current = table;
+    for (const key of keys) {
+      let next = current[key];
+      if (next === undefined) {
+        next = {};
+        current[key] = next;
+        if (dotted) {
+          this.dottedTables.add(next);
+        }
+      } else if (Array.isArray(next) && this.tableArrays.has(next) && !dotted) {
+        next = next[next.length - 1];
+      }
+      if (!isTable(next) || this.sealed.has(next) || (dotted && this.headerTables.has(next))) {
+        throw this.error(`key ${key} is already defined as a value`);
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  private parseKey(): string[] {
+    const keys: string[] = [];
+    for (;;) {
+      this.skipSpaces();
+      const char = this.peek();
+      if (char === '"') {
+        keys.push(this.parseBasicString());
+      } else if (char === "'") {
+        keys.push(this.parseLiteralString());
+      } else {
+        const start = this.pos;
+        while (this.pos < this.source.length && BARE_KEY.test(this.source[this.pos])) {
+          this.pos++;
+        }
+        if (start === this.pos) {
+          throw this.error(char ? `unexpected ${JSON.stringify(char)} in key` : 'expected a key');
+        }
+        keys.push(this.source.slice(start, this.pos));
+      }
+      this.skipSpaces();
+      if (this.peek() !== '.') {
+        return keys;
+      }
+      this.pos++;
+    }
+  }
+
+  private parseValue(): TomlValue {
+    const char = this.peek();
+    if (char === '"') {
+      return this.source.startsWith('"""', this.pos) ? this.parseMultilineBasicString() : this.parseBasicString();
+    }
+    if (char === "'") {
+      return this.source.startsWith("'''", this.pos) ? this.parseMultilineLiteralString() : this.parseLiteralString();
+    }
+    if (char === '[') {
+      return this.parseArray();
+    }
+    if (char === '{') {
+      return this.parseInlineTable();
+    }
+    return this.parseScalar();
+  }
+
+  private parseArray(): TomlValue[] {
+    this.pos++;
+    const values: TomlValue[] = [];
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === ']') {
+        this.pos++;
+        break;
+      }
+      values.push(this.parseValue());
+      this.skipBlank();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        throw this.error('expected "," or "]" in array');
+      }
+    }
+    this.sealed.add(values);
+    return values;
+  }
+
+  private parseInlineTable(): TomlTable {
+    this.pos++;
+    const table: TomlTable = {};
+    this.skipSpaces();
+    if (this.peek() === '}') {
+      this.pos++;
+    } else {
+      for (;;) {
+        this.parseKeyValue(table);
+        this.skipSpaces();
+        const char = this.peek();
+        this.pos++;
+        if (char === '}') {
+          break;
+        }
+        if (char !== ',') {
+          throw this.error('expected "," or "}" in inline table');
+        }
+      }
+    }
+    this.sealTree(table);
+    return table;
+  }
+
+  private sealTree(table: TomlTable): void {
+    this.sealed.add(table);
+    Object.values(table).filter(isTable).forEach(child => this.sealTree(child));
+  }
+
+  private parseScalar(): TomlValue {
+    const start = this.pos;
+    while (this.pos < this.source.length && !/[\s,\]}#]/.test(this.source[this.pos])) {
+      this.pos++;
+    }
+    let token = this.source.slice(start, this.pos);
+    // A space may separate the date and time of a datetime
+    if (DATE.test(token) && /^ \d{2}:/.test(this.source.slice(this.pos, this.pos + 4))) {
+      this.pos++;
+      while (this.pos < this.source.length && !/[\s,\]}#]/.test(this.source[this.pos])) {
+        this.pos++;
+      }
+      token = this.source.slice(start, this.pos);
+    }
+
+    if (!token) {
+      throw this.error(this.peek() ? `unexpected ${JSON.stringify(this.peek())}, expected a value` : 'expected a value');
+    }
+    if (token === 'true' || token === 'false') {
+      return token === 'true';
+    }
+    if (DECIMAL.test(token) || PREFIXED.test(token)) {
+      const value = BigInt(token.replace(/_/g, '').replace(/^\+/, ''));
+      return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+    }
+    if (FLOAT.test(token)) {
+      return Number(token.replace(/_/g, ''));
+    }
+    if (SPECIAL_FLOAT.test(token)) {
+      return token.endsWith('nan') ? NaN : token.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (DATETIME.test(token)) {
+      return token;
+    }
+    throw this.error(`invalid value ${JSON.stringify(token)}`);
+  }
+
+  private parseBasicString(): string {
+    this.pos++;
+    let value = '';
+    for (;;) {
+      const char = this.source[this.pos];
+      if (char === undefined || char === '\n' || char === '\r') {
+        throw this.error('unterminated string');
+      }
+      this.pos++;
+      if (char === '"') {
+        return value;
+      }
+      value += char === '\\' ? this.parseEscape() : char;
+    }
+  }
+
+  private parseMultilineBasicString(): string {
+    this.pos += 3;
+    this.skipFirstNewline();
+    let value = '';
+    for (;;) {
+      if (this.pos >= this.source.length) {
+        throw this.error('unterminated multi-line string');
+      }
+      if (this.source.startsWith('"""', this.pos)) {
+        // Up to two quotes may directly precede the closing delimiter
+        const extra = this.source.startsWith('"""""', this.pos) ? 2 : this.source.startsWith('""""', this.pos) ? 1 : 0;
+        this.pos += 3 + extra;
+        return value + '"'.repeat(extra);
+      }
+      const char = this.source[this.pos++];
+      if (char === '\n') {
+        this.line++;
+      }
+      if (char !== '\\') {
+        value += char;
+        continue;
+      }
+      // A backslash at the end of a line trims the line break and the whitespace after it
+      const rest = this.source.slice(this.pos).match(/^[ \t]*\r?\n/);
+      if (rest) {
+        while (/\s/.test(this.source[this.pos] ?? '')) {
+          if (this.source[this.pos] === '\n') {
+            this.line++;
+          }
+          this.pos++;
+        }
+      } else {
+        value += this.parseEscape();
+      }
+    }
+  }
+
+  private parseLiteralString(): string {
+    this.pos++;
+    const end = this.source.indexOf("'", this.pos);
+    const newline = this.source.slice(this.pos, end === -1 ? undefined : end).search(/[\r\n]/);
+    if (end === -1 || newline !== -1) {
+      throw this.error('unterminated string');
+    }
+    const value = this.source.slice(this.pos, end);
+    this.pos = end + 1;
+    return value;
+  }
+
+  private parseMultilineLiteralString(): string {
+    this.pos += 3;
+    this.skipFirstNewline();
+    const end = this.source.indexOf("'''", this.pos);
+    if (end === -1) {
+      throw this.error('unterminated multi-line string');
+    }
+    const extra = this.source.startsWith("'''''", end) ? 2 : this.source.startsWith("''''", end) ? 1 : 0;
+    const value = this.source.slice(this.pos, end + extra);
+    this.line += value.split('\n').length - 1;
+    this.pos = end + 3 + extra;
+    return value;
+  }
+
+  private parseEscape(): string {
+    const char = this.source[this.pos++];
+    if (char !== undefined && ESCAPES[char] !== undefined) {
+      return ESCAPES[char];
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8;
+      const hex = this.source.slice(this.pos, this.pos + length);
+      if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) {
+        throw this.error(`invalid unicode escape \\${char}${hex}`);
+      }
+      this.pos += length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    throw this.error(`invalid escape \\${char ?? ''}`);
+  }
+
+  private skipFirstNewline(): void {
+    if (this.source.startsWith('\r\n', this.pos)) {
+      this.pos += 2;
+      this.line++;
+    } else if (this.source[this.pos] === '\n') {
+      this.pos++;
+      this.line++;
+    }
+  }
+
+  private expectLineEnd(): void {
+    this.skipSpaces();
+    this.skipComment();
+    if (this.pos >= this.source.length) {
+      return;
+    }
+    if (this.source.startsWith('\r\n', this.pos) || this.source[this.pos] === '\n') {
+      return;
+    }
+    throw this.error(`unexpected ${JSON.stringify(this.source[this.pos])} after value`);
+  }
+
+  private expect(char: string): void {
+    if (this.source[this.pos] !== char) {
+      throw this.error(`expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  private peek(offset = 0): string | undefined {
+    return this.source[this.pos + offset];
+  }
+
+  private skipSpaces(): void {
+    while (this.source[this.pos] === ' ' || this.source[this.pos] === '\t') {
+      this.pos++;
+    }
+  }
+
+  private skipComment(): void {
+    if (this.source[this.pos] === '#') {
+      while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+        this.pos++;
+      }
+    }
+  }
+
+  // Whitespace, newlines and comments between statements and inside arrays
+  private skipBlank(): void {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      const char = this.source[this.pos];
+      if (char === '\n') {
+        this.line++;
+        this.pos++;
+      } else if (char === '\r' && this.source[this.pos + 1] === '\n') {
+        this.pos++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  private error(message: string): TomlError {
+    return new TomlError(message, this.line);
+  }
+}
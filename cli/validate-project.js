@@ -1,9 +1,26 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
-export async function validateProject() {
+import { checkCargoManifest, checkRustToolchain } from './cargo-check.js';
+import { COMMANDS_SCHEMA, runCodegen } from './codegen.js';
+import { recordCheck } from './report.js';
+import { runTypesCodegen, TS_TYPES_FILE } from './rust-types.js';
+import { checkStorageLayout, STORAGE_LOCK_FILE } from './storage-layout.js';
+export const REQUIRED_DIRS = [
+    'src',
+    'ts',
+    'ts/src'
+];
+export const REQUIRED_FILES = [
+    'Cargo.toml',
+    'Makefile',
+    'ts/package.json',
+    'ts/tsconfig.json'
+];
+export async function validateProject(options = {}) {
     console.log(chalk.blue('🔍 Validating project structure...\n'));
     const results = {
         success: true,
+        checks: [],
         errors: [],
         warnings: []
     };
@@ -11,44 +28,37 @@ export async function validateProject() {
     await validateProjectStructure(results);
     // Check configuration files
     await validateConfigFiles(results);
+    // Check StorageData layouts against the lockfile
+    await validateStorageLayout(results, options);
     // Check dependencies
     await validateDependencies(results);
+    // Check the pinned Rust toolchain and the WASM target
+    await validateRustToolchain(results);
+    // Check tracked files for committed private keys
+    await validateSecrets(results);
     // Display results
     displayResults(results);
-    if (!results.success) {
-        throw new Error('Project validation failed');
-    }
+    return results;
 }
 async function validateProjectStructure(results) {
     console.log(chalk.blue('📁 Checking project structure...'));
-    const requiredDirs = [
-        'src',
-        'ts',
-        'ts/src'
-    ];
-    const requiredFiles = [
-        'Cargo.toml',
-        'Makefile',
-        'ts/package.json',
-        'ts/tsconfig.json'
-    ];
     // Check directories
-    for (const dir of requiredDirs) {
+    for (const dir of REQUIRED_DIRS) {
         if (!await fs.pathExists(dir)) {
-            results.errors.push(`Missing directory: ${dir}`);
-            results.success = false;
+            recordCheck(results, `structure:${dir}/`, 'fail', `Missing directory: ${dir}`);
         }
         else {
+            recordCheck(results, `structure:${dir}/`, 'pass', `Found directory: ${dir}`);
             console.log(chalk.green(`  ✅ ${dir}/`));
         }
     }
     // Check files
-    for (const file of requiredFiles) {
+    for (const file of REQUIRED_FILES) {
         if (!await fs.pathExists(file)) {
-            results.errors.push(`Missing file: ${file}`);
-            results.success = false;
+            recordCheck(results, `structure:${file}`, 'fail', `Missing file: ${file}`);
         }
         else {
+            recordCheck(results, `structure:${file}`, 'pass', `Found file: ${file}`);
             console.log(chalk.green(`  ✅ ${file}`));
         }
     }
@@ -63,24 +73,16 @@ async function validateConfigFiles(results) {
     await validateTsConfig(results);
     // Validate zkwasm.config.json (optional)
     await validateZkWasmConfig(results);
+    // Validate generated command bindings and state types (optional)
+    await validateCommandBindings(results);
 }
 async function validateCargoToml(results) {
-    try {
-        const cargoContent = await fs.readFile('Cargo.toml', 'utf8');
-        // Basic validation
-        if (!cargoContent.includes('[package]')) {
-            results.errors.push('Cargo.toml missing [package] section');
-            results.success = false;
-        }
-        // Check for crate-type containing "cdylib" (supports multiple types)
-        if (!cargoContent.includes('crate-type') || !cargoContent.includes('"cdylib"')) {
-            results.warnings.push('Cargo.toml should include crate-type with "cdylib" for WASM');
-        }
-        console.log(chalk.green('  ✅ Cargo.toml is valid'));
+    const checks = await checkCargoManifest();
+    for (const check of checks) {
+        recordCheck(results, check.id, check.status, check.message);
     }
-    catch (error) {
-        results.errors.push(`Failed to read Cargo.toml: ${error.message}`);
-        results.success = false;
+    if (checks.every(check => check.status !== 'fail')) {
+        console.log(chalk.green('  ✅ Cargo.toml is valid'));
     }
 }
 async function validatePackageJson(results) {
@@ -88,31 +90,34 @@ async function validatePackageJson(results) {
         const packageJson = await fs.readJson('ts/package.json');
         // Remove name field check - not required for template projects
         if (!packageJson.scripts) {
-            results.warnings.push('package.json missing scripts section');
+            recordCheck(results, 'package-json', 'warn', 'package.json missing scripts section');
+        }
+        else {
+            recordCheck(results, 'package-json', 'pass', 'package.json is valid');
         }
         console.log(chalk.green('  ✅ package.json is valid'));
     }
     catch (error) {
-        results.errors.push(`Failed to read package.json: ${error.message}`);
-        results.success = false;
+        recordCheck(results, 'package-json', 'fail', `Failed to read package.json: ${error.message}`);
     }
 }
 async function validateTsConfig(results) {
     try {
         const tsConfig = await fs.readJson('ts/tsconfig.json');
         if (!tsConfig.compilerOptions) {
-            results.errors.push('tsconfig.json missing compilerOptions');
-            results.success = false;
+            recordCheck(results, 'tsconfig', 'fail', 'tsconfig.json missing compilerOptions');
+        }
+        else {
+            recordCheck(results, 'tsconfig', 'pass', 'tsconfig.json has compilerOptions');
         }
         const target = tsConfig.compilerOptions?.target;
         if (target && !['ES2020', 'ES2021', 'ES2022', 'ESNext', 'ESNEXT'].includes(target)) {
-            results.warnings.push(`tsconfig.json target "${target}" may not be optimal for zkWasm`);
+            recordCheck(results, 'tsconfig-target', 'warn', `tsconfig.json target "${target}" may not be optimal for zkWasm`);
         }
         console.log(chalk.green('  ✅ tsconfig.json is valid'));
     }
     catch (error) {
-        results.errors.push(`Failed to read tsconfig.json: ${error.message}`);
-        results.success = false;
+        recordCheck(results, 'tsconfig', 'fail', `Failed to read tsconfig.json: ${error.message}`);
     }
 }
 async function validateZkWasmConfig(results) {
@@ -120,27 +125,85 @@ async function validateZkWasmConfig(results) {
         try {
             const zkwasmConfig = await fs.readJson('zkwasm.config.json');
             if (!zkwasmConfig.build) {
-                results.warnings.push('zkwasm.config.json missing build section');
+                recordCheck(results, 'zkwasm-config', 'warn', 'zkwasm.config.json missing build section');
+            }
+            else {
+                recordCheck(results, 'zkwasm-config', 'pass', 'zkwasm.config.json is valid');
             }
             console.log(chalk.green('  ✅ zkwasm.config.json is valid'));
         }
         catch (error) {
-            results.errors.push(`Failed to read zkwasm.config.json: ${error.message}`);
-            results.success = false;
+            recordCheck(results, 'zkwasm-config', 'fail', `Failed to read zkwasm.config.json: ${error.message}`);
         }
     }
     else {
-        results.warnings.push('zkwasm.config.json not found (optional)');
+        recordCheck(results, 'zkwasm-config', 'warn', 'zkwasm.config.json not found (optional)');
+    }
+}
+async function validateCommandBindings(results) {
+    if (await fs.pathExists(TS_TYPES_FILE)) {
+        try {
+            const { files } = await runTypesCodegen({ check: true });
+            if (files.some(file => file.status === 'outdated')) {
+                recordCheck(results, 'codegen-types', 'fail', `${TS_TYPES_FILE} does not match the Rust state structs. Run: zkwasm-dapp codegen types`);
+            }
+            else {
+                recordCheck(results, 'codegen-types', 'pass', `${TS_TYPES_FILE} matches the Rust state structs`);
+                console.log(chalk.green(`  ✅ ${TS_TYPES_FILE} matches the Rust state structs`));
+            }
+        }
+        catch (error) {
+            recordCheck(results, 'codegen-types', 'fail', error.message);
+        }
+    }
+    if (!await fs.pathExists(COMMANDS_SCHEMA)) {
+        return;
+    }
+    try {
+        const files = await runCodegen({ check: true });
+        const outdated = files.filter(file => file.status === 'outdated');
+        if (outdated.length > 0) {
+            recordCheck(results, 'codegen', 'fail', `Command bindings out of date: ${outdated.map(file => file.path).join(', ')}. Run: zkwasm-dapp codegen`);
+        }
+        else {
+            recordCheck(results, 'codegen', 'pass', `Command bindings match ${COMMANDS_SCHEMA}`);
+            console.log(chalk.green(`  ✅ Command bindings match ${COMMANDS_SCHEMA}`));
+        }
+    }
+    catch (error) {
+        recordCheck(results, 'codegen', 'fail', error.message);
+    }
+}
+async function validateStorageLayout(results, options) {
+    console.log(chalk.blue('\n🗄️  Checking storage layouts...'));
+    try {
+        const { layouts, checks, lockWritten } = await checkStorageLayout({ update: options.updateStorageLock });
+        if (layouts.length === 0 && checks.length === 0) {
+            console.log(chalk.gray('  No StorageData implementations found'));
+            return;
+        }
+        for (const check of checks) {
+            recordCheck(results, `storage-layout:${check.type}`, check.status, check.message);
+            if (check.status === 'pass') {
+                console.log(chalk.green(`  ✅ ${check.message}`));
+            }
+        }
+        if (lockWritten) {
+            console.log(chalk.gray(`  Updated ${STORAGE_LOCK_FILE}, commit it with the source change`));
+        }
+    }
+    catch (error) {
+        recordCheck(results, 'storage-layout', 'fail', error.message);
     }
 }
 async function validateDependencies(results) {
     console.log(chalk.blue('\n📦 Checking dependencies...'));
     // Check if node_modules exists in ts directory
     if (!await fs.pathExists('ts/node_modules')) {
-        results.errors.push('TypeScript dependencies not installed. Run: cd ts && npm install');
-        results.success = false;
+        recordCheck(results, 'ts-dependencies', 'fail', 'TypeScript dependencies not installed. Run: cd ts && npm install');
     }
     else {
+        recordCheck(results, 'ts-dependencies', 'pass', 'TypeScript dependencies installed');
         console.log(chalk.green('  ✅ TypeScript dependencies installed'));
     }
     // Check if TypeScript compilation works
@@ -158,10 +221,10 @@ async function validateDependencies(results) {
         });
         tscCheck.on('close', (code) => {
             if (code !== 0 || hasErrors) {
-                results.errors.push('TypeScript compilation errors detected');
-                results.success = false;
+                recordCheck(results, 'ts-compile', 'fail', 'TypeScript compilation errors detected');
             }
             else {
+                recordCheck(results, 'ts-compile', 'pass', 'TypeScript compilation check passed');
                 console.log(chalk.green('  ✅ TypeScript compilation check passed'));
             }
         });
@@ -171,9 +234,73 @@ async function validateDependencies(results) {
         });
     }
     catch (error) {
-        results.warnings.push('Could not check TypeScript compilation');
+        recordCheck(results, 'ts-compile', 'warn', 'Could not check TypeScript compilation');
+    }
+}
+async function validateRustToolchain(results) {
+    console.log(chalk.blue('\n🦀 Checking Rust toolchain...'));
+    for (const check of await checkRustToolchain()) {
+        recordCheck(results, check.id, check.status, check.message);
+        if (check.status === 'pass') {
+            console.log(chalk.green(`  ✅ ${check.message}`));
+        }
     }
 }
+async function validateSecrets(results) {
+    console.log(chalk.blue('\n🔐 Scanning tracked files for private keys...'));
+    const trackedFiles = await listTrackedFiles();
+    if (trackedFiles === null) {
+        recordCheck(results, 'secret-scan', 'warn', 'Not a git repository, skipped scanning tracked files for private keys');
+        return;
+    }
+    // 32-byte hex strings are private-key shaped; hashes are recognised by their context
+    const keyPattern = /\b(?:0x)?[0-9a-fA-F]{64}\b/;
+    const hashContext = /sha256|sha-256|checksum|hash|digest|integrity|md5/i;
+    const lockFiles = ['Cargo.lock', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+    const findings = [];
+    for (const file of trackedFiles) {
+        if (lockFiles.includes(file.split('/').pop() || '') || !await fs.pathExists(file)) {
+            continue;
+        }
+        const stats = await fs.stat(file);
+        if (!stats.isFile() || stats.size > 1024 * 1024) {
+            continue;
+        }
+        const content = await fs.readFile(file, 'utf8');
+        if (content.includes('\u0000')) {
+            continue;
+        }
+        content.split('\n').forEach((line, index) => {
+            if (keyPattern.test(line) && !hashContext.test(line)) {
+                findings.push(`${file}:${index + 1}`);
+            }
+        });
+    }
+    if (findings.length === 0) {
+        recordCheck(results, 'secret-scan', 'pass', `No private keys found in ${trackedFiles.length} tracked files`);
+        console.log(chalk.green('  ✅ No private keys found in tracked files'));
+        return;
+    }
+    for (const location of findings) {
+        recordCheck(results, 'secret-scan', 'warn', `Possible private key in tracked file ${location}. Move it to .env or zkwasm-dapp keys`);
+    }
+}
+export async function listTrackedFiles() {
+    const { spawn } = await import('child_process');
+    return new Promise((resolve) => {
+        const git = spawn('git', ['ls-files', '-z'], { stdio: 'pipe' });
+        let output = '';
+        git.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        git.on('close', (code) => {
+            resolve(code === 0 ? output.split('\0').filter(file => file.length > 0) : null);
+        });
+        git.on('error', () => {
+            resolve(null);
+        });
+    });
+}
 function displayResults(results) {
     console.log('\n' + chalk.blue('📋 Validation Summary:'));
     if (results.success) {
@@ -0,0 +1,159 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { buildProject } from './build.js';
+import { readPinnedToolchain } from './cargo-check.js';
+import { getArtifactStatus, SOURCE_FILES } from './build-manifest.js';
+import { queryZkWasmImage } from './check-deployment.js';
+import { getOutputDir, loadConfig, resolveNetwork } from './config.js';
+import { listTrackedFiles } from './validate-project.js';
+
+export interface VerifyOptions {
+  // MD5 of the hub image to verify, defaults to the local build
+  md5?: string;
+  network?: string;
+  profile?: string;
+  keep?: boolean;
+}
+
+export interface VerifyResult {
+  success: boolean;
+  toolchain?: string;
+  profile: string;
+  local?: string;
+  rebuilt: string;
+  hub: {
+    md5?: string;
+    found: boolean;
+    url: string;
+  };
+}
+
+// Generated by the build from ts/node_modules, so it is copied even when untracked
+const ADMIN_KEY = 'src/admin.pubkey';
+
+export async function verifyBuild(options: VerifyOptions = {}): Promise<VerifyResult> {
+  console.log(chalk.blue('🔍 Verifying reproducible build...\n'));
+
+  const config = await loadConfig();
+  const network = await resolveNetwork(options.network, config);
+  const status = await getArtifactStatus(getOutputDir(config));
+  const profile = options.profile || status.manifest?.profile || 'production';
+  const toolchain = await readPinnedToolchain('.');
+
+  if (toolchain) {
+    console.log(chalk.gray(`Pinned toolchain: ${toolchain}`));
+  } else {
+    console.log(chalk.yellow('⚠️  No rust-toolchain file found, the rebuild uses the default toolchain and may not be reproducible'));
+  }
+  if (status.manifest?.git.dirty) {
+    console.log(chalk.yellow('⚠️  Local artifacts were built from a tree with uncommitted changes'));
+  }
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zkwasm-verify-'));
+  let rebuilt: string;
+
+  try {
+    const copied = await copySources(tempDir);
+    console.log(chalk.gray(`Copied ${copied} source files to ${tempDir}\n`));
+
+    // The copied rust-toolchain file pins the toolchain for rustup inside the temp copy
+    const build = await buildProject({
+      cwd: tempDir,
+      profile,
+      outputDir: path.join(tempDir, 'verify-artifacts'),
+      skipInstall: true
+    });
+    rebuilt = build.md5;
+  } finally {
+    if (options.keep) {
+      console.log(chalk.gray(`\nRebuild kept in ${tempDir}`));
+    } else {
+      await fs.remove(tempDir);
+    }
+  }
+
+  const expected = (options.md5 || status.md5 || '').toUpperCase() || undefined;
+  const hubImage = expected ? await queryZkWasmImage(network.hubUrl, expected) : null;
+
+  const result: VerifyResult = {
+    success: false,
+    toolchain,
+    profile,
+    local: status.md5,
+    rebuilt,
+    hub: { md5: hubImage?.md5?.toUpperCase() ?? expected, found: Boolean(hubImage), url: network.hubUrl }
+  };
+
+  const localMatches = !result.local || result.local === rebuilt;
+  const hubMatches = result.hub.found && result.hub.md5 === rebuilt;
+  result.success = localMatches && hubMatches;
+
+  console.log('\n' + chalk.blue('📋 Verification Summary:'));
+  printHash('Rebuilt', rebuilt, true);
+  printHash('Local artifacts', result.local ?? 'not built', localMatches);
+  printHash(
+    `Hub image (${network.name})`,
+    result.hub.found ? result.hub.md5 as string : `${expected ?? 'no md5'} not found on ${network.hubUrl}`,
+    hubMatches
+  );
+
+  if (result.success) {
+    console.log(chalk.green('\n✅ Verification passed: the hub image matches a clean build of the sources'));
+  } else {
+    console.log(chalk.red('\n❌ Verification failed: hashes differ'));
+    if (!localMatches) {
+      console.log(chalk.yellow('   Local artifacts do not match the sources, rebuild with: zkwasm-dapp build'));
+    }
+    if (!result.hub.found) {
+      console.log(chalk.yellow('   Image not registered on the hub, publish it with: zkwasm-dapp publish'));
+    }
+  }
+
+  return result;
+}
+
+// Copies the Rust build inputs; inside a git repository only tracked files are used
+async function copySources(tempDir: string): Promise<number> {
+  const isInput = (file: string) => file.startsWith('src/') || SOURCE_FILES.includes(file);
+  const tracked = await listTrackedFiles();
+  const files = tracked
+    ? tracked.filter(isInput)
+    : [...await listDir('src'), ...SOURCE_FILES];
+
+  if (!files.includes(ADMIN_KEY)) {
+    files.push(ADMIN_KEY);
+  }
+
+  let copied = 0;
+  for (const file of files) {
+    if (await fs.pathExists(file)) {
+      await fs.copy(file, path.join(tempDir, file));
+      copied++;
+    }
+  }
+  return copied;
+}
+
+async function listDir(dir: string): Promise<string[]> {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+
+  const files: string[] = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...await listDir(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function printHash(label: string, value: string, ok: boolean): void {
+  const icon = ok ? chalk.green('✅') : chalk.red('❌');
+  console.log(`${icon} ${label.padEnd(28)} ${value}`);
+}
@@ -0,0 +1,173 @@
+import { formatFunctionName, WASM_PAGE_SIZE, WasmImport, WasmModule } from './wasm-parser.js';
+import { CheckStatus } from './report.js';
+
+export interface WasmAnalysisOptions {
+  // Extra imports the target runtime provides, as "name" or "module.name"
+  allowedImports?: string[];
+  maxMemoryPages?: number;
+}
+
+export interface WasmFinding {
+  id: string;
+  status: CheckStatus;
+  message: string;
+}
+
+// Exports generated by zkwasm_rest_abi::create_zkwasm_apis!
+export const REQUIRED_EXPORTS = [
+  'zkmain',
+  'initialize',
+  'handle_tx',
+  'get_state',
+  'snapshot',
+  'query_root',
+  'finalize',
+  'preempt',
+  'verify_tx_signature'
+];
+
+// Host functions of the zkWasm runtime, imported from "env" by zkwasm-rust-sdk
+export const ZKWASM_HOST_IMPORTS = [
+  'wasm_input',
+  'wasm_output',
+  'wasm_read_context',
+  'wasm_write_context',
+  'wasm_trace_size',
+  'wasm_dbg',
+  'wasm_dbg_char',
+  'require'
+];
+
+const ZKWASM_HOST_PREFIXES = [
+  'babyjubjub_',
+  'bn254_',
+  'bls381_',
+  'cache_',
+  'keccak_',
+  'kvpair_',
+  'merkle_',
+  'poseidon_',
+  'sha256_',
+  'wasm_witness_'
+];
+
+// wasm-bindgen glue that template builds import from ./application_bg.js; only the JS glue provides
+// them, so the service runs but the zkWasm runtime would trap if they are reached
+export const WASM_BINDGEN_GLUE_IMPORTS = [
+  '__wbindgen_throw',
+  '__wbindgen_init_externref_table'
+];
+
+// Configurable through build.maxMemoryPages in zkwasm.config.json
+export const DEFAULT_MAX_MEMORY_PAGES = 1024;
+
+const MAX_LISTED = 5;
+
+export function analyzeWasm(module: WasmModule, options: WasmAnalysisOptions = {}): WasmFinding[] {
+  return [
+    checkExports(module),
+    checkImports(module, options.allowedImports ?? []),
+    checkFloatingPoint(module),
+    checkMemory(module, options.maxMemoryPages ?? DEFAULT_MAX_MEMORY_PAGES)
+  ];
+}
+
+export function isHostImport(entry: WasmImport, allowedImports: string[] = []): boolean {
+  if (allowedImports.includes(entry.name) || allowedImports.includes(`${entry.module}.${entry.name}`)) {
+    return true;
+  }
+  return entry.module === 'env' && entry.kind === 'function'
+    && (ZKWASM_HOST_IMPORTS.includes(entry.name) || ZKWASM_HOST_PREFIXES.some(prefix => entry.name.startsWith(prefix)));
+}
+
+function checkExports(module: WasmModule): WasmFinding {
+  const exported = new Set(module.exports.filter(entry => entry.kind === 'function').map(entry => entry.name));
+  const missing = REQUIRED_EXPORTS.filter(name => !exported.has(name));
+
+  if (missing.length > 0) {
+    return {
+      id: 'wasm-exports',
+      status: 'fail',
+      message: `Missing exports from create_zkwasm_apis!: ${missing.join(', ')}`
+    };
+  }
+  return { id: 'wasm-exports', status: 'pass', message: `All ${REQUIRED_EXPORTS.length} zkWasm API exports present` };
+}
+
+function checkImports(module: WasmModule, allowedImports: string[]): WasmFinding {
+  const unsupported = module.imports.filter(entry => !isHostImport(entry, allowedImports));
+  const glue = unsupported.filter(entry => entry.kind === 'function' && WASM_BINDGEN_GLUE_IMPORTS.includes(entry.name));
+  const foreign = unsupported.filter(entry => !glue.includes(entry));
+
+  if (foreign.length > 0) {
+    const names = foreign.map(entry => `${entry.module}.${entry.name}`);
+    return {
+      id: 'wasm-imports',
+      status: 'fail',
+      message: `Imports the zkWasm runtime cannot satisfy: ${listNames(names)}`
+    };
+  }
+  if (glue.length > 0) {
+    return {
+      id: 'wasm-imports',
+      status: 'warn',
+      message: `wasm-bindgen glue imports only the JS glue provides, the zkWasm runtime traps if they are reached: ${listNames(glue.map(entry => entry.name))}`
+    };
+  }
+  return { id: 'wasm-imports', status: 'pass', message: `${module.imports.length} imports, all provided by the zkWasm runtime` };
+}
+
+function checkFloatingPoint(module: WasmModule): WasmFinding {
+  const simd = module.functions.filter(fn => fn.usesSimd);
+  if (simd.length > 0) {
+    return {
+      id: 'wasm-float',
+      status: 'fail',
+      message: `SIMD instructions are not supported, used in ${listNames(simd.map(formatFunctionName))}`
+    };
+  }
+
+  const floating = module.functions.filter(fn => fn.floatOps.length > 0);
+  if (floating.length > 0) {
+    const details = floating.map(fn => `${formatFunctionName(fn)} (${fn.floatOps.slice(0, 3).join(', ')})`);
+    return {
+      id: 'wasm-float',
+      status: 'fail',
+      message: `Floating-point instructions are not supported, used in ${floating.length} function${floating.length === 1 ? '' : 's'}: ${listNames(details)}`
+    };
+  }
+  return { id: 'wasm-float', status: 'pass', message: 'No floating-point instructions' };
+}
+
+function checkMemory(module: WasmModule, maxPages: number): WasmFinding {
+  if (module.memories.length === 0) {
+    return { id: 'wasm-memory', status: 'fail', message: 'No memory section, the module must define its memory' };
+  }
+
+  const memory = module.memories[0];
+  const size = formatPages(memory.min);
+
+  if (memory.imported) {
+    return { id: 'wasm-memory', status: 'fail', message: 'Memory is imported, the module must define its own memory' };
+  }
+  if (memory.shared || memory.memory64) {
+    return { id: 'wasm-memory', status: 'fail', message: 'Shared and 64-bit memories are not supported' };
+  }
+  if (memory.min > maxPages) {
+    return {
+      id: 'wasm-memory',
+      status: 'fail',
+      message: `Initial memory ${size} exceeds the limit of ${formatPages(maxPages)}`
+    };
+  }
+  return { id: 'wasm-memory', status: 'pass', message: `Initial memory ${size}, limit ${formatPages(maxPages)}` };
+}
+
+function formatPages(pages: number): string {
+  return `${pages} pages (${(pages * WASM_PAGE_SIZE / 1024 / 1024).toFixed(1)} MB)`;
+}
+
+function listNames(names: string[]): string {
+  const listed = names.slice(0, MAX_LISTED).join(', ');
+  return names.length > MAX_LISTED ? `${listed} and ${names.length - MAX_LISTED} more` : listed;
+}
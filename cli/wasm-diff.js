@@ -0,0 +1,197 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { PREVIOUS_BUILD_DIR, MANIFEST_FILE, WASM_ARTIFACT } from './build-manifest.js';
+import { getOutputDir, loadConfig } from './config.js';
+import { formatFunctionName, parseWasm } from './wasm-parser.js';
+import { formatBytes } from './wasm-size.js';
+export async function runDiff(a, b, options = {}) {
+    const config = await loadConfig();
+    const current = path.join(getOutputDir(config), WASM_ARTIFACT);
+    const previous = path.join(PREVIOUS_BUILD_DIR, path.basename(WASM_ARTIFACT));
+    // No arguments: previous build against current; one argument: that file against current
+    const before = a && b ? a : (a || previous);
+    const after = a && b ? b : current;
+    for (const file of [before, after]) {
+        if (!await fs.pathExists(file)) {
+            throw new Error(file === previous
+                ? 'No previous build found. Run zkwasm-dapp build after a change, or pass two files: zkwasm-dapp diff <a.wasm> <b.wasm>'
+                : `WASM file not found: ${file}`);
+        }
+    }
+    const diff = diffWasm(await loadModule(before), await loadModule(after));
+    if (options.json) {
+        console.log(JSON.stringify(diff, null, 2));
+    }
+    else {
+        if (before === previous) {
+            await printPreviousManifest();
+        }
+        printDiff(diff);
+    }
+    return diff;
+}
+async function loadModule(file) {
+    const bytes = await fs.readFile(file);
+    try {
+        return {
+            file,
+            md5: crypto.createHash('md5').update(bytes).digest('hex').toUpperCase(),
+            module: parseWasm(bytes)
+        };
+    }
+    catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+export function diffWasm(a, b) {
+    const diff = {
+        a: { file: a.file, md5: a.md5, size: a.module.size },
+        b: { file: b.file, md5: b.md5, size: b.module.size },
+        identical: a.md5 === b.md5,
+        sections: diffSizes(sectionSizes(a.module), sectionSizes(b.module)),
+        functions: { added: [], removed: [], resized: [] },
+        imports: diffNames(a.module.imports.map(entry => `${entry.module}.${entry.name}`), b.module.imports.map(entry => `${entry.module}.${entry.name}`)),
+        exports: diffNames(a.module.exports.map(entry => entry.name), b.module.exports.map(entry => entry.name)),
+        dataSegments: diffDataSegments(a.module, b.module)
+    };
+    // Functions are matched by name; without a name section, func[index] only matches by position
+    const before = functionSizes(a.module);
+    const after = functionSizes(b.module);
+    for (const [name, size] of after) {
+        if (!before.has(name)) {
+            diff.functions.added.push({ name, size });
+        }
+    }
+    for (const [name, size] of before) {
+        if (!after.has(name)) {
+            diff.functions.removed.push({ name, size });
+        }
+    }
+    diff.functions.resized = diffSizes(before, after).filter(change => before.has(change.name) && after.has(change.name));
+    diff.functions.added.sort((x, y) => y.size - x.size);
+    diff.functions.removed.sort((x, y) => y.size - x.size);
+    return diff;
+}
+function sectionSizes(module) {
+    const sizes = new Map();
+    for (const section of module.sections) {
+        const name = section.id === 0 ? `custom:${section.name}` : section.name;
+        sizes.set(name, (sizes.get(name) ?? 0) + section.size);
+    }
+    return sizes;
+}
+function functionSizes(module) {
+    const sizes = new Map();
+    for (const fn of module.functions) {
+        const name = formatFunctionName(fn);
+        // Duplicate names (e.g. monomorphized generics) are summed
+        sizes.set(name, (sizes.get(name) ?? 0) + fn.bodySize);
+    }
+    return sizes;
+}
+// Entries present on both sides whose size changed, plus entries only present on one side
+function diffSizes(before, after) {
+    const names = new Set([...before.keys(), ...after.keys()]);
+    const changes = [];
+    for (const name of names) {
+        const a = before.get(name) ?? 0;
+        const b = after.get(name) ?? 0;
+        if (a !== b) {
+            changes.push({ name, before: a, after: b, delta: b - a });
+        }
+    }
+    return changes.sort((x, y) => Math.abs(y.delta) - Math.abs(x.delta));
+}
+function diffNames(before, after) {
+    return {
+        added: after.filter(name => !before.includes(name)),
+        removed: before.filter(name => !after.includes(name))
+    };
+}
+function diffDataSegments(a, b) {
+    const changes = [];
+    const count = Math.max(a.dataSegments.length, b.dataSegments.length);
+    for (let index = 0; index < count; index++) {
+        const before = a.dataSegments[index];
+        const after = b.dataSegments[index];
+        const describe = (segment) => ({ offset: segment.offset, size: segment.bytes.length });
+        if (!before) {
+            changes.push({ index, change: 'added', after: describe(after) });
+        }
+        else if (!after) {
+            changes.push({ index, change: 'removed', before: describe(before) });
+        }
+        else if (before.bytes.length !== after.bytes.length) {
+            changes.push({ index, change: 'resized', before: describe(before), after: describe(after) });
+        }
+        else if (before.offset !== after.offset) {
+            changes.push({ index, change: 'moved', before: describe(before), after: describe(after) });
+        }
+        else if (!Buffer.from(before.bytes).equals(Buffer.from(after.bytes))) {
+            changes.push({ index, change: 'content', before: describe(before), after: describe(after) });
+        }
+    }
+    return changes;
+}
+async function printPreviousManifest() {
+    const manifestPath = path.join(PREVIOUS_BUILD_DIR, MANIFEST_FILE);
+    if (!await fs.pathExists(manifestPath)) {
+        return;
+    }
+    const manifest = await fs.readJson(manifestPath);
+    const commit = manifest.git.commit ? `, commit ${manifest.git.commit.slice(0, 8)}${manifest.git.dirty ? ' (dirty)' : ''}` : '';
+    console.log(chalk.gray(`Previous build: ${manifest.profile} build from ${manifest.builtAt}${commit}\n`));
+}
+function printDiff(diff) {
+    console.log(chalk.blue(`🔍 ${diff.a.file} → ${diff.b.file}\n`));
+    console.log(`  MD5:  ${diff.a.md5} → ${diff.b.md5}`);
+    console.log(`  Size: ${formatBytes(diff.a.size)} → ${formatBytes(diff.b.size)} ${formatDelta(diff.b.size - diff.a.size)}`);
+    if (diff.identical) {
+        console.log(chalk.green('\n✅ Images are identical'));
+        return;
+    }
+    if (diff.sections.length > 0) {
+        console.log(chalk.blue('\nSections:'));
+        for (const change of diff.sections) {
+            console.log(`  ${change.name.padEnd(24)} ${formatBytes(change.before).padStart(12)} → ${formatBytes(change.after).padStart(12)} ${formatDelta(change.delta)}`);
+        }
+    }
+    const { added, removed, resized } = diff.functions;
+    if (added.length + removed.length + resized.length > 0) {
+        console.log(chalk.blue(`\nFunctions: ${added.length} added, ${removed.length} removed, ${resized.length} resized`));
+        added.forEach(fn => console.log(chalk.green(`  + ${fn.name} (${formatBytes(fn.size)})`)));
+        removed.forEach(fn => console.log(chalk.red(`  - ${fn.name} (${formatBytes(fn.size)})`)));
+        resized.forEach(fn => console.log(`  ~ ${fn.name} ${formatBytes(fn.before)} → ${formatBytes(fn.after)} ${formatDelta(fn.delta)}`));
+    }
+    printNameChanges('Imports', diff.imports);
+    printNameChanges('Exports', diff.exports);
+    if (diff.dataSegments.length > 0) {
+        console.log(chalk.blue('\nData segments:'));
+        for (const change of diff.dataSegments) {
+            const before = change.before ? `${formatBytes(change.before.size)} at ${formatOffset(change.before.offset)}` : '-';
+            const after = change.after ? `${formatBytes(change.after.size)} at ${formatOffset(change.after.offset)}` : '-';
+            console.log(`  #${change.index} ${change.change.padEnd(8)} ${before} → ${after}`);
+        }
+    }
+}
+function printNameChanges(title, changes) {
+    if (changes.added.length + changes.removed.length === 0) {
+        return;
+    }
+    console.log(chalk.blue(`\n${title}:`));
+    changes.added.forEach(name => console.log(chalk.green(`  + ${name}`)));
+    changes.removed.forEach(name => console.log(chalk.red(`  - ${name}`)));
+}
+function formatDelta(delta) {
+    if (delta === 0) {
+        return chalk.gray('(±0)');
+    }
+    const text = `(${delta > 0 ? '+' : '-'}${formatBytes(Math.abs(delta))})`;
+    return delta > 0 ? chalk.red(text) : chalk.green(text);
+}
+function formatOffset(offset) {
+    return offset === undefined ? 'dynamic offset' : `0x${offset.toString(16)}`;
+}
+//# sourceMappingURL=wasm-diff.js.map
\ No newline at end of file
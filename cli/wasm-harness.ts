@@ -0,0 +1,503 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { COMMANDS_SCHEMA, CommandSchema, encodeCommand, loadCommandSchema } from './codegen.js';
+
+export type Word4 = [bigint, bigint, bigint, bigint];
+
+export interface HarnessOptions {
+  // Defaults to build-artifacts/application/application_bg.wasm
+  wasm?: string;
+  // Enables command() and installPlayer(); defaults to zkwasm.commands.json when it exists
+  schema?: string | CommandSchema;
+  cwd?: string;
+  // Merkle root passed to initialize(), all zero by default
+  root?: Word4;
+  // Receives each line printed with zkwasm_rust_sdk::dbg!
+  log?: (line: string) => void;
+  encodeTransaction?: (command: BigUint64Array, pkey: Word4, rand: Word4) => BigUint64Array;
+}
+
+export interface TxResult {
+  // 0 on success, otherwise the error code returned by Transaction::process
+  code: number;
+  error: string | null;
+  output: bigint[];
+}
+
+export class HarnessError extends Error {
+  constructor(public readonly reason: string, public readonly logs: string[] = []) {
+    super(logs.length > 0 ? `${reason}\n  Last debug output:\n    ${logs.join('\n    ')}` : reason);
+    this.name = 'HarnessError';
+  }
+}
+
+export const DEFAULT_HARNESS_WASM = 'build-artifacts/application/application_bg.wasm';
+
+// Player key used for autoticks, the sequencer signs them with the admin key
+export const ADMIN_KEY: Word4 = [0n, 0n, 0n, 0n];
+
+const ZERO: Word4 = [0n, 0n, 0n, 0n];
+const LOG_TAIL = 10;
+
+// [command words, pkx (4), pky (4), signature (12)] as sent by zkwasm-ts-server; rand fills every
+// signature group, so process() receives it whichever group zkwasm-rest-abi passes on
+function defaultEncodeTransaction(command: BigUint64Array, pkey: Word4, rand: Word4): BigUint64Array {
+  return new BigUint64Array([...command, ...pkey, ...ZERO, ...rand, ...rand, ...rand]);
+}
+
+export async function loadWasmHarness(options: HarnessOptions = {}): Promise<WasmHarness> {
+  const cwd = path.resolve(options.cwd || '.');
+  const wasmPath = path.resolve(cwd, options.wasm || DEFAULT_HARNESS_WASM);
+
+  if (!await fs.pathExists(wasmPath)) {
+    throw new Error(`${path.relative(process.cwd(), wasmPath)} not found. Run: zkwasm-dapp build`);
+  }
+
+  let schema: CommandSchema | null = null;
+  if (typeof options.schema === 'object') {
+    schema = options.schema;
+  } else {
+    const schemaPath = path.resolve(cwd, options.schema || COMMANDS_SCHEMA);
+    if (options.schema || await fs.pathExists(schemaPath)) {
+      schema = await loadCommandSchema(schemaPath);
+    }
+  }
+
+  const module = await WebAssembly.compile(await fs.readFile(wasmPath));
+  const harness = new WasmHarness(module, schema, options);
+  harness.initialize(options.root ?? ZERO);
+  return harness;
+}
+
+// Runs the application WASM directly, with in-memory stand-ins for the zkWasm host functions.
+// Hashes are not Poseidon, so roots differ from the real service; state and results do not.
+export class WasmHarness {
+  readonly host: MockHost;
+  private readonly exports: Record<string, any>;
+  private readonly encodeTransaction: NonNullable<HarnessOptions['encodeTransaction']>;
+
+  constructor(module: WebAssembly.Module, private readonly schema: CommandSchema | null, options: HarnessOptions = {}) {
+    this.host = new MockHost(options.log);
+    this.encodeTransaction = options.encodeTransaction ?? defaultEncodeTransaction;
+
+    const imports: Record<string, Record<string, Function>> = {};
+    const hostFunctions = this.host.functions();
+    const bindgenFunctions = this.bindgenFunctions();
+    for (const entry of WebAssembly.Module.imports(module)) {
+      if (entry.kind !== 'function') {
+        continue;
+      }
+      imports[entry.module] ??= {};
+      imports[entry.module][entry.name] = hostFunctions[entry.name] ?? bindgenFunctions[entry.name] ?? (() => {
+        throw new HarnessError(`Host function ${entry.module}.${entry.name} is not emulated by the harness`);
+      });
+    }
+
+    const instance = new WebAssembly.Instance(module, imports as WebAssembly.Imports);
+    this.exports = instance.exports as Record<string, any>;
+    if (typeof this.exports.__wbindgen_start === 'function') {
+      this.exports.__wbindgen_start();
+    }
+  }
+
+  get logs(): string[] {
+    return this.host.logs;
+  }
+
+  initialize(root: Word4): void {
+    if (this.has('initialize')) {
+      this.invoke('initialize', () => this.exports.initialize(...this.passWords(root)));
+    }
+  }
+
+  // Sends raw command words, e.g. the output of the generated encode* functions
+  send(command: ArrayLike<bigint>, pkey: Word4, rand: Word4 = ZERO): TxResult {
+    const params = this.encodeTransaction(BigUint64Array.from(command), pkey, rand);
+    const output = this.invoke('handle_tx', () => {
+      const fn = this.exports.handle_tx;
+      const args = this.passWords(params);
+      if (this.returnsPair(fn, args.length)) {
+        return this.readWords(this.callPair('handle_tx', args));
+      }
+      const result = fn(...args);
+      // Older ABIs return the error code as u32 instead of a Vec<u64>
+      return Array.isArray(result) ? this.readWords([result[0] >>> 0, result[1] >>> 0]) : [BigInt(result >>> 0)];
+    });
+
+    const code = Number(output[0] ?? 0n);
+    return { code, error: code === 0 ? null : this.decodeError(code), output };
+  }
+
+  // Sends a command from zkwasm.commands.json by name
+  command(name: string, pkey: Word4, args: (bigint | number | boolean)[] = [], nonce = 0n): TxResult {
+    if (!this.schema) {
+      throw new HarnessError(`No ${COMMANDS_SCHEMA} loaded, use send() with encoded commands`);
+    }
+    const command = this.schema.commands.find(entry => entry.name === name);
+    if (!command) {
+      throw new HarnessError(`Unknown command ${name}, expected one of: ${this.schema.commands.map(entry => entry.name).join(', ')}`);
+    }
+    return this.send(encodeCommand(command, nonce, args), pkey);
+  }
+
+  installPlayer(pkey: Word4): TxResult {
+    return this.command('install_player', pkey);
+  }
+
+  // Command 0, issued by the sequencer between transactions
+  tick(): TxResult {
+    return this.send([0n, 0n, 0n, 0n], ADMIN_KEY);
+  }
+
+  getState<T = any>(pkey: Word4): T {
+    return JSON.parse(this.callString('get_state', this.passWords(pkey)));
+  }
+
+  snapshot<T = any>(): T {
+    return JSON.parse(this.callString('snapshot', []));
+  }
+
+  config<T = any>(): T {
+    return JSON.parse(this.callString('get_config', []));
+  }
+
+  decodeError(code: number): string {
+    return this.has('decode_error') ? this.callString('decode_error', [code]) : `Error ${code}`;
+  }
+
+  preempt(): boolean {
+    return this.invoke('preempt', () => this.exports.preempt() !== 0);
+  }
+
+  // Settlement data flushed at the end of a bundle
+  finalize(): bigint[] {
+    return this.invoke('finalize', () => this.readWords(this.callPair('finalize', [])));
+  }
+
+  has(name: string): boolean {
+    return typeof this.exports[name] === 'function';
+  }
+
+  private invoke<T>(name: string, fn: () => T): T {
+    if (!this.has(name)) {
+      throw new HarnessError(`The WASM does not export ${name}`);
+    }
+    try {
+      return fn();
+    } catch (error) {
+      if (error instanceof HarnessError) {
+        throw new HarnessError(`${name}: ${error.reason}`, error.logs.length > 0 ? error.logs : this.host.logs.slice(-LOG_TAIL));
+      }
+      // A trap leaves the Rust globals in an unknown state, load a new harness afterwards
+      throw new HarnessError(`${name} trapped: ${(error as Error).message}`, this.host.logs.slice(-LOG_TAIL));
+    }
+  }
+
+  private get memory(): WebAssembly.Memory {
+    return this.exports.memory;
+  }
+
+  private passWords(words: ArrayLike<bigint>): [number, number] {
+    const ptr = this.exports.__wbindgen_malloc(words.length * 8, 8) >>> 0;
+    new BigUint64Array(this.memory.buffer, ptr, words.length).set(Array.from(words));
+    return [ptr, words.length];
+  }
+
+  private readWords([ptr, len]: [number, number]): bigint[] {
+    const words = Array.from(new BigUint64Array(this.memory.buffer, ptr, len));
+    this.exports.__wbindgen_free(ptr, len * 8, 8);
+    return words;
+  }
+
+  private callString(name: string, args: number[]): string {
+    return this.invoke(name, () => {
+      const [ptr, len] = this.callPair(name, args);
+      const text = new TextDecoder().decode(new Uint8Array(this.memory.buffer, ptr, len));
+      this.exports.__wbindgen_free(ptr, len, 1);
+      return text;
+    });
+  }
+
+  // Strings and vectors come back through a return pointer (older wasm-bindgen) or as two values
+  private callPair(name: string, args: number[]): [number, number] {
+    const fn = this.exports[name];
+    if (!this.returnsPair(fn, args.length)) {
+      const result = fn(...args);
+      if (!Array.isArray(result)) {
+        throw new HarnessError(`Unsupported wasm-bindgen ABI for ${name}`);
+      }
+      return [result[0] >>> 0, result[1] >>> 0];
+    }
+
+    const retptr = this.exports.__wbindgen_add_to_stack_pointer(-16);
+    try {
+      fn(retptr, ...args);
+      const view = new Int32Array(this.memory.buffer);
+      return [view[retptr / 4] >>> 0, view[retptr / 4 + 1] >>> 0];
+    } finally {
+      this.exports.__wbindgen_add_to_stack_pointer(16);
+    }
+  }
+
+  private returnsPair(fn: Function, argCount: number): boolean {
+    return fn.length === argCount + 1 && typeof this.exports.__wbindgen_add_to_stack_pointer === 'function';
+  }
+
+  // Imports of the wasm-bindgen JS glue that the exports used here can reach
+  private bindgenFunctions(): Record<string, Function> {
+    return {
+      __wbindgen_throw: (ptr: number, len: number) => {
+        throw new HarnessError(new TextDecoder().decode(new Uint8Array(this.memory.buffer, ptr, len)));
+      },
+      __wbindgen_init_externref_table: () => {
+        const table = Object.values(this.exports).find(value => value instanceof WebAssembly.Table) as WebAssembly.Table | undefined;
+        if (table) {
+          const offset = table.grow(4);
+          table.set(0, undefined);
+          [undefined, null, true, false].forEach((value, index) => table.set(offset + index, value));
+        }
+      }
+    };
+  }
+}
+
+interface MerkleLeaf {
+  hash: Word4;
+  data: bigint[];
+}
+
+// Leaves of every root stay readable; the latest root is kept as a map, older ones are
+// reached through the chain of updates that produced them
+class MockMerkle {
+  private readonly updates = new Map<string, { parent: string; index: bigint; leaf: MerkleLeaf }>();
+  private latest = { root: '', leaves: new Map<bigint, MerkleLeaf>() };
+
+  get(root: Word4, index: bigint): MerkleLeaf | undefined {
+    const key = root.join(',');
+    if (key === this.latest.root) {
+      return this.latest.leaves.get(index);
+    }
+    for (let update = this.updates.get(key); update; update = this.updates.get(update.parent)) {
+      if (update.index === index) {
+        return update.leaf;
+      }
+    }
+    return undefined;
+  }
+
+  set(root: Word4, index: bigint, leaf: MerkleLeaf): Word4 {
+    const key = root.join(',');
+    if (key !== this.latest.root) {
+      this.latest = { root: key, leaves: this.collect(key) };
+    }
+    const next = hashWords([...root, index, ...leaf.hash]);
+    this.updates.set(next.join(','), { parent: key, index, leaf });
+    this.latest.root = next.join(',');
+    this.latest.leaves.set(index, leaf);
+    return next;
+  }
+
+  private collect(key: string): Map<bigint, MerkleLeaf> {
+    const leaves = new Map<bigint, MerkleLeaf>();
+    for (let update = this.updates.get(key); update; update = this.updates.get(update.parent)) {
+      if (!leaves.has(update.index)) {
+        leaves.set(update.index, update.leaf);
+      }
+    }
+    return leaves;
+  }
+}
+
+// In-memory zkWasm host: inputs and outputs, debug output, merkle tree, data cache, hasher and witness
+export class MockHost {
+  readonly logs: string[] = [];
+  readonly outputs: bigint[] = [];
+  publicInputs: bigint[] = [];
+  privateInputs: bigint[] = [];
+  context: bigint[] = [];
+  readonly writtenContext: bigint[] = [];
+
+  private line = '';
+  private readonly merkle = new MockMerkle();
+  private merkleRoot: Word4 = [...ZERO];
+  private merkleAddress = 0n;
+  private rootInput: bigint[] = [];
+  private leafInput: bigint[] = [];
+  private leafData: bigint[] = [];
+  private readCursor = 0;
+  private rootCursor = 0;
+  private fetchQueue: bigint[] | null = null;
+
+  private hashInput: bigint[] = [];
+  private hashOutput: bigint[] = [];
+
+  private readonly cache = new Map<string, bigint[]>();
+  private cacheMode = 0n;
+  private cacheKey: bigint[] = [];
+  private cacheData: bigint[] = [];
+  private cacheQueue: bigint[] = [];
+
+  private readonly witness: bigint[] = [];
+  private readonly indexedWitness = new Map<bigint, bigint[]>();
+  private witnessIndex = 0n;
+
+  constructor(private readonly log?: (line: string) => void) {}
+
+  functions(): Record<string, Function> {
+    return {
+      wasm_input: (isPublic: number) => this.input(isPublic ? this.publicInputs : this.privateInputs, isPublic ? 'public' : 'private'),
+      wasm_output: (value: bigint) => {
+        this.outputs.push(value);
+      },
+      wasm_read_context: () => this.context.shift() ?? 0n,
+      wasm_write_context: (value: bigint) => {
+        this.writtenContext.push(value);
+      },
+      wasm_trace_size: () => 0n,
+      require: (condition: number) => {
+        if (!condition) {
+          throw new HarnessError('require() failed');
+        }
+      },
+      wasm_dbg: (value: bigint) => this.print(`dbg: ${value}`),
+      wasm_dbg_char: (value: bigint) => {
+        const char = String.fromCharCode(Number(value & 0xffn));
+        if (char === '\n') {
+          this.print(this.line);
+          this.line = '';
+        } else {
+          this.line += char;
+        }
+      },
+
+      merkle_setroot: (value: bigint) => {
+        this.rootInput.push(value);
+        if (this.rootInput.length === 4) {
+          this.merkleRoot = this.rootInput as Word4;
+          this.rootInput = [];
+          this.readCursor = 0;
+          this.rootCursor = 0;
+        }
+      },
+      merkle_getroot: () => this.merkleRoot[this.rootCursor++ % 4],
+      merkle_address: (index: bigint) => {
+        this.merkleAddress = index;
+        this.readCursor = 0;
+        this.rootCursor = 0;
+        this.fetchQueue = null;
+      },
+      merkle_set: (value: bigint) => {
+        this.leafInput.push(value);
+        if (this.leafInput.length === 4) {
+          const leaf = { hash: this.leafInput as Word4, data: this.leafData };
+          this.merkleRoot = this.merkle.set(this.merkleRoot, this.merkleAddress, leaf);
+          this.leafInput = [];
+          this.leafData = [];
+          this.rootCursor = 0;
+        }
+      },
+      merkle_get: () => (this.merkle.get(this.merkleRoot, this.merkleAddress)?.hash ?? ZERO)[this.readCursor++ % 4],
+      merkle_put_data: (value: bigint) => {
+        this.leafData.push(value);
+      },
+      // The first call returns the length of the leaf data, the following ones the data
+      merkle_fetch_data: () => {
+        if (this.fetchQueue === null) {
+          const data = this.merkle.get(this.merkleRoot, this.merkleAddress)?.data ?? [];
+          this.fetchQueue = [BigInt(data.length), ...data];
+        }
+        return this.fetchQueue.shift() ?? 0n;
+      },
+
+      poseidon_new: (fresh: bigint) => {
+        if (fresh !== 0n) {
+          this.hashInput = [];
+        }
+        this.hashOutput = [];
+      },
+      poseidon_push: (value: bigint) => {
+        this.hashInput.push(value);
+      },
+      poseidon_finalize: () => {
+        if (this.hashOutput.length === 0) {
+          this.hashOutput = hashWords(this.hashInput);
+        }
+        return this.hashOutput.shift()!;
+      },
+
+      // Mode 1 stores the pushed data under the hash, mode 0 fetches it: length first, then the data
+      cache_set_mode: (mode: bigint) => {
+        this.cacheMode = mode;
+        this.cacheKey = [];
+        this.cacheData = [];
+        this.cacheQueue = [];
+      },
+      cache_set_hash: (value: bigint) => {
+        this.cacheKey.push(value);
+        if (this.cacheKey.length !== 4) {
+          return;
+        }
+        const key = this.cacheKey.join(',');
+        if (this.cacheMode === 1n) {
+          this.cache.set(key, this.cacheData);
+        } else {
+          const data = this.cache.get(key) ?? [];
+          this.cacheQueue = [BigInt(data.length), ...data];
+        }
+      },
+      cache_store_data: (value: bigint) => {
+        this.cacheData.push(value);
+      },
+      cache_fetch_data: () => this.cacheQueue.shift() ?? 0n,
+
+      wasm_witness_insert: (value: bigint) => {
+        this.witness.push(value);
+      },
+      wasm_witness_pop: () => this.witness.pop() ?? 0n,
+      wasm_witness_set_index: (index: bigint) => {
+        this.witnessIndex = index;
+      },
+      wasm_witness_indexed_insert: (value: bigint) => {
+        this.indexed().push(value);
+      },
+      wasm_witness_indexed_push: (value: bigint) => {
+        this.indexed().push(value);
+      },
+      wasm_witness_indexed_pop: () => this.indexed().pop() ?? 0n
+    };
+  }
+
+  private input(queue: bigint[], kind: string): bigint {
+    const value = queue.shift();
+    if (value === undefined) {
+      throw new HarnessError(`wasm_input: no ${kind} input left`);
+    }
+    return value;
+  }
+
+  private indexed(): bigint[] {
+    if (!this.indexedWitness.has(this.witnessIndex)) {
+      this.indexedWitness.set(this.witnessIndex, []);
+    }
+    return this.indexedWitness.get(this.witnessIndex)!;
+  }
+
+  private print(line: string): void {
+    this.logs.push(line);
+    this.log?.(line);
+  }
+}
+
+// Deterministic 4-word player key for tests, e.g. playerKey('alice')
+export function playerKey(seed: string | number | bigint): Word4 {
+  return hashWords([...Buffer.from(String(seed))].map(BigInt));
+}
+
+// Stand-in for Poseidon: sha256 of the words, as four little-endian u64
+function hashWords(words: bigint[]): Word4 {
+  const input = Buffer.alloc(words.length * 8);
+  words.forEach((word, index) => input.writeBigUInt64LE(BigInt.asUintN(64, word), index * 8));
+  const digest = crypto.createHash('sha256').update(input).digest();
+  return [0, 1, 2, 3].map(index => digest.readBigUInt64LE(index * 8)) as Word4;
+}
@@ -0,0 +1,486 @@
+// Minimal WebAssembly binary parser, enough to inspect wasm-pack output without extra dependencies.
+// Spec: https://webassembly.github.io/spec/core/binary/index.html
+export const SECTION_NAMES = [
+    'custom', 'type', 'import', 'function', 'table', 'memory', 'global',
+    'export', 'start', 'element', 'code', 'data', 'datacount', 'tag'
+];
+export const WASM_PAGE_SIZE = 65536;
+const VAL_TYPES = {
+    0x7F: 'i32',
+    0x7E: 'i64',
+    0x7D: 'f32',
+    0x7C: 'f64',
+    0x7B: 'v128',
+    0x70: 'funcref',
+    0x6F: 'externref'
+};
+const EXTERNAL_KINDS = ['function', 'table', 'memory', 'global', 'tag'];
+const FLOAT_OPS = buildFloatOps();
+class WasmReader {
+    bytes;
+    end;
+    offset;
+    constructor(bytes, offset = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.end = end;
+        this.offset = offset;
+    }
+    get done() {
+        return this.offset >= this.end;
+    }
+    byte() {
+        if (this.offset >= this.end) {
+            throw new Error(`Invalid WASM: unexpected end of data at offset 0x${this.offset.toString(16)}`);
+        }
+        return this.bytes[this.offset++];
+    }
+    peek() {
+        return this.bytes[this.offset];
+    }
+    u32() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.byte();
+            result += (byte & 0x7F) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result;
+    }
+    s32() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.byte();
+            result |= (byte & 0x7F) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        if (shift < 32 && (byte & 0x40)) {
+            result |= ~0 << shift;
+        }
+        return result | 0;
+    }
+    skipLeb() {
+        while (this.byte() & 0x80)
+            ;
+    }
+    skip(count) {
+        if (this.offset + count > this.end) {
+            throw new Error(`Invalid WASM: unexpected end of data at offset 0x${this.offset.toString(16)}`);
+        }
+        this.offset += count;
+    }
+    slice(count) {
+        const start = this.offset;
+        this.skip(count);
+        return this.bytes.subarray(start, start + count);
+    }
+    name() {
+        return new TextDecoder().decode(this.slice(this.u32()));
+    }
+    valType() {
+        const code = this.byte();
+        const type = VAL_TYPES[code];
+        if (!type) {
+            throw new Error(`Invalid WASM: unknown value type 0x${code.toString(16)} at offset 0x${(this.offset - 1).toString(16)}`);
+        }
+        return type;
+    }
+    limits() {
+        const flags = this.byte();
+        const limits = { min: this.u32() };
+        if (flags & 0x01) {
+            limits.max = this.u32();
+        }
+        if (flags & 0x02) {
+            limits.shared = true;
+        }
+        if (flags & 0x04) {
+            limits.memory64 = true;
+        }
+        return limits;
+    }
+}
+export function parseWasm(bytes) {
+    const reader = new WasmReader(bytes);
+    if (bytes.length < 8 || bytes[0] !== 0x00 || bytes[1] !== 0x61 || bytes[2] !== 0x73 || bytes[3] !== 0x6D) {
+        throw new Error('Invalid WASM: missing \\0asm magic header');
+    }
+    const module = {
+        version: bytes[4] | (bytes[5] << 8) | (bytes[6] << 16) | (bytes[7] << 24),
+        size: bytes.length,
+        sections: [],
+        types: [],
+        imports: [],
+        exports: [],
+        functions: [],
+        memories: [],
+        dataSegments: []
+    };
+    reader.offset = 8;
+    const functionTypes = [];
+    let importedFunctions = 0;
+    let functionNames = new Map();
+    while (!reader.done) {
+        const offset = reader.offset;
+        const id = reader.byte();
+        const payloadSize = reader.u32();
+        const start = reader.offset;
+        const end = start + payloadSize;
+        if (end > bytes.length) {
+            throw new Error(`Invalid WASM: section ${SECTION_NAMES[id] ?? id} at offset 0x${offset.toString(16)} exceeds the file size`);
+        }
+        const section = new WasmReader(bytes, start, end);
+        const info = { id, name: SECTION_NAMES[id] ?? `unknown(${id})`, offset, size: end - offset };
+        switch (id) {
+            case 0: {
+                info.name = section.name();
+                if (info.name === 'name') {
+                    const names = parseNameSection(section);
+                    module.moduleName = names.moduleName;
+                    functionNames = names.functions;
+                }
+                break;
+            }
+            case 1:
+                module.types = readVector(section, () => {
+                    const form = section.byte();
+                    if (form !== 0x60) {
+                        throw new Error(`Invalid WASM: unknown type form 0x${form.toString(16)}`);
+                    }
+                    return {
+                        params: readVector(section, () => section.valType()),
+                        results: readVector(section, () => section.valType())
+                    };
+                });
+                break;
+            case 2:
+                module.imports = readVector(section, () => readImport(section));
+                for (const entry of module.imports) {
+                    if (entry.kind === 'function') {
+                        importedFunctions++;
+                    }
+                    else if (entry.kind === 'memory' && entry.limits) {
+                        module.memories.push({ ...entry.limits, imported: true });
+                    }
+                }
+                break;
+            case 3:
+                functionTypes.push(...readVector(section, () => section.u32()));
+                break;
+            case 5:
+                module.memories.push(...readVector(section, () => ({ ...section.limits(), imported: false })));
+                break;
+            case 7:
+                module.exports = readVector(section, () => ({
+                    name: section.name(),
+                    kind: readKind(section),
+                    index: section.u32()
+                }));
+                break;
+            case 10: {
+                const count = section.u32();
+                for (let i = 0; i < count; i++) {
+                    const bodySize = section.u32();
+                    const bodyStart = section.offset;
+                    module.functions.push({
+                        index: importedFunctions + i,
+                        typeIndex: functionTypes[i],
+                        bodySize,
+                        ...scanFunctionBody(new WasmReader(bytes, bodyStart, bodyStart + bodySize))
+                    });
+                    section.skip(bodySize);
+                }
+                break;
+            }
+            case 11:
+                module.dataSegments = readVector(section, () => readDataSegment(section))
+                    .map((segment, index) => ({ ...segment, index }));
+                break;
+            default:
+                // Table, global, start, element, datacount and tag sections are not needed for analysis
+                break;
+        }
+        module.sections.push(info);
+        reader.offset = end;
+    }
+    // The name section follows the code section, so names are attached at the end
+    for (const fn of module.functions) {
+        fn.name = functionNames.get(fn.index);
+    }
+    return module;
+}
+export function getFunctionType(module, fn) {
+    return module.types[fn.typeIndex];
+}
+export function formatFunctionName(fn) {
+    return fn.name ?? `func[${fn.index}]`;
+}
+function readVector(reader, readItem) {
+    const count = reader.u32();
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        items.push(readItem());
+    }
+    return items;
+}
+function readKind(reader) {
+    const code = reader.byte();
+    const kind = EXTERNAL_KINDS[code];
+    if (!kind) {
+        throw new Error(`Invalid WASM: unknown external kind 0x${code.toString(16)}`);
+    }
+    return kind;
+}
+function readImport(reader) {
+    const entry = { module: reader.name(), name: reader.name(), kind: readKind(reader) };
+    switch (entry.kind) {
+        case 'function':
+            entry.typeIndex = reader.u32();
+            break;
+        case 'table':
+            reader.byte();
+            entry.limits = reader.limits();
+            break;
+        case 'memory':
+            entry.limits = reader.limits();
+            break;
+        case 'global':
+            reader.valType();
+            reader.byte();
+            break;
+        case 'tag':
+            reader.byte();
+            entry.typeIndex = reader.u32();
+            break;
+    }
+    return entry;
+}
+function readDataSegment(reader) {
+    const flags = reader.u32();
+    if (flags === 1) {
+        return { passive: true, memoryIndex: 0, bytes: reader.slice(reader.u32()) };
+    }
+    const memoryIndex = flags === 2 ? reader.u32() : 0;
+    const offset = readConstExpr(reader);
+    return { passive: false, memoryIndex, offset, bytes: reader.slice(reader.u32()) };
+}
+// Returns the value of an i32.const expression, undefined for other constant expressions
+function readConstExpr(reader) {
+    let value;
+    let instructions = 0;
+    for (;;) {
+        const opcode = reader.byte();
+        if (opcode === 0x0B) {
+            return instructions === 1 ? value : undefined;
+        }
+        instructions++;
+        switch (opcode) {
+            case 0x41:
+                value = reader.s32();
+                break;
+            case 0x42:
+                reader.skipLeb();
+                break;
+            case 0x43:
+                reader.skip(4);
+                break;
+            case 0x44:
+                reader.skip(8);
+                break;
+            case 0x23:
+            case 0xD2:
+                reader.u32();
+                break;
+            case 0xD0:
+                reader.byte();
+                break;
+            default:
+                // Extended constant expressions (i32.add etc.) have no immediates
+                break;
+        }
+    }
+}
+function parseNameSection(reader) {
+    const functions = new Map();
+    let moduleName;
+    while (!reader.done) {
+        const id = reader.byte();
+        const size = reader.u32();
+        const end = reader.offset + size;
+        if (id === 0) {
+            moduleName = reader.name();
+        }
+        else if (id === 1) {
+            const count = reader.u32();
+            for (let i = 0; i < count; i++) {
+                const index = reader.u32();
+                functions.set(index, reader.name());
+            }
+        }
+        reader.offset = end;
+    }
+    return { moduleName, functions };
+}
+function scanFunctionBody(reader) {
+    const floatOps = new Set();
+    let instructionCount = 0;
+    const localGroups = reader.u32();
+    for (let i = 0; i < localGroups; i++) {
+        reader.u32();
+        reader.valType();
+    }
+    while (!reader.done) {
+        const opcode = reader.byte();
+        instructionCount++;
+        const floatOp = FLOAT_OPS[opcode];
+        if (floatOp) {
+            floatOps.add(floatOp);
+        }
+        switch (opcode) {
+            case 0x02:
+            case 0x03:
+            case 0x04: {
+                // Block type: empty, a value type or a type index
+                const next = reader.peek();
+                if (next === 0x40 || VAL_TYPES[next]) {
+                    reader.byte();
+                }
+                else {
+                    reader.skipLeb();
+                }
+                break;
+            }
+            case 0x0C:
+            case 0x0D:
+            case 0x10:
+            case 0x12:
+            case 0x20:
+            case 0x21:
+            case 0x22:
+            case 0x23:
+            case 0x24:
+            case 0x25:
+            case 0x26:
+            case 0xD2:
+                reader.u32();
+                break;
+            case 0x0E: {
+                const targets = reader.u32();
+                for (let i = 0; i <= targets; i++) {
+                    reader.u32();
+                }
+                break;
+            }
+            case 0x11:
+            case 0x13:
+                reader.u32();
+                reader.u32();
+                break;
+            case 0x1C: {
+                const count = reader.u32();
+                for (let i = 0; i < count; i++) {
+                    reader.valType();
+                }
+                break;
+            }
+            case 0x3F:
+            case 0x40:
+                reader.u32();
+                break;
+            case 0x41:
+            case 0x42:
+                reader.skipLeb();
+                break;
+            case 0x43:
+                reader.skip(4);
+                break;
+            case 0x44:
+                reader.skip(8);
+                break;
+            case 0xD0:
+                reader.byte();
+                break;
+            case 0xFC:
+                scanPrefixedInstruction(reader, floatOps);
+                break;
+            case 0xFD:
+                // SIMD immediates are not decoded, the rest of the body is skipped
+                return { instructionCount, floatOps: [...floatOps], usesSimd: true };
+            default:
+                if (opcode >= 0x28 && opcode <= 0x3E) {
+                    // Memory access: alignment and offset
+                    reader.u32();
+                    reader.u32();
+                }
+                break;
+        }
+    }
+    return { instructionCount, floatOps: [...floatOps], usesSimd: false };
+}
+function scanPrefixedInstruction(reader, floatOps) {
+    const op = reader.u32();
+    if (op <= 7) {
+        const target = op < 4 ? 'i32' : 'i64';
+        const source = op % 4 < 2 ? 'f32' : 'f64';
+        floatOps.add(`${target}.trunc_sat_${source}_${op % 2 === 0 ? 's' : 'u'}`);
+        return;
+    }
+    switch (op) {
+        case 8:
+            reader.u32();
+            reader.byte();
+            break;
+        case 10:
+            reader.byte();
+            reader.byte();
+            break;
+        case 11:
+            reader.byte();
+            break;
+        case 12:
+        case 14:
+            reader.u32();
+            reader.u32();
+            break;
+        default:
+            // data.drop, elem.drop, table.grow, table.size and table.fill take one index
+            reader.u32();
+            break;
+    }
+}
+function buildFloatOps() {
+    const ops = {
+        0x2A: 'f32.load',
+        0x2B: 'f64.load',
+        0x38: 'f32.store',
+        0x39: 'f64.store',
+        0x43: 'f32.const',
+        0x44: 'f64.const'
+    };
+    const compare = ['eq', 'ne', 'lt', 'gt', 'le', 'ge'];
+    compare.forEach((op, i) => {
+        ops[0x5B + i] = `f32.${op}`;
+        ops[0x61 + i] = `f64.${op}`;
+    });
+    const arithmetic = ['abs', 'neg', 'ceil', 'floor', 'trunc', 'nearest', 'sqrt', 'add', 'sub', 'mul', 'div', 'min', 'max', 'copysign'];
+    arithmetic.forEach((op, i) => {
+        ops[0x8B + i] = `f32.${op}`;
+        ops[0x99 + i] = `f64.${op}`;
+    });
+    const conversions = [
+        [0xA8, 'i32.trunc_f32_s'], [0xA9, 'i32.trunc_f32_u'], [0xAA, 'i32.trunc_f64_s'], [0xAB, 'i32.trunc_f64_u'],
+        [0xAE, 'i64.trunc_f32_s'], [0xAF, 'i64.trunc_f32_u'], [0xB0, 'i64.trunc_f64_s'], [0xB1, 'i64.trunc_f64_u'],
+        [0xB2, 'f32.convert_i32_s'], [0xB3, 'f32.convert_i32_u'], [0xB4, 'f32.convert_i64_s'], [0xB5, 'f32.convert_i64_u'],
+        [0xB6, 'f32.demote_f64'], [0xB7, 'f64.convert_i32_s'], [0xB8, 'f64.convert_i32_u'], [0xB9, 'f64.convert_i64_s'],
+        [0xBA, 'f64.convert_i64_u'], [0xBB, 'f64.promote_f32'], [0xBC, 'i32.reinterpret_f32'], [0xBD, 'i64.reinterpret_f64'],
+        [0xBE, 'f32.reinterpret_i32'], [0xBF, 'f64.reinterpret_i64']
+    ];
+    for (const [opcode, name] of conversions) {
+        ops[opcode] = name;
+    }
+    return ops;
+}
+//# sourceMappingURL=wasm-parser.js.map
\ No newline at end of file
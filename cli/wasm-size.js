@@ -0,0 +1,120 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { getOutputDir, loadConfig } from './config.js';
+import { formatFunctionName, parseWasm } from './wasm-parser.js';
+const DEFAULT_TOP = 20;
+export async function showSize(file, options = {}) {
+    const config = await loadConfig();
+    const wasmPath = file || path.join(getOutputDir(config), 'application', 'application_bg.wasm');
+    if (!await fs.pathExists(wasmPath)) {
+        throw new Error(`WASM file not found: ${wasmPath}. Please build the project first: zkwasm-dapp build`);
+    }
+    const report = analyzeSize(parseWasm(await fs.readFile(wasmPath)), wasmPath);
+    const budget = config.build?.sizeBudget;
+    const violations = budget ? checkSizeBudget(report, budget) : [];
+    if (options.json) {
+        console.log(JSON.stringify({ ...report, budget: budget ?? null, violations }, null, 2));
+    }
+    else {
+        printSizeReport(report, Number(options.top ?? DEFAULT_TOP));
+        if (budget) {
+            const { status, message } = budgetStatus(violations);
+            console.log(status === 'pass' ? chalk.green(`\n✅ ${message}`) : chalk.red(`\n❌ ${message}`));
+        }
+    }
+    return violations;
+}
+export function analyzeSize(module, file = '') {
+    const total = module.size;
+    const entry = (name, size) => ({
+        name,
+        size,
+        percent: total > 0 ? Math.round(size / total * 10000) / 100 : 0
+    });
+    // Custom sections are listed by their own name, e.g. "name" or "producers"
+    const sectionSizes = new Map();
+    sectionSizes.set('header', 8);
+    for (const section of module.sections) {
+        const name = section.id === 0 ? `custom:${section.name}` : section.name;
+        sectionSizes.set(name, (sectionSizes.get(name) ?? 0) + section.size);
+    }
+    return {
+        file,
+        total,
+        sections: [...sectionSizes].map(([name, size]) => entry(name, size)).sort((a, b) => b.size - a.size),
+        functions: module.functions
+            .map(fn => entry(formatFunctionName(fn), fn.bodySize))
+            .sort((a, b) => b.size - a.size),
+        hasNames: module.functions.some(fn => fn.name !== undefined)
+    };
+}
+// Budgets: total file size, per section and for the largest single function
+export function checkSizeBudget(report, budget) {
+    const violations = [];
+    if (budget.total !== undefined) {
+        const limit = parseSize(budget.total);
+        if (report.total > limit) {
+            violations.push({ name: 'total', size: report.total, budget: limit });
+        }
+    }
+    for (const [name, value] of Object.entries(budget.sections ?? {})) {
+        const limit = parseSize(value);
+        const section = report.sections.find(s => s.name === name);
+        if (section && section.size > limit) {
+            violations.push({ name: `section ${name}`, size: section.size, budget: limit });
+        }
+    }
+    if (budget.function !== undefined) {
+        const limit = parseSize(budget.function);
+        for (const fn of report.functions.filter(f => f.size > limit)) {
+            violations.push({ name: `function ${fn.name}`, size: fn.size, budget: limit });
+        }
+    }
+    return violations;
+}
+export function budgetStatus(violations) {
+    if (violations.length === 0) {
+        return { status: 'pass', message: 'WASM size within budget' };
+    }
+    const details = violations
+        .map(v => `${v.name} ${formatBytes(v.size)} > ${formatBytes(v.budget)}`)
+        .join(', ');
+    return { status: 'fail', message: `WASM size budget exceeded: ${details}` };
+}
+// Accepts byte counts or strings such as "512KB" and "1.5MB"
+export function parseSize(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|kib|mb|mib)?$/i);
+    if (!match) {
+        throw new Error(`Invalid size "${value}", use a number of bytes or a value such as 512KB`);
+    }
+    const units = { b: 1, kb: 1024, kib: 1024, mb: 1024 * 1024, mib: 1024 * 1024 };
+    return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+export function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(2)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+function printSizeReport(report, top) {
+    console.log(chalk.blue(`📏 ${report.file}: ${formatBytes(report.total)}\n`));
+    console.log(chalk.blue('Sections:'));
+    for (const section of report.sections) {
+        console.log(`  ${section.name.padEnd(24)} ${formatBytes(section.size).padStart(12)} ${chalk.gray(`${section.percent.toFixed(2)}%`.padStart(8))}`);
+    }
+    console.log(chalk.blue(`\nLargest functions (${Math.min(top, report.functions.length)} of ${report.functions.length}):`));
+    for (const fn of report.functions.slice(0, top)) {
+        console.log(`  ${formatBytes(fn.size).padStart(12)} ${chalk.gray(`${fn.percent.toFixed(2)}%`.padStart(8))}  ${fn.name}`);
+    }
+    if (!report.hasNames) {
+        console.log(chalk.gray('\nNo name section found, functions are shown by index. Keep debug names with a dev build to see them.'));
+    }
+}
+//# sourceMappingURL=wasm-size.js.map
\ No newline at end of file
@@ -0,0 +1,43 @@
+// @generated by `zkwasm-dapp codegen` from zkwasm.commands.json, do not edit by hand.
+
+/// The first transaction word holds the command id in bits 0-7 and the nonce from this bit on
+pub const NONCE_SHIFT: u64 = 16;
+
+pub const AUTOTICK: u64 = 0;
+pub const INSTALL_PLAYER: u64 = 1;
+pub const INC_COUNTER: u64 = 2;
+
+pub const ERROR_PLAYER_ALREADY_EXIST: u32 = 1;
+pub const ERROR_PLAYER_NOT_EXIST: u32 = 2;
+
+#[derive(Debug, Clone, PartialEq)]
+pub enum Command {
+    Autotick,
+    /// Register the signing key as a new player
+    InstallPlayer,
+    /// Increment the player's counter
+    IncCounter,
+    Unknown(u64),
+}
+
+impl Command {
+    /// Decodes the command and its parameters, returns the command and the nonce
+    pub fn decode(params: &[u64]) -> (Self, u64) {
+        let word = params.first().copied().unwrap_or(0);
+        let command = match word & 0xff {
+            AUTOTICK => Command::Autotick,
+            INSTALL_PLAYER => Command::InstallPlayer,
+            INC_COUNTER => Command::IncCounter,
+            id => Command::Unknown(id),
+        };
+        (command, word >> NONCE_SHIFT)
+    }
+}
+
+pub fn decode_error(e: u32) -> &'static str {
+    match e {
+        ERROR_PLAYER_ALREADY_EXIST => "PlayerAlreadyExist",
+        ERROR_PLAYER_NOT_EXIST => "PlayerNotExist",
+        _ => "Unknown",
+    }
+}
@@ -1,5 +1,6 @@
 use wasm_bindgen::prelude::*;
 use zkwasm_rest_abi::*;
+pub mod commands;
 pub mod config;
 pub mod state;
 pub mod settlement;
@@ -4,6 +4,7 @@ use core::slice::IterMut;
 use zkwasm_rest_abi::Player;
 use serde::Serialize;
 use crate::settlement::SettlementInfo;
+use crate::commands::{self, Command, ERROR_PLAYER_ALREADY_EXIST, ERROR_PLAYER_NOT_EXIST};
 
 #[derive(Debug, Serialize)]
 pub struct PlayerData {
@@ -83,35 +84,20 @@ pub static mut STATE: State  = State {
 };
 
 pub struct Transaction {
-    pub command: u64,
+    pub command: Command,
     pub nonce: u64,
-    pub data: Vec<u64>,
 }
 
-const AUTOTICK: u64 = 0;
-const INSTALL_PLAYER: u64 = 1;
-const INC_COUNTER: u64 = 2;
-
-const ERROR_PLAYER_ALREADY_EXIST:u32 = 1;
-const ERROR_PLAYER_NOT_EXIST:u32 = 2;
-
 impl Transaction {
     pub fn decode_error(e: u32) -> &'static str {
-        match e {
-           ERROR_PLAYER_NOT_EXIST => "PlayerNotExist",
-           ERROR_PLAYER_ALREADY_EXIST => "PlayerAlreadyExist",
-           _ => "Unknown"
-        }
+        commands::decode_error(e)
     }
     pub fn decode(params: &[u64]) -> Self {
         zkwasm_rust_sdk::dbg!("params {:?}\n", params);
-        let command = params[0] & 0xff;
-        let nonce = params[0] >> 16;
-        let mut data = vec![];
+        let (command, nonce) = Command::decode(params);
         Transaction {
             command,
             nonce,
-            data,
         }
     }
     pub fn install_player(&self, pkey: &[u64; 4]) -> Result<(), u32> {
@@ -152,16 +138,16 @@ impl Transaction {
 
     pub fn process(&self, pkey: &[u64; 4], _rand: &[u64; 4]) -> Vec<u64> {
         let b = match self.command {
-            AUTOTICK => {
+            Command::Autotick => {
                 zkwasm_rust_sdk::dbg!("to run tick\n");
                 unsafe {
                     STATE.tick();
                 }
                 0
             },
-            INSTALL_PLAYER => self.install_player(pkey).map_or_else(|e| e, |_| 0),
-            INC_COUNTER => self.inc_counter(pkey).map_or_else(|e| e, |_| 0),
-            _ => {
+            Command::InstallPlayer => self.install_player(pkey).map_or_else(|e| e, |_| 0),
+            Command::IncCounter => self.inc_counter(pkey).map_or_else(|e| e, |_| 0),
+            Command::Unknown(_) => {
                 0
             }
         };
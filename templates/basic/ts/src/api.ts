@@ -1,64 +1,33 @@
-import {ZKWasmAppRpc } from "zkwasm-ts-server";
-
-const CMD_INSTALL_PLAYER = 1n;
-const CMD_INC_COUNTER = 2n;
-
-
-function createCommand(nonce: bigint, command: bigint, feature: bigint) {
-  return (nonce << 16n) + (feature << 8n) + command;
+import { ZkWasmClient } from "./client.js";
+import { Config, HelloWorldPlayer, State, assertConfig, assertHelloWorldPlayer, assertState } from "./types.js";
+
+// Response of the zkwasm-ts-server state query; player is null until install_player ran.
+// The types are generated from src/state.rs and src/config.rs by `zkwasm-dapp codegen types`.
+export interface AppState {
+  player: HelloWorldPlayer | null;
+  state: State;
 }
 
-export class Player {
-  processingKey: string;
-  rpc: ZKWasmAppRpc;
+// Command methods come from ./commands.js, generated from zkwasm.commands.json by `zkwasm-dapp codegen`.
+// ZkWasmClient adds the nonce cache, retries, typed errors and sendBatch.
+export class Player extends ZkWasmClient {
   constructor(key: string, rpc: string) {
-    this.processingKey = key
-    this.rpc = new ZKWasmAppRpc(rpc);
+    super(key, rpc);
   }
 
-  async getState(): Promise<any> {
-    let state:any = await this.rpc.queryState(this.processingKey);
-    return JSON.parse(state.data);
+  async getState(): Promise<AppState> {
+    const { player, state } = await this.queryState();
+    return {
+      player: player === null || player === undefined ? null : assertHelloWorldPlayer(player, "player"),
+      state: assertState(state, "state")
+    };
   }
 
-  async getNonce(): Promise<bigint> {
-    let state:any = await this.rpc.queryState(this.processingKey);
-    let nonce = 0n;
-    if (state.data) {
-      let data = JSON.parse(state.data);
-      if (data.player) {
-        nonce = BigInt(data.player.nonce);
-      }
-    }
-    return nonce;
+  async getConfig(): Promise<Config> {
+    return assertConfig(await this.queryConfig(), "config");
   }
 
   async register() {
-    let nonce = await this.getNonce();
-    try {
-      let result = await this.rpc.sendTransaction(
-        new BigUint64Array([createCommand(nonce, CMD_INSTALL_PLAYER, 0n), 0n, 0n, 0n]),
-        this.processingKey
-      );
-      return result
-    } catch(e) {
-      if (e instanceof Error) {
-        console.log(e.message);
-      }
-    }
-  }
-
-  async incCounter() {
-    let nonce = await this.getNonce();
-    try {
-      let result = await this.rpc.sendTransaction(
-        new BigUint64Array([createCommand(nonce, CMD_INC_COUNTER, 0n), 0n, 0n, 0n]), this.processingKey);
-      return result;
-    } catch(e) {
-      if (e instanceof Error) {
-        console.log(e.message);
-      }
-    }
+    return this.installPlayer();
   }
 }
-
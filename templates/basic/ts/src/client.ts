@@ -0,0 +1,268 @@
+import { appendFile } from "fs/promises";
+import { ZKWasmAppRpc } from "zkwasm-ts-server";
+import { CommandClient, ERROR_CODES, ErrorName, NONCE_SHIFT, decodeError } from "./commands.js";
+
+export interface ClientOptions {
+  // Attempts for network failures, including the first one. Transactions are only resent
+  // when the request could not reach the server, so they are never applied twice
+  retries?: number;
+  // Delay before the first retry, doubled on every further attempt
+  backoffMs?: number;
+  maxBackoffMs?: number;
+  // Resyncs of the nonce cache before a nonce error is reported
+  nonceResyncs?: number;
+  // JSONL file that every transaction is appended to, for `zkwasm-dapp replay`; defaults to $ZKWASM_RECORD
+  record?: string;
+}
+
+export interface TransactionResult<T = unknown> {
+  nonce: bigint;
+  attempts: number;
+  value: T;
+}
+
+// One line of the recording: the transaction as sent, the outcome and the state query that followed
+export interface RecordedTransaction {
+  time: string;
+  key: string;
+  tx: string[];
+  result: { ok: true } | { ok: false; error: string; code?: number };
+  state: unknown;
+}
+
+export type BatchResult<T = unknown> =
+  | { ok: true; result: TransactionResult<T> }
+  | { ok: false; error: ClientError };
+
+export class ClientError extends Error {
+  constructor(message: string, public readonly cause?: unknown) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+// Rejected by the application: the code and name come from Transaction::decode_error
+export class TransactionError extends ClientError {
+  constructor(public readonly code: number, public readonly errorName: ErrorName | "Unknown", cause?: unknown) {
+    super(`Transaction failed: ${errorName} (${code})`, cause);
+  }
+
+  static fromCode(code: number, cause?: unknown): TransactionError {
+    return new TransactionError(code, decodeError(code), cause);
+  }
+}
+
+export class NonceError extends ClientError {}
+
+export class NetworkError extends ClientError {}
+
+// The transaction was accepted but its result did not arrive in time, it may still be applied
+export class TransactionTimeoutError extends ClientError {}
+
+const DEFAULTS: Required<ClientOptions> = {
+  retries: 3,
+  backoffMs: 500,
+  maxBackoffMs: 5000,
+  nonceResyncs: 1,
+  record: process.env.ZKWASM_RECORD ?? ""
+};
+
+const NETWORK_ERROR = /ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|socket hang up|network error|fetch failed|status code 5\d\d/i;
+const NOT_SENT_ERROR = /ECONNREFUSED|EAI_AGAIN|ENOTFOUND/;
+
+export class ZkWasmClient extends CommandClient<TransactionResult> {
+  readonly rpc: ZKWasmAppRpc;
+  readonly options: Required<ClientOptions>;
+  private nonce: bigint | null = null;
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(readonly processingKey: string, rpc: string | ZKWasmAppRpc, options: ClientOptions = {}) {
+    super();
+    this.rpc = typeof rpc === "string" ? new ZKWasmAppRpc(rpc) : rpc;
+    this.options = { ...DEFAULTS, ...options };
+  }
+
+  // Untyped responses; Player in api.ts validates them against the types generated from the Rust structs
+  async queryState<T = any>(): Promise<T> {
+    const { value: state } = await this.withRetry<any>(() => this.rpc.queryState(this.processingKey), isNetworkError);
+    return parseData(state);
+  }
+
+  async queryConfig<T = any>(): Promise<T> {
+    const { value: config } = await this.withRetry<any>(() => this.rpc.queryConfig(), isNetworkError);
+    return parseData(config);
+  }
+
+  // Served from the local cache, the server is only asked once and after nonce errors
+  async getNonce(): Promise<bigint> {
+    if (this.nonce === null) {
+      this.nonce = await this.fetchNonce();
+    }
+    return this.nonce;
+  }
+
+  async resyncNonce(): Promise<bigint> {
+    this.nonce = await this.fetchNonce();
+    return this.nonce;
+  }
+
+  // Transactions are sent one at a time; the nonce in the command is replaced with the cached one
+  sendCommand<T = unknown>(command: BigUint64Array): Promise<TransactionResult<T>> {
+    const next = this.queue.then(() => this.send<T>(command));
+    this.queue = next.catch(() => undefined);
+    return next;
+  }
+
+  // Sends the commands in order; stops at the first failure unless continueOnError is set
+  async sendBatch<T = unknown>(commands: BigUint64Array[], continueOnError = false): Promise<BatchResult<T>[]> {
+    const results: BatchResult<T>[] = [];
+    for (const command of commands) {
+      try {
+        results.push({ ok: true, result: await this.sendCommand<T>(command) });
+      } catch (error) {
+        results.push({ ok: false, error: toClientError(error) });
+        if (!continueOnError) {
+          break;
+        }
+      }
+    }
+    return results;
+  }
+
+  private async send<T>(command: BigUint64Array): Promise<TransactionResult<T>> {
+    let resyncs = 0;
+    for (;;) {
+      const nonce = await this.getNonce();
+      const tx = withNonce(command, nonce);
+      try {
+        const { value, attempts } = await this.withRetry(() => this.sendTransaction(tx), isNotSent);
+        this.nonce = nonce + 1n;
+        return { nonce, attempts, value: value as T };
+      } catch (error) {
+        const clientError = toClientError(error);
+        if (clientError instanceof NonceError && resyncs < this.options.nonceResyncs) {
+          resyncs++;
+          await this.resyncNonce();
+          continue;
+        }
+        // The server state is unknown after a failure, read the nonce again next time
+        this.nonce = null;
+        throw clientError;
+      }
+    }
+  }
+
+  private async sendTransaction(tx: BigUint64Array): Promise<unknown> {
+    if (!this.options.record) {
+      return this.rpc.sendTransaction(tx, this.processingKey);
+    }
+    try {
+      const value = await this.rpc.sendTransaction(tx, this.processingKey);
+      await this.record(tx, { ok: true });
+      return value;
+    } catch (error) {
+      // Transactions that never reached the server are left out, they did not change the state
+      const clientError = toClientError(error);
+      if (!isNotSent(clientError)) {
+        await this.record(tx, clientError instanceof TransactionError
+          ? { ok: false, error: clientError.errorName, code: clientError.code }
+          : { ok: false, error: clientError.message });
+      }
+      throw error;
+    }
+  }
+
+  private async record(tx: BigUint64Array, result: RecordedTransaction["result"]): Promise<void> {
+    const state = await this.rpc.queryState(this.processingKey).then(parseData, () => null);
+    const entry: RecordedTransaction = {
+      time: new Date().toISOString(),
+      key: this.processingKey,
+      tx: Array.from(tx, word => word.toString()),
+      result,
+      state
+    };
+    await appendFile(this.options.record, JSON.stringify(entry) + "\n");
+  }
+
+  private async fetchNonce(): Promise<bigint> {
+    const state = await this.queryState();
+    return state?.player ? BigInt(state.player.nonce) : 0n;
+  }
+
+  private async withRetry<T>(fn: () => Promise<T>, retryable: (error: ClientError) => boolean): Promise<{ value: T; attempts: number }> {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return { value: await fn(), attempts: attempt };
+      } catch (error) {
+        if (!retryable(toClientError(error)) || attempt >= this.options.retries) {
+          throw error;
+        }
+        const delay = Math.min(this.options.backoffMs * 2 ** (attempt - 1), this.options.maxBackoffMs);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+// zkwasm-ts-server responds with { success, data } where data is the JSON produced by the module
+function parseData(response: any): any {
+  return typeof response?.data === "string" ? JSON.parse(response.data) : response?.data ?? null;
+}
+
+function isNetworkError(error: ClientError): boolean {
+  return error instanceof NetworkError;
+}
+
+function isNotSent(error: ClientError): boolean {
+  return error instanceof NetworkError && NOT_SENT_ERROR.test(error.message);
+}
+
+export function withNonce(command: BigUint64Array, nonce: bigint): BigUint64Array {
+  const tx = new BigUint64Array(command);
+  const mask = (1n << NONCE_SHIFT) - 1n;
+  tx[0] = (tx[0] & mask) | (nonce << NONCE_SHIFT);
+  return tx;
+}
+
+// Maps the errors thrown by ZKWasmAppRpc to typed errors
+export function toClientError(error: unknown): ClientError {
+  if (error instanceof ClientError) {
+    return error;
+  }
+
+  const message = errorMessage(error);
+  if (Object.prototype.hasOwnProperty.call(ERROR_CODES, message)) {
+    return new TransactionError(ERROR_CODES[message as ErrorName], message as ErrorName, error);
+  }
+  if (/^\d+$/.test(message)) {
+    return TransactionError.fromCode(Number(message), error);
+  }
+  if (/nonce/i.test(message)) {
+    return new NonceError(message, error);
+  }
+  if (/MonitorTransactionFail/.test(message)) {
+    return new TransactionTimeoutError(message, error);
+  }
+  if (NETWORK_ERROR.test(message)) {
+    return new NetworkError(message, error);
+  }
+  return new ClientError(message, error);
+}
+
+function errorMessage(error: unknown): string {
+  if (typeof error === "string") {
+    return error;
+  }
+  // Axios errors carry the server's reason in the response body, except for 5xx responses
+  const response = (error as any)?.response;
+  if (response && response.status < 500) {
+    const data = response.data;
+    if (typeof data === "string" && data) {
+      return data;
+    }
+    if (data?.error || data?.message) {
+      return String(data.error ?? data.message);
+    }
+  }
+  return (error as any)?.message ? String((error as any).message) : String(error);
+}
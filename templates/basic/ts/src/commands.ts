@@ -0,0 +1,62 @@
+// @generated by `zkwasm-dapp codegen` from zkwasm.commands.json, do not edit by hand.
+
+export const NONCE_SHIFT = 16n;
+
+export const CMD_INSTALL_PLAYER = 1n;
+export const CMD_INC_COUNTER = 2n;
+
+export const ERROR_PLAYER_ALREADY_EXIST = 1;
+export const ERROR_PLAYER_NOT_EXIST = 2;
+
+export type ErrorName = "PlayerAlreadyExist" | "PlayerNotExist";
+
+export const ERROR_NAMES: Record<number, ErrorName> = {
+  1: "PlayerAlreadyExist",
+  2: "PlayerNotExist"
+};
+
+export const ERROR_CODES: Record<ErrorName, number> = {
+  PlayerAlreadyExist: 1,
+  PlayerNotExist: 2
+};
+
+export function decodeError(code: number): ErrorName | "Unknown" {
+  return ERROR_NAMES[code] ?? "Unknown";
+}
+
+export function createCommand(nonce: bigint, command: bigint, feature: bigint = 0n): bigint {
+  return (nonce << NONCE_SHIFT) + (feature << 8n) + command;
+}
+
+// Transactions are padded to at least 4 words
+function encode(nonce: bigint, command: bigint, params: bigint[]): BigUint64Array {
+  const words = [createCommand(nonce, command), ...params];
+  while (words.length < 4) {
+    words.push(0n);
+  }
+  return new BigUint64Array(words);
+}
+
+export function encodeInstallPlayer(nonce: bigint): BigUint64Array {
+  return encode(nonce, CMD_INSTALL_PLAYER, []);
+}
+
+export function encodeIncCounter(nonce: bigint): BigUint64Array {
+  return encode(nonce, CMD_INC_COUNTER, []);
+}
+
+// Extend this class and provide the nonce and the transport to get one method per command
+export abstract class CommandClient<R = any> {
+  abstract getNonce(): Promise<bigint>;
+  abstract sendCommand(command: BigUint64Array): Promise<R>;
+
+  /** Register the signing key as a new player */
+  async installPlayer(): Promise<R> {
+    return this.sendCommand(encodeInstallPlayer(await this.getNonce()));
+  }
+
+  /** Increment the player's counter */
+  async incCounter(): Promise<R> {
+    return this.sendCommand(encodeIncCounter(await this.getNonce()));
+  }
+}
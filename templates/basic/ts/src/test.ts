@@ -1,21 +1,38 @@
 //import initHostBind, * as hostbind from "./wasmbind/hostbind.js";
-//import initHostBind, * as hostbind from "./wasmbind/hostbind.js";
 import { Player } from "./api.js";
+import { TransactionError } from "./client.js";
+import { encodeIncCounter } from "./commands.js";
 let account = "1234";
 let player = new Player(account, "http://localhost:3000");
 
 
 async function main() {
-  //let towerId = 10038n + y;
   let state = await player.getState();
   console.log(state);
+
   console.log("register");
-  state = await player.register();
-  console.log(state);
+  try {
+    await player.register();
+  } catch (e) {
+    // Registering twice is expected when the test runs again
+    if (!(e instanceof TransactionError && e.errorName === "PlayerAlreadyExist")) {
+      throw e;
+    }
+    console.log(e.message);
+  }
+
   console.log("inc counter");
-  state = await player.incCounter();
-  console.log(state);
+  let result = await player.incCounter();
+  console.log(`nonce ${result.nonce}`, result.value);
+
+  console.log("batch inc counter");
+  // The client fills in the nonce of each command
+  let results = await player.sendBatch([encodeIncCounter(0n), encodeIncCounter(0n)]);
+  console.log(results.map(r => r.ok ? `ok (nonce ${r.result.nonce})` : r.error.message));
+
+  // Typed from the Rust PlayerData and State structs, see types.ts
+  state = await player.getState();
+  console.log(`player counter ${state.player?.data.counter}, global counter ${state.state.counter}`);
 }
 
 main();
-
@@ -0,0 +1,139 @@
+// @generated by `zkwasm-dapp codegen types` from src/config.rs, src/state.rs, do not edit by hand.
+// u64 values arrive as JSON numbers and lose precision above Number.MAX_SAFE_INTEGER.
+
+export interface Config {
+  version: string;
+}
+
+export interface PlayerData {
+  counter: number;
+}
+
+export interface HelloWorldPlayer {
+  nonce: number;
+  data: PlayerData;
+}
+
+export interface State {
+  counter: number;
+}
+
+type TypeShape =
+  | "number" | "string" | "boolean" | "null" | "unknown"
+  | { array: TypeShape } | { nullable: TypeShape } | { record: TypeShape } | { tuple: TypeShape[] }
+  | { object: Record<string, TypeShape> } | { enum: string[] } | { ref: string };
+
+const TYPE_SHAPES: Record<string, TypeShape> = {
+  "Config": {
+    "object": {
+      "version": "string"
+    }
+  },
+  "PlayerData": {
+    "object": {
+      "counter": "number"
+    }
+  },
+  "HelloWorldPlayer": {
+    "object": {
+      "nonce": "number",
+      "data": {
+        "ref": "PlayerData"
+      }
+    }
+  },
+  "State": {
+    "object": {
+      "counter": "number"
+    }
+  }
+};
+
+function checkShape(value: unknown, shape: TypeShape, path: string, errors: string[]): void {
+  if (typeof shape === "string") {
+    const ok = shape === "unknown" || (shape === "null" ? value === null : typeof value === shape);
+    if (!ok) {
+      errors.push(`${path}: expected ${shape}, got ${value === null ? "null" : typeof value}`);
+    }
+  } else if ("ref" in shape) {
+    checkShape(value, TYPE_SHAPES[shape.ref], path, errors);
+  } else if ("nullable" in shape) {
+    if (value !== null && value !== undefined) {
+      checkShape(value, shape.nullable, path, errors);
+    }
+  } else if ("enum" in shape) {
+    if (!shape.enum.includes(value as string)) {
+      errors.push(`${path}: expected one of ${shape.enum.join(", ")}`);
+    }
+  } else if ("array" in shape || "tuple" in shape) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected array`);
+    } else if ("tuple" in shape && value.length !== shape.tuple.length) {
+      errors.push(`${path}: expected ${shape.tuple.length} elements, got ${value.length}`);
+    } else {
+      value.forEach((item, i) => checkShape(item, "array" in shape ? shape.array : shape.tuple[i], `${path}[${i}]`, errors));
+    }
+  } else if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    errors.push(`${path}: expected object`);
+  } else if ("record" in shape) {
+    Object.entries(value).forEach(([key, item]) => checkShape(item, shape.record, `${path}.${key}`, errors));
+  } else {
+    for (const [key, fieldShape] of Object.entries(shape.object)) {
+      checkShape((value as Record<string, unknown>)[key], fieldShape, `${path}.${key}`, errors);
+    }
+  }
+}
+
+export function validateType(value: unknown, type: string, path: string = type): string[] {
+  const errors: string[] = [];
+  checkShape(value, TYPE_SHAPES[type], path, errors);
+  return errors;
+}
+
+export function isConfig(value: unknown): value is Config {
+  return validateType(value, "Config").length === 0;
+}
+
+export function assertConfig(value: unknown, path = "Config"): Config {
+  const errors = validateType(value, "Config", path);
+  if (errors.length > 0) {
+    throw new TypeError(errors.join("; "));
+  }
+  return value as Config;
+}
+
+export function isPlayerData(value: unknown): value is PlayerData {
+  return validateType(value, "PlayerData").length === 0;
+}
+
+export function assertPlayerData(value: unknown, path = "PlayerData"): PlayerData {
+  const errors = validateType(value, "PlayerData", path);
+  if (errors.length > 0) {
+    throw new TypeError(errors.join("; "));
+  }
+  return value as PlayerData;
+}
+
+export function isHelloWorldPlayer(value: unknown): value is HelloWorldPlayer {
+  return validateType(value, "HelloWorldPlayer").length === 0;
+}
+
+export function assertHelloWorldPlayer(value: unknown, path = "HelloWorldPlayer"): HelloWorldPlayer {
+  const errors = validateType(value, "HelloWorldPlayer", path);
+  if (errors.length > 0) {
+    throw new TypeError(errors.join("; "));
+  }
+  return value as HelloWorldPlayer;
+}
+
+export function isState(value: unknown): value is State {
+  return validateType(value, "State").length === 0;
+}
+
+export function assertState(value: unknown, path = "State"): State {
+  const errors = validateType(value, "State", path);
+  if (errors.length > 0) {
+    throw new TypeError(errors.join("; "));
+  }
+  return value as State;
+}